@@ -1,34 +1,35 @@
 import {
   registerHook,
+  registerLazyHook,
   registerChainableHook,
   getRegisteredHooks,
   getRegisteredChainableHooks
 } from './src/core/hookRegistry.js'
-import { useEffect } from './src/core/hookContext.js'
+import { useEffect, effect } from './src/core/hookContext.js'
+import { provide, inject } from './src/core/provide.js'
+import { emit, on } from './src/core/events.js'
 import { useChildren } from './src/hooks/useChildren.js'
 import { useEvents } from './src/hooks/useEvents.js'
 import { useClasses } from './src/hooks/useClasses.js'
 import { useAttributes } from './src/hooks/useAttributes.js'
 import { useStyles } from './src/hooks/useStyles.js'
 import { useText } from './src/hooks/useText.js'
+import { useModel } from './src/hooks/useModel.js'
+import { useForm } from './src/hooks/useForm.js'
+import { useList } from './src/hooks/useList.js'
+import { useShow } from './src/hooks/useShow.js'
+import { useIf } from './src/hooks/useIf.js'
+import { useTransition } from './src/hooks/useTransition.js'
 import { with as withEl } from './src/core/with.js'
-import { createObserver } from './src/core/observer.js'
-import { scanComponents, initializeComponents } from './src/core/scanComponents.js'
-import { scanDirectives } from './src/core/scanDirectives.js'
-import { getRegisteredComponentNames, registerComponent } from './src/core/registry.js'
+import { resolveRoot, assertCompatibleRoot, observeRoot, scan, observe, destroy } from './src/core/runtime.js'
+import { getRegisteredComponentNames, registerComponent, registerLazyComponent } from './src/core/registry.js'
 import { initConfig, getConfig } from './src/core/config.js'
-import { signal } from './src/core/signal.js'
+import { signal, batch } from './src/core/signal.js'
 import { computed } from './src/core/computed.js'
+import { mount, unmount, remount } from './src/core/mount.js'
+import { getComponent, findComponent, whenComponentReady } from './src/core/componentInstanceRegistry.js'
 import { logger } from './src/utils/logger.js'
 
-/**
- * Observer instance for DOM mutations
- * @type {Object}
- */
-const observerRef = {
-  current: null
-}
-
 /**
  * Starts the HookTML runtime (browser version - no auto-registration)
  * @param {import('./src/core/config.js').HookTMLConfigOptions} [options] - Configuration options
@@ -36,7 +37,9 @@ const observerRef = {
  */
 const start = (options) => {
   // Configure (browser version ignores componentPath)
-  initConfig(options)
+  const { root, config } = resolveRoot(options)
+  assertCompatibleRoot(root, config)
+  initConfig(config)
 
   logger.log('Initializing...')
 
@@ -46,12 +49,11 @@ const start = (options) => {
     logger.log(`Using attribute prefix: "${attributePrefix}"`)
   }
 
-  // Create and start the observer
-  observerRef.current = createObserver()
-  observerRef.current.start()
+  // Create and start the observer, replacing any previous one for the same root
+  const stop = observeRoot(root)
 
   // Initial scan
-  scan()
+  scan(root)
 
   // Log completion message
   logger.log('Initialization complete')
@@ -59,48 +61,55 @@ const start = (options) => {
   // Return API for runtime management
   return {
     config: getConfig(),
-    scan,
-    stop: () => observerRef.current?.stop(),
+    root,
+    scan: () => scan(root),
+    stop,
+    destroy: () => stop({ teardown: true }),
     components: getRegisteredComponentNames,
     hooks: getRegisteredHooks,
     chainableHooks: getRegisteredChainableHooks
   }
 }
 
-/**
- * Scans the DOM for new components and hooks and initializes them
- * @returns {Array<Object>} Initialized component instances
- */
-const scan = () => {
-  // Scan for components
-  logger.log('Manual scan triggered')
-  const components = scanComponents()
-  const instances = initializeComponents(components)
-
-  // Scan for directives
-  scanDirectives()
-
-  logger.log(`Manual scan complete, initialized ${instances.length} new component(s)`)
-  return instances
-}
-
 // Export all functions as named exports
 export {
   start,
   scan,
+  observe,
+  destroy,
+  mount,
+  unmount,
+  remount,
+  getComponent,
+  findComponent,
+  whenComponentReady,
   registerComponent,
+  registerLazyComponent,
   registerHook,
+  registerLazyHook,
   registerChainableHook,
   useEffect,
+  effect,
+  provide,
+  inject,
+  emit,
+  on,
   useChildren,
   useEvents,
   useClasses,
   useAttributes,
   useStyles,
   useText,
+  useModel,
+  useForm,
+  useList,
+  useShow,
+  useIf,
+  useTransition,
   withEl as with,
   signal,
   computed,
+  batch,
   getConfig
 }
 
@@ -108,19 +117,41 @@ export {
 const HookTML = {
   start,
   scan,
+  observe,
+  destroy,
+  mount,
+  unmount,
+  remount,
+  getComponent,
+  findComponent,
+  whenComponentReady,
   registerComponent,
+  registerLazyComponent,
   registerHook,
+  registerLazyHook,
   registerChainableHook,
   useEffect,
+  effect,
+  provide,
+  inject,
+  emit,
+  on,
   useChildren,
   useEvents,
   useClasses,
   useAttributes,
   useStyles,
   useText,
+  useModel,
+  useForm,
+  useList,
+  useShow,
+  useIf,
+  useTransition,
   with: withEl,
   signal,
   computed,
+  batch,
   getConfig
 }
 
@@ -1,19 +1,41 @@
 import {
   start,
   scan,
+  observe,
+  destroy,
+  mount,
+  unmount,
+  remount,
+  getComponent,
+  findComponent,
+  whenComponentReady,
   registerComponent,
+  registerLazyComponent,
   registerHook,
+  registerLazyHook,
   registerChainableHook,
   useEffect,
+  effect,
+  provide,
+  inject,
+  emit,
+  on,
   useChildren,
   useEvents,
   useClasses,
   useAttributes,
   useStyles,
   useText,
+  useModel,
+  useForm,
+  useList,
+  useShow,
+  useIf,
+  useTransition,
   with as withEl,
   signal,
   computed,
+  batch,
   getConfig
 } from './index.browser.js'
 
@@ -22,19 +44,41 @@ Object.assign(window, {
   HookTML: {
     start,
     scan,
+    observe,
+    destroy,
+    mount,
+    unmount,
+    remount,
+    getComponent,
+    findComponent,
+    whenComponentReady,
     registerComponent,
+    registerLazyComponent,
     registerHook,
+    registerLazyHook,
     registerChainableHook,
     useEffect,
+    effect,
+    provide,
+    inject,
+    emit,
+    on,
     useChildren,
     useEvents,
     useClasses,
     useAttributes,
     useStyles,
     useText,
+    useModel,
+    useForm,
+    useList,
+    useShow,
+    useIf,
+    useTransition,
     with: withEl,
     signal,
     computed,
+    batch,
     getConfig
   }
 }) 
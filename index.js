@@ -1,19 +1,41 @@
 export {
   start,
   scan,
+  observe,
+  destroy,
+  mount,
+  unmount,
+  remount,
+  getComponent,
+  findComponent,
+  whenComponentReady,
   registerComponent,
+  registerLazyComponent,
   registerHook,
+  registerLazyHook,
   registerChainableHook,
   useEffect,
+  effect,
+  provide,
+  inject,
+  emit,
+  on,
   useChildren,
   useEvents,
   useClasses,
   useAttributes,
   useStyles,
   useText,
+  useModel,
+  useForm,
+  useList,
+  useShow,
+  useIf,
+  useTransition,
   with,
   signal,
   computed,
+  batch,
   getConfig
 } from './src/index.js'
 
@@ -0,0 +1,220 @@
+/**
+ * Declarative actions: `on-click="Dialog#close"` calls `close` on the nearest Dialog's
+ * returned `context`. Each component root handles the actions inside it through event delegation.
+ */
+import { getConfig } from './config.js'
+import { registerCleanup } from './hookContext.js'
+import { getComponent, getComponentNames, hasComponent } from './componentInstanceRegistry.js'
+import { bindEmitter } from './events.js'
+import { isFunction, isObject, isEmptyArray, isNonEmptyArray } from '../utils/type-guards.js'
+import { isIgnored } from '../utils/dom.js'
+import { splitWords } from '../utils/strings.js'
+import { tryCatch } from '../utils/try-catch.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * @typedef {Object} Action
+ * @property {string} componentName - The component named before `#`, or an empty string
+ * @property {string} method - The context method to call
+ */
+
+/**
+ * @typedef {Object} ActionOwner
+ * @property {Element} element - The component root
+ * @property {string} componentName - The component the action resolved to
+ */
+
+/**
+ * Events that don't bubble, so the root has to catch them in the capture phase
+ */
+const NON_BUBBLING_EVENTS = ['focus', 'blur', 'mouseenter', 'mouseleave', 'scroll', 'load', 'error']
+
+/**
+ * Component roots with bound actions, each with the functions that make one of its
+ * components listen for more event types
+ * @type {Map<HTMLElement, Set<(types: string[]) => void>>}
+ */
+const boundRoots = new Map()
+
+/**
+ * Gets the attribute prefix shared by all action attributes, respecting `attributePrefix`
+ * @returns {string} The prefix, e.g. `on-` or `data-on-`
+ */
+const getActionPrefix = () => `${getConfig().formattedPrefix}on-`
+
+/**
+ * Parses one action, e.g. `Dialog#close` or `close`
+ * @param {string} token - The action as written in the attribute
+ * @returns {Action} The parsed action
+ */
+const parseAction = (token) => {
+  const index = token.indexOf('#')
+  return index === -1
+    ? { componentName: '', method: token }
+    : { componentName: token.slice(0, index), method: token.slice(index + 1) }
+}
+
+/**
+ * Finds the component an action belongs to: the nearest component with the given name,
+ * or for unqualified actions, the nearest component whose context has the method
+ * @param {Element} element - The element declaring the action
+ * @param {Action} action - The parsed action
+ * @returns {ActionOwner|null} The owning component, or null if none matches
+ */
+const resolveOwner = (element, { componentName, method }) => {
+  /** @type {Element|null} */
+  let current = element
+
+  while (current) {
+    const candidate = /** @type {HTMLElement} */ (current)
+    const name = componentName
+      ? (hasComponent(candidate, componentName) ? componentName : undefined)
+      : getComponentNames(candidate).find(name => isFunction(getComponent(candidate, name)?.[method]))
+
+    if (name) {
+      return { element: current, componentName: name }
+    }
+    current = current.parentElement
+  }
+
+  return null
+}
+
+/**
+ * Gets the event types used by the action attributes on a single element
+ * @param {Element} element - The element to check
+ * @returns {string[]} The event types, e.g. `['click', 'dialog:close']`
+ */
+const getEventTypes = (element) => {
+  const prefix = getActionPrefix()
+
+  return Array.from(element.attributes)
+    .map(({ name }) => name)
+    .filter(name => name.startsWith(prefix) && name.length > prefix.length)
+    .map(name => name.slice(prefix.length))
+}
+
+/**
+ * Collects the event types used by action attributes on an element and its descendants
+ * @param {HTMLElement} root - The component root
+ * @returns {string[]} The event types, e.g. `['click', 'dialog:close']`
+ */
+const collectEventTypes = (root) => {
+  const elements = [root, ...Array.from(root.querySelectorAll('*'))]
+  return [...new Set(elements.flatMap(getEventTypes))]
+}
+
+/**
+ * Binds the action attributes inside a component to its returned context.
+ * Listeners are attached to the component root for every event type used by an action
+ * attribute when the component initializes, and removed on teardown. Event types of
+ * action attributes added later are picked up by `refreshActionTypes()`.
+ * @param {HTMLElement} root - The component root
+ * @param {string} componentName - The component name
+ * @param {*} context - The `context` returned by the component
+ */
+export const bindActions = (root, componentName, context) => {
+  if (!isObject(context)) return
+
+  /**
+   * Runs the actions declared on one element that belong to this component
+   * @param {Element} element - The element declaring the actions
+   * @param {string} value - The action attribute value
+   * @param {Event} event - The triggering event
+   */
+  const runActions = (element, value, event) => {
+    splitWords(value).forEach(token => {
+      const action = parseAction(token)
+      const owner = resolveOwner(element, action)
+
+      // Nested or other components on the way up handle their own actions
+      if (owner?.element !== root || owner.componentName !== componentName) return
+
+      const handler = context[action.method]
+      if (!isFunction(handler)) {
+        logger.warn(`Action "${token}" has no matching method in the "${componentName}" context`)
+        return
+      }
+
+      tryCatch({
+        fn: () => handler.call(context, event, element),
+        onError: (error) => {
+          logger.error(`Error in action "${token}":`, error)
+        }
+      })
+    })
+  }
+
+  const listener = bindEmitter(/** @param {Event} event */ (event) => {
+    const attribute = `${getActionPrefix()}${event.type}`
+    /** @type {Element|null} */
+    let current = event.target instanceof Element ? event.target : null
+
+    while (current) {
+      const value = current.getAttribute(attribute)
+      if (value && !isIgnored(current)) {
+        runActions(current, value, event)
+      }
+      if (current === root) break
+      current = current.parentElement
+    }
+  }, { element: root, owner: componentName })
+
+  /** @type {Set<string>} */
+  const eventTypes = new Set()
+
+  /**
+   * Starts listening for the event types the root isn't listening for yet
+   * @param {string[]} types - The event types
+   */
+  const listen = (types) => {
+    const added = types.filter(type => !eventTypes.has(type))
+
+    added.forEach(type => {
+      eventTypes.add(type)
+      root.addEventListener(type, listener, NON_BUBBLING_EVENTS.includes(type))
+    })
+
+    if (isNonEmptyArray(added)) {
+      logger.log(`Bound actions for "${componentName}" on events: ${added.join(', ')}`)
+    }
+  }
+
+  listen(collectEventTypes(root))
+
+  const listeners = boundRoots.get(root) ?? new Set()
+  listeners.add(listen)
+  boundRoots.set(root, listeners)
+
+  registerCleanup(root, () => {
+    eventTypes.forEach(type => {
+      root.removeEventListener(type, listener, NON_BUBBLING_EVENTS.includes(type))
+    })
+    eventTypes.clear()
+
+    listeners.delete(listen)
+    if (listeners.size === 0 && boundRoots.get(root) === listeners) {
+      boundRoots.delete(root)
+    }
+  }, componentName)
+}
+
+/**
+ * Makes the enclosing component roots listen for the event types of action attributes
+ * added after they initialized, e.g. on list rows, conditional content or swapped-in markup
+ * @param {HTMLElement[]} elements - Elements that were added or whose attributes changed
+ */
+export const refreshActionTypes = (elements) => {
+  if (boundRoots.size === 0) return
+
+  elements.forEach(element => {
+    const types = getEventTypes(element)
+    if (isEmptyArray(types)) return
+
+    boundRoots.forEach((listeners, root) => {
+      if (root.contains(element)) {
+        listeners.forEach(listen => listen(types))
+      }
+    })
+  })
+}
@@ -0,0 +1,126 @@
+/**
+ * Declarative bindings: `counter-bind-text="count"` keeps an element's text in sync with the
+ * `count` signal in the Counter's returned `context`, using `useText`, `useClasses` and `useAttributes`.
+ */
+import { getConfig } from './config.js'
+import { computed } from './computed.js'
+import { registerCleanup } from './hookContext.js'
+import { useText } from '../hooks/useText.js'
+import { useClasses } from '../hooks/useClasses.js'
+import { useAttributes } from '../hooks/useAttributes.js'
+import { isFunction, isObject, isSignal, isNil } from '../utils/type-guards.js'
+import { camelToKebab } from '../utils/strings.js'
+import { hasSameComponent } from '../utils/children.js'
+import { isIgnored } from '../utils/dom.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Gets the attribute prefix of a component's bindings, e.g. `counter-bind-` or `data-counter-bind-`
+ * @param {string} componentName - The PascalCase component name
+ * @returns {string} The binding attribute prefix
+ */
+const getBindingPrefix = (componentName) =>
+  `${getConfig().formattedPrefix}${camelToKebab(componentName)}-bind-`
+
+/**
+ * Checks whether an element belongs to a nested instance of the same component
+ * @param {Element} element - The element to check
+ * @param {HTMLElement} root - The component root
+ * @param {string} componentName - The component name
+ * @returns {boolean} Whether a nested instance owns the element
+ */
+const isInsideNestedComponent = (element, root, componentName) => {
+  /** @type {Element|null} */
+  let current = element
+
+  while (current && current !== root) {
+    if (hasSameComponent(current, componentName)) return true
+    current = current.parentElement
+  }
+
+  return false
+}
+
+/**
+ * Resolves a binding expression against the context. `name` reads a signal, function or
+ * plain value; `!name` negates it. Functions and negations are wrapped in a computed so
+ * the signals they read are tracked, and the computed is destroyed with the component.
+ * @param {HTMLElement} root - The component root
+ * @param {string} componentName - The component name
+ * @param {Record<string, any>} context - The component context
+ * @param {string} expression - The attribute value, e.g. `count` or `!isOpen`
+ * @returns {{ value: any } | undefined} A signal or a static `{ value }`, or undefined if the name is missing
+ */
+const resolveBinding = (root, componentName, context, expression) => {
+  const negate = expression.startsWith('!')
+  const name = (negate ? expression.slice(1) : expression).trim()
+
+  if (!(name in context)) {
+    logger.warn(`Binding "${expression}" has no matching value in the "${componentName}" context`)
+    return undefined
+  }
+
+  const source = context[name]
+  if (isSignal(source) && !negate) return source
+
+  if (!isSignal(source) && !isFunction(source)) {
+    return { value: negate ? !source : source }
+  }
+
+  const derived = computed(() => {
+    const value = isFunction(source) ? source() : source.value
+    return negate ? !value : value
+  })
+  registerCleanup(root, derived.destroy, componentName)
+  return derived
+}
+
+/**
+ * Applies one binding attribute to an element
+ * @param {HTMLElement} element - The bound element
+ * @param {string} target - What to bind: `text`, `class:<name>` or `attr:<name>`
+ * @param {{ value: any }} binding - The resolved signal or static value
+ */
+const applyBinding = (element, target, binding) => {
+  const deps = isSignal(binding) ? [binding] : []
+  const [kind, name] = target.split(/:(.*)/)
+
+  if (kind === 'text' && isNil(name)) {
+    useText(element, () => String(binding.value ?? ''), deps)
+  } else if (kind === 'class' && name) {
+    useClasses(element, { [name]: () => binding.value }, deps)
+  } else if (kind === 'attr' && name) {
+    useAttributes(element, { [name]: () => binding.value }, deps)
+  } else {
+    logger.warn(`Unknown binding "${target}" on element:`, element)
+  }
+}
+
+/**
+ * Binds the `<component>-bind-*` attributes inside a component to the signals in its context:
+ * `-bind-text`, `-bind-class:<class>` and `-bind-attr:<attribute>`.
+ * Must run inside the component's hook context, so the bindings are torn down with it.
+ * Nested instances of the same component and ignored subtrees are left alone.
+ * @param {HTMLElement} root - The component root
+ * @param {string} componentName - The component name
+ * @param {*} context - The `context` returned by the component
+ */
+export const applyBindings = (root, componentName, context) => {
+  if (!isObject(context)) return
+
+  const prefix = getBindingPrefix(componentName)
+  const elements = [root, ...Array.from(root.querySelectorAll('*'))]
+    .filter(element => element === root ||
+      (!isIgnored(element) && !isInsideNestedComponent(element, root, componentName)))
+
+  elements.forEach(element => {
+    Array.from(element.attributes)
+      .filter(({ name }) => name.startsWith(prefix))
+      .forEach(({ name, value }) => {
+        const binding = resolveBinding(root, componentName, context, value)
+        if (!binding) return
+
+        applyBinding(/** @type {HTMLElement} */ (element), name.slice(prefix.length), binding)
+      })
+  })
+}
@@ -0,0 +1,145 @@
+import { isHTMLElement, isNonEmptyString } from '../utils/type-guards.js'
+import { getComposedParent } from '../utils/dom.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Registry of initialized components by element, mapping component names to their context
+ * @type {WeakMap<HTMLElement, Map<string, any>>}
+ */
+const componentInstanceRegistry = new WeakMap()
+
+/**
+ * Callbacks waiting for a component to initialize, by element and component name
+ * @type {WeakMap<HTMLElement, Map<string, Array<(context: any) => void>>>}
+ */
+const readyCallbacks = new WeakMap()
+
+/**
+ * Stores the context of an initialized component and resolves anyone waiting for it
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The component name
+ * @param {any} context - The `context` returned by the component, if any
+ */
+export const storeComponentInstance = (element, componentName, context) => {
+  if (!isHTMLElement(element)) return
+
+  let elementComponents = componentInstanceRegistry.get(element)
+  if (!elementComponents) {
+    elementComponents = new Map()
+    componentInstanceRegistry.set(element, elementComponents)
+  }
+
+  elementComponents.set(componentName, context)
+  logger.log(`Stored component instance for "${componentName}" on element:`, element)
+
+  const callbacks = readyCallbacks.get(element)?.get(componentName)
+  if (callbacks) {
+    readyCallbacks.get(element)?.delete(componentName)
+    callbacks.forEach(callback => callback(context))
+  }
+}
+
+/**
+ * Clears component instances for an element. Pending `whenComponentReady` calls keep waiting.
+ * @param {HTMLElement} element - The element to clear component instances for
+ * @param {string} [componentName] - Only clear this component
+ */
+export const clearComponentInstances = (element, componentName) => {
+  if (!isHTMLElement(element)) return
+
+  if (componentName === undefined) {
+    componentInstanceRegistry.delete(element)
+  } else {
+    componentInstanceRegistry.get(element)?.delete(componentName)
+  }
+}
+
+/**
+ * Checks whether a component has initialized on an element
+ * @param {HTMLElement} element - The element to check
+ * @param {string} componentName - The component name
+ * @returns {boolean} Whether the component is initialized on the element
+ */
+export const hasComponent = (element, componentName) => {
+  if (!isHTMLElement(element)) return false
+  return componentInstanceRegistry.get(element)?.has(componentName) ?? false
+}
+
+/**
+ * Gets the names of the components initialized on an element, in initialization order
+ * @param {HTMLElement} element - The element to check
+ * @returns {string[]} The component names
+ */
+export const getComponentNames = (element) => {
+  if (!isHTMLElement(element)) return []
+  return Array.from(componentInstanceRegistry.get(element)?.keys() ?? [])
+}
+
+/**
+ * Gets the context returned by a component initialized on an element
+ * @template [T=any]
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The component name, e.g. `'Dialog'`
+ * @returns {T|undefined} The component's context, or undefined if it has none or is not initialized
+ */
+export const getComponent = (element, componentName) => {
+  if (!isHTMLElement(element)) return undefined
+  return componentInstanceRegistry.get(element)?.get(componentName)
+}
+
+/**
+ * Gets the context of the closest initialized component with the given name, starting at the element itself.
+ * Crosses shadow root boundaries.
+ * @template [T=any]
+ * @param {HTMLElement} element - The element to start from
+ * @param {string} componentName - The component name, e.g. `'Dialog'`
+ * @returns {T|undefined} The component's context, or undefined if no initialized ancestor has it
+ */
+export const findComponent = (element, componentName) => {
+  if (!isHTMLElement(element)) return undefined
+
+  /** @type {Element|null} */
+  let current = element
+
+  while (current) {
+    if (hasComponent(/** @type {HTMLElement} */ (current), componentName)) {
+      return getComponent(/** @type {HTMLElement} */ (current), componentName)
+    }
+    current = getComposedParent(current)
+  }
+
+  return undefined
+}
+
+/**
+ * Resolves with a component's context once it has initialized on the element.
+ * Resolves immediately if it already has; otherwise waits for lazy, deferred or later initialization.
+ * @template [T=any]
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The component name, e.g. `'Dialog'`
+ * @returns {Promise<T|undefined>} The component's context
+ */
+export const whenComponentReady = (element, componentName) => {
+  if (!isHTMLElement(element)) {
+    throw new Error('[HookTML] whenComponentReady() requires an HTMLElement')
+  }
+
+  if (!isNonEmptyString(componentName)) {
+    throw new Error('[HookTML] whenComponentReady() requires a component name')
+  }
+
+  if (hasComponent(element, componentName)) {
+    return Promise.resolve(getComponent(element, componentName))
+  }
+
+  return new Promise(resolve => {
+    let elementCallbacks = readyCallbacks.get(element)
+    if (!elementCallbacks) {
+      elementCallbacks = new Map()
+      readyCallbacks.set(element, elementCallbacks)
+    }
+
+    const callbacks = elementCallbacks.get(componentName) || []
+    elementCallbacks.set(componentName, [...callbacks, resolve])
+  })
+}
@@ -4,6 +4,42 @@
 
 import { isHTMLElement } from '../utils/type-guards.js'
 
+/**
+ * Lazy components and hooks each element is waiting for, by name.
+ * The element stays cloaked until all of them have loaded.
+ * @type {WeakMap<HTMLElement, Set<string>>}
+ */
+const pendingLoads = new WeakMap()
+
+/**
+ * Records that a lazy component or hook started loading for an element, and cloaks it
+ * @param {HTMLElement} element - The element
+ * @param {string} name - The component or hook name
+ * @returns {boolean} False if it was already loading
+ */
+export const startLoading = (element, name) => {
+  const pending = pendingLoads.get(element) || new Set()
+  if (pending.has(name)) return false
+
+  pending.add(name)
+  pendingLoads.set(element, pending)
+  applyCloak(element)
+  return true
+}
+
+/**
+ * Records that a lazy component or hook finished loading for an element
+ * @param {HTMLElement} element - The element
+ * @param {string} name - The component or hook name
+ */
+export const finishLoading = (element, name) => {
+  const pending = pendingLoads.get(element)
+  pending?.delete(name)
+  if (pending?.size === 0) {
+    pendingLoads.delete(element)
+  }
+}
+
 /**
  * Applies the cloak attribute to a component element
  * @param {HTMLElement} element - The component root element
@@ -16,12 +52,15 @@ export const applyCloak = (element) => {
 }
 
 /**
- * Removes the cloak attribute from a component element
+ * Removes the cloak attribute from a component element, unless a lazy component
+ * or hook on it is still loading
  * @param {HTMLElement} element - The component root element
  */
 export const removeCloak = (element) => {
   if (!isHTMLElement(element)) {
     throw new Error('[HookTML] removeCloak requires an HTMLElement')
   }
+  if (pendingLoads.has(element)) return
+
   element.removeAttribute('data-hooktml-cloak')
 } 
@@ -1,5 +1,7 @@
 import { tryCatch } from '../utils/try-catch.js'
 import { isSignal, isFunction, isUndefined } from '../utils/type-guards.js'
+import { logger } from '../utils/logger.js'
+import { registerPropagator, isPropagator, queueCheck, queueSubscribers } from './signal.js'
 
 /**
  * Singleton class for managing computed signal dependency tracking
@@ -56,13 +58,35 @@ export const trackDependency = (signalInstance) => {
   tracker.trackDependency(signalInstance)
 }
 
+/**
+ * Runs a function while reporting every signal read during the call
+ *
+ * @template T
+ * @param {() => T} fn - The function to run
+ * @param {(dependency: object) => void} onDependency - Called for each signal read
+ * @returns {T} The return value of fn
+ */
+export const trackSignals = (fn, onDependency) => {
+  const stopTracking = tracker.startTracking(onDependency)
+  try {
+    return fn()
+  } finally {
+    stopTracking()
+  }
+}
+
 // Set up global tracking for signals to avoid circular imports
 if (!isUndefined(globalThis)) {
   globalThis.__HOOKTML_TRACK_SIGNAL__ = trackDependency
 }
 
 /**
- * Creates a computed signal that automatically tracks dependencies
+ * Creates a computed signal that automatically tracks dependencies.
+ * 
+ * Changes propagate push-pull: a write marks every downstream computed dirty
+ * synchronously, then dirty computeds that have subscribers re-evaluate once
+ * before any subscriber runs, so subscribers never see a mix of old and new
+ * values. Computeds nobody subscribes to stay lazy and only re-evaluate on read.
  * 
  * @template T
  * @param {() => T} computeFn - Function that computes the value
@@ -84,8 +108,12 @@ export const computed = (computeFn) => {
     isStale: true,
     isComputing: false,
     dependencies: new Set(),
+    // Downstream computeds, marked dirty synchronously
+    dependents: new Set(),
+    // External subscribers, notified once the new value is known
     subscribers: new Set(),
-    notificationScheduled: false
+    // Value subscribers last saw, to skip notifications when a re-evaluation yields the same value
+    notifiedValue: /** @type {T | undefined} */ (undefined)
   }
 
   const unsubscribeFunctions = new Set()
@@ -96,86 +124,79 @@ export const computed = (computeFn) => {
     state.dependencies.clear()
   }
 
-  // Schedule notification to break recursion cycle
-  const scheduleNotification = () => {
-    if (state.notificationScheduled || state.subscribers.size === 0) return
-    
-    state.notificationScheduled = true
-    queueMicrotask(() => {
-      state.notificationScheduled = false
-      
-      if (state.subscribers.size > 0) {
-        // Recompute value and notify subscribers
-        const newValue = computedSignal.value
-        state.subscribers.forEach(callback => {
-          tryCatch({
-            fn: () => callback(newValue),
-            onError: (error) => {
-              console.error('[HookTML] Error in computed subscriber:', error)
-            }
-          })
-        })
-      }
-    })
+  // Re-evaluate and queue subscribers if the value actually changed
+  const checkForChange = () => {
+    if (state.subscribers.size === 0) return
+
+    const newValue = computedSignal.value
+    if (Object.is(newValue, state.notifiedValue)) return
+
+    state.notifiedValue = newValue
+    queueSubscribers(state.subscribers, () => state.value)
   }
 
-  const computedSignal = {
-    get value() {
-      // Return cached value if still valid
-      if (!state.isStale && state.hasValue) {
-        // Track this computed as a dependency for other computeds
-        trackDependency(computedSignal)
-        return /** @type {T} */ (state.value)
-      }
+  // Push phase: mark this computed and everything downstream dirty without recomputing
+  const markDirty = registerPropagator(() => {
+    if (state.isStale) return
 
-      // Prevent infinite recursion
-      if (state.isComputing) {
-        throw new Error('[HookTML] Circular dependency detected in computed signal')
-      }
+    state.isStale = true
+    state.dependents.forEach(markDependentDirty => markDependentDirty())
 
-      // Clean up old dependencies
-      cleanupDependencies()
+    if (state.subscribers.size > 0) {
+      queueCheck(checkForChange)
+    }
+  })
+
+  // Pull phase: recompute from current dependency values, re-tracking dependencies
+  const recompute = () => {
+    // Prevent infinite recursion
+    if (state.isComputing) {
+      throw new Error('[HookTML] Circular dependency detected in computed signal')
+    }
+
+    // Clean up old dependencies
+    cleanupDependencies()
+
+    // Start computing
+    state.isComputing = true
 
-      // Start computing
-      state.isComputing = true
-      
-      // Track new dependencies
-      const newDependencies = new Set()
-      const stopTracking = tracker.startTracking((dependency) => {
+    // Track new dependencies
+    const newDependencies = new Set()
+
+    try {
+      const result = trackSignals(computeFn, (dependency) => {
         if (isSignal(dependency) && !newDependencies.has(dependency)) {
           newDependencies.add(dependency)
-          
-          // Subscribe to dependency changes
-          const unsubscribe = dependency.subscribe(() => {
-            const wasStale = state.isStale
-            state.isStale = true
-            
-            // Only schedule notification if we weren't already stale
-            if (!wasStale && state.hasValue) {
-              scheduleNotification()
-            }
-          })
-          unsubscribeFunctions.add(unsubscribe)
+          unsubscribeFunctions.add(dependency.subscribe(markDirty))
         }
       })
 
-      // Compute the value
-      const result = computeFn()
-      
-      // Clean up tracking
-      stopTracking()
-      state.isComputing = false
-
       // Update state
       state.dependencies = newDependencies
+      // Without subscribers nobody has been notified, so the baseline follows every read
+      if (!state.hasValue || state.subscribers.size === 0) {
+        state.notifiedValue = result
+      }
       state.value = result
       state.hasValue = true
       state.isStale = false
 
-      // Track this computed as a dependency for other computeds
+      return result
+    } finally {
+      state.isComputing = false
+    }
+  }
+
+  const computedSignal = {
+    get value() {
+      const value = (state.isStale || !state.hasValue)
+        ? recompute()
+        : /** @type {T} */ (state.value)
+
+      // Track this computed as a dependency for other computeds and effects
       trackDependency(computedSignal)
 
-      return result
+      return value
     },
 
     set value(newValue) {
@@ -187,8 +208,29 @@ export const computed = (computeFn) => {
         throw new Error('[HookTML] Computed subscribers must be functions')
       }
 
+      if (isPropagator(callback)) {
+        state.dependents.add(callback)
+        return () => {
+          state.dependents.delete(callback)
+        }
+      }
+
+      const isFirstSubscriber = state.subscribers.size === 0
       state.subscribers.add(callback)
 
+      // Evaluate so dependencies are tracked and changes are compared against the current value
+      if (isFirstSubscriber) {
+        tryCatch({
+          fn: () => {
+            if (state.isStale || !state.hasValue) recompute()
+            state.notifiedValue = state.value
+          },
+          onError: (error) => {
+            logger.error('Error in computed signal:', error)
+          }
+        })
+      }
+
       return () => {
         state.subscribers.delete(callback)
       }
@@ -196,10 +238,10 @@ export const computed = (computeFn) => {
 
     destroy() {
       cleanupDependencies()
+      state.dependents.clear()
       state.subscribers.clear()
       state.hasValue = false
       state.isStale = true
-      state.notificationScheduled = false
     },
 
     toString() {
@@ -210,4 +252,4 @@ export const computed = (computeFn) => {
   }
 
   return computedSignal
-} 
+}
@@ -6,6 +6,7 @@ import { isEmptyString, isNil, isString } from '../utils/type-guards.js'
  * @property {string} [attributePrefix=''] - Optional prefix for all HookTML attributes
  * @property {string} [componentPath] - Path to scan for auto-registering components
  * @property {string} [formattedPrefix=''] - Internal: attributePrefix formatted with trailing dash
+ * @property {boolean} [observeShadowRoots=false] - Whether to scan and observe open shadow roots
  */
 
 /**
@@ -14,6 +15,8 @@ import { isEmptyString, isNil, isString } from '../utils/type-guards.js'
  * @property {string} [attributePrefix] - Optional prefix for all HookTML attributes
  * @property {string} [componentPath] - Path to scan for auto-registering components
  * @property {string} [formattedPrefix] - Internal: attributePrefix formatted with trailing dash
+ * @property {boolean} [observeShadowRoots=false] - Whether to scan and observe open shadow roots
+ * @property {Element} [root] - start() only: the subtree to scan and observe (defaults to document.documentElement)
  */
 
 /**
@@ -24,7 +27,8 @@ const defaultConfig = {
   componentPath: undefined,
   debug: false,
   attributePrefix: '',
-  formattedPrefix: ''
+  formattedPrefix: '',
+  observeShadowRoots: false
 }
 
 /**
@@ -44,17 +48,26 @@ const formatPrefix = (prefix) => {
 }
 
 /**
- * Initialize the runtime configuration
+ * Resolves configuration options against the defaults, without applying them
  * @param {Partial<HookTMLConfig>} [options] - Configuration options
+ * @returns {HookTMLConfig} The configuration the options would produce
  */
-export const initConfig = (options = {}) => {
+export const resolveConfig = (options = {}) => {
   const normalizedOptions = { ...options }
 
   if ('attributePrefix' in normalizedOptions) {
     normalizedOptions.formattedPrefix = formatPrefix(normalizedOptions.attributePrefix)
   }
 
-  config = { ...defaultConfig, ...normalizedOptions }
+  return { ...defaultConfig, ...normalizedOptions }
+}
+
+/**
+ * Initialize the runtime configuration
+ * @param {Partial<HookTMLConfig>} [options] - Configuration options
+ */
+export const initConfig = (options = {}) => {
+  config = resolveConfig(options)
 }
 
 /**
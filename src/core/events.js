@@ -0,0 +1,136 @@
+/**
+ * Namespaced custom events, so components and hooks can announce things
+ * to their ancestors without exposing their implementation.
+ */
+import { getCurrentContext, registerCleanup } from './hookContext.js'
+import { isEventTarget, isFunction, isNonEmptyString } from '../utils/type-guards.js'
+import { camelToKebab } from '../utils/strings.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * @typedef {Object} Emitter
+ * @property {HTMLElement} element - The element events are dispatched from
+ * @property {string} owner - The component or hook name the events are namespaced with
+ */
+
+/**
+ * Emitters of the event handlers currently running, so `emit()` works inside
+ * handlers registered while a component or hook was initializing
+ * @type {Emitter[]}
+ */
+const emitterStack = []
+
+/**
+ * Gets the emitter for the running handler, or for the component or hook being initialized
+ * @returns {Emitter|null} The current emitter
+ */
+const getCurrentEmitter = () =>
+  emitterStack.length > 0 ? emitterStack[emitterStack.length - 1] : getCurrentContext()
+
+/**
+ * Wraps an event handler so `emit()` inside it dispatches from the component or hook
+ * that registered it. Returns the handler unchanged outside a component or hook.
+ * @template {Function} T
+ * @param {T} handler - The event handler
+ * @param {Emitter|null} [emitter] - Who emits, defaults to the current component or hook
+ * @returns {T} The wrapped handler
+ */
+export const bindEmitter = (handler, emitter = getCurrentEmitter()) => {
+  if (!emitter) return handler
+
+  const { element, owner } = emitter
+  return /** @type {T} */ (/** @type {unknown} */ ((...args) => {
+    emitterStack.push({ element, owner })
+    try {
+      return handler(...args)
+    } finally {
+      emitterStack.pop()
+    }
+  }))
+}
+
+/**
+ * Derives the event namespace from a component or hook name, e.g. `DialogClose` → `dialog-close`
+ * and `useTooltip` → `tooltip`
+ * @param {string} owner - The component or hook name
+ * @returns {string} The namespace, or an empty string if the owner is unknown
+ */
+const getNamespace = (owner) => camelToKebab(owner.replace(/^use(?=[A-Z])/, ''))
+
+/**
+ * Prefixes an event name with the owner's namespace unless it already has one
+ * @param {string} name - The event name, e.g. `close` or `dialog:close`
+ * @param {string} owner - The component or hook name
+ * @returns {string} The full event name
+ */
+const getEventName = (name, owner) => {
+  const namespace = getNamespace(owner)
+  return name.includes(':') || !namespace ? name : `${namespace}:${name}`
+}
+
+/**
+ * Dispatches a bubbling, cancelable `CustomEvent` from the current component or hook element.
+ * Call it while the component or hook initializes, from its effects, or from a handler
+ * registered with `useEvents()` or `on()` at that time.
+ * Names without a namespace are prefixed with the component or hook name, so `emit('close')`
+ * inside `Dialog` dispatches `dialog:close`. The event is composed, so it crosses shadow roots.
+ * @param {string} name - The event name, e.g. `close` or `dialog:close`
+ * @param {*} [detail] - Passed to listeners as `event.detail`
+ * @returns {boolean} False if a listener called `preventDefault()`, true otherwise
+ */
+export const emit = (name, detail) => {
+  const emitter = getCurrentEmitter()
+
+  if (!emitter) {
+    logger.warn('emit called outside component/directive context')
+    return false
+  }
+
+  if (!isNonEmptyString(name)) {
+    throw new Error('[HookTML] emit() requires an event name')
+  }
+
+  const eventName = getEventName(name, emitter.owner)
+  logger.log(`Emitting "${eventName}" from element:`, emitter.element)
+
+  return emitter.element.dispatchEvent(new CustomEvent(eventName, {
+    detail,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  }))
+}
+
+/**
+ * Listens for an event, typically a namespaced one such as `dialog:close`.
+ * Inside a component or hook the listener is removed on teardown.
+ * @param {EventTarget} target - The element (or document, window) to listen on
+ * @param {string} eventName - The full event name
+ * @param {(event: CustomEvent) => void} handler - Called with the event; `event.detail` holds the emitted detail
+ * @returns {() => void} Removes the listener
+ */
+export const on = (target, eventName, handler) => {
+  if (!isEventTarget(target)) {
+    throw new Error('[HookTML] on() requires an EventTarget as first argument')
+  }
+
+  if (!isNonEmptyString(eventName)) {
+    throw new Error('[HookTML] on() requires an event name')
+  }
+
+  if (!isFunction(handler)) {
+    throw new Error('[HookTML] on() requires a handler function')
+  }
+
+  const listener = /** @type {EventListener} */ (bindEmitter(handler))
+  target.addEventListener(eventName, listener)
+
+  const off = () => target.removeEventListener(eventName, listener)
+
+  const context = getCurrentContext()
+  if (context) {
+    registerCleanup(context.element, off, context.owner)
+  }
+
+  return off
+}
@@ -6,22 +6,24 @@ import { isFunction, isNil, isEmptyArray, isNotNil, isNonEmptyArray, isArray, is
 import { tryCatch } from '../utils/try-catch.js'
 import { getConfig } from './config.js'
 import { logger } from '../utils/logger.js'
+import { trackSignals } from './computed.js'
+import { bindEmitter } from './events.js'
 
 /**
  * Stack of active hook contexts
- * @type {Array<{element: HTMLElement, effectQueue: Function[], cleanups: Function[]}>}
+ * @type {Array<{element: HTMLElement, owner: string, effectQueue: Function[], cleanups: Function[]}>}
  */
 const hookContextStack = []
 
 /**
- * Map to store cleanup functions for each element
- * @type {WeakMap<HTMLElement, Function[]>}
+ * Map to store cleanup functions for each element, tagged with the component or hook that registered them
+ * @type {WeakMap<HTMLElement, Array<{cleanup: Function, owner: string}>>}
  */
 const componentCleanups = new WeakMap()
 
 /**
- * Map to store effect subscriptions for each element
- * @type {WeakMap<HTMLElement, Map<number, Set<Function>>>}
+ * Map to store effect subscriptions for each element, by effect key
+ * @type {WeakMap<HTMLElement, Map<string, Set<Function>>>}
  */
 const effectSubscriptions = new WeakMap()
 
@@ -32,25 +34,36 @@ const effectSubscriptions = new WeakMap()
 const effectOrder = new WeakMap()
 
 /**
- * Map to store effect cleanups by order
- * @type {WeakMap<HTMLElement, Map<number, Function>>}
+ * Map to store effect cleanups by effect key
+ * @type {WeakMap<HTMLElement, Map<string, Function>>}
  */
 const effectCleanups = new WeakMap()
 
 /**
- * Map to track initialized effects by order
- * @type {WeakMap<HTMLElement, Set<number>>}
+ * Map to track initialized effects by effect key
+ * @type {WeakMap<HTMLElement, Set<string>>}
  */
 const initializedEffects = new WeakMap()
 
+/**
+ * Builds the key effects are stored under. Effects are numbered per owner, so
+ * several components and hooks on one element don't share effect state.
+ * @param {string} owner - The component or hook name
+ * @param {number} order - The effect's order within the owner
+ * @returns {string} The effect key
+ */
+const getEffectKey = (owner, order) => `${owner}:${order}`
+
 /**
  * Creates a hook context for a component or directive
  * @param {HTMLElement} element - The component/directive element
+ * @param {string} [owner=''] - The component or hook name the context belongs to
  * @returns {Object} - The hook context object
  */
-export const createHookContext = (element) => {
+export const createHookContext = (element, owner = '') => {
   const context = {
     element,
+    owner,
     effectQueue: [],
     cleanups: []
   }
@@ -78,10 +91,10 @@ export const getCurrentContext = () => {
  * Executes an effect and sets up any necessary cleanup
  * @param {Function} effectFn - The effect function to execute
  * @param {HTMLElement} element - The associated element
- * @param {number} order - The effect's order in the hook
+ * @param {string} key - The effect's key, from its owner and order
  * @returns {Function|undefined} - The cleanup function if one was returned
  */
-const executeEffect = (effectFn, element, order) => {
+const executeEffect = (effectFn, element, key) => {
   let cleanup
   
   tryCatch({
@@ -93,8 +106,8 @@ const executeEffect = (effectFn, element, order) => {
         effectCleanups.set(element, elementCleanups)
       }
       
-      // Run existing cleanup for this effect order if it exists
-      const existingCleanup = elementCleanups.get(order)
+      // Run existing cleanup for this effect if it exists
+      const existingCleanup = elementCleanups.get(key)
       if (isFunction(existingCleanup)) {
         runCleanup(existingCleanup)
       }
@@ -104,7 +117,7 @@ const executeEffect = (effectFn, element, order) => {
       
       // If the effect returns a cleanup function, store it
       if (isFunction(cleanup)) {
-        elementCleanups.set(order, cleanup)
+        elementCleanups.set(key, cleanup)
       }
       
       // Mark this effect as initialized
@@ -113,7 +126,7 @@ const executeEffect = (effectFn, element, order) => {
         elementInitialized = new Set()
         initializedEffects.set(element, elementInitialized)
       }
-      elementInitialized.add(order)
+      elementInitialized.add(key)
     },
     onError: (error) => {
       logger.error('Error in effect execution:', error)
@@ -128,7 +141,7 @@ const executeEffect = (effectFn, element, order) => {
  * @param {Object} context - The hook context
  */
 const executeEffectQueue = (context) => {
-  const { element, effectQueue } = context
+  const { element, owner, effectQueue } = context
   
   if (isEmptyArray(effectQueue)) {
     return
@@ -145,8 +158,9 @@ const executeEffectQueue = (context) => {
   
   // Execute each effect that hasn't been initialized
   effectQueue.forEach((effect, index) => {
-    if (!elementInitialized.has(index)) {
-      executeEffect(effect, element, index)
+    const key = getEffectKey(owner, index)
+    if (!elementInitialized.has(key)) {
+      executeEffect(effect, element, key)
     }
   })
   
@@ -161,10 +175,11 @@ const executeEffectQueue = (context) => {
  * Executes a callback with a hook context for the given element
  * @param {HTMLElement} element - The component/directive element
  * @param {Function} callback - The callback to execute
+ * @param {string} [owner=''] - The component or hook name, so its effects and cleanups can be torn down on their own
  * @returns {*} - The result of the callback
  */
-export const withHookContext = (element, callback) => {
-  const context = createHookContext(element)
+export const withHookContext = (element, callback, owner = '') => {
+  const context = createHookContext(element, owner)
   hookContextStack.push(context)
   
   return tryCatch({
@@ -199,9 +214,109 @@ const runCleanup = (cleanup) => {
 }
 
 /**
- * React-like useEffect hook with signal dependency tracking
+ * Registers a cleanup function to run when an element is torn down
+ * @param {HTMLElement} element - The component/directive element
+ * @param {Function} cleanup - The cleanup function
+ * @param {string} [owner=''] - The component or hook the cleanup belongs to
+ */
+export const registerCleanup = (element, cleanup, owner = '') => {
+  if (!isFunction(cleanup)) return
+
+  const cleanups = componentCleanups.get(element) || []
+  cleanups.push({ cleanup, owner })
+  componentCleanups.set(element, cleanups)
+}
+
+/**
+ * Creates an effect that re-runs whenever a signal it read changes.
+ * Dependencies are collected again on every run.
+ * @param {Function} effectFn - Effect function that may return a cleanup function
+ * @returns {() => void} Dispose function
+ */
+const createTrackedEffect = (effectFn) => {
+  const state = {
+    cleanup: undefined,
+    unsubscribes: [],
+    disposed: false
+  }
+
+  const unsubscribeAll = () => {
+    state.unsubscribes.forEach(unsub => unsub())
+    state.unsubscribes = []
+  }
+
+  const run = () => {
+    if (state.disposed) return
+
+    unsubscribeAll()
+    runCleanup(state.cleanup)
+    state.cleanup = undefined
+
+    const dependencies = new Set()
+
+    tryCatch({
+      fn: () => {
+        const cleanup = trackSignals(effectFn, (dependency) => {
+          if (isSignal(dependency)) {
+            dependencies.add(dependency)
+          }
+        })
+
+        if (isFunction(cleanup)) {
+          state.cleanup = cleanup
+        }
+      },
+      onError: (error) => {
+        logger.error('Error in effect execution:', error)
+      }
+    })
+
+    // Subscribe after the run so writes made by the effect itself don't re-trigger it
+    dependencies.forEach(dependency => {
+      state.unsubscribes.push(dependency.subscribe(run))
+    })
+  }
+
+  run()
+
+  return () => {
+    if (state.disposed) return
+
+    state.disposed = true
+    unsubscribeAll()
+    runCleanup(state.cleanup)
+    state.cleanup = undefined
+  }
+}
+
+/**
+ * Runs a function immediately and re-runs it whenever any signal it reads changes.
+ * When called inside a component or hook, the effect is disposed with its element
+ * and `emit()` in every run dispatches from that component or hook.
+ * @param {Function} effectFn - Effect function that may return a cleanup function
+ * @returns {() => void} Dispose function that stops the effect and runs its cleanup
+ */
+export const effect = (effectFn) => {
+  if (!isFunction(effectFn)) {
+    throw new Error('[HookTML] effect() requires a function')
+  }
+
+  const dispose = createTrackedEffect(bindEmitter(effectFn))
+
+  const context = getCurrentContext()
+  if (context) {
+    registerCleanup(context.element, dispose, context.owner)
+  }
+
+  return dispose
+}
+
+/**
+ * React-like useEffect hook with signal dependency tracking.
+ * Without a dependencies array, every signal read during the effect is tracked automatically.
+ * `emit()` inside the effect dispatches from the calling component or hook, also on re-runs.
  * @param {Function} setupFn - Setup function that may return a cleanup function
- * @param {Array} dependencies - Array of dependencies (empty array for one-time effects)
+ * @param {Array} [dependencies] - Array of dependencies (empty array for one-time effects, omit to auto-track)
  */
 export const useEffect = (setupFn, dependencies) => {
   const context = getCurrentContext()
@@ -211,21 +326,27 @@ export const useEffect = (setupFn, dependencies) => {
     return
   }
   
-  // Throw an error if dependencies array is not provided
-  if (isNil(dependencies)) {
-    throw new Error('[HookTML] useEffect requires a dependencies array. For one-time effects, use an empty array [].')
-  }
-  
-  // Ensure dependencies is an array
-  if (!isArray(dependencies)) {
+  // Ensure dependencies, when provided, is an array
+  if (!isNil(dependencies) && !isArray(dependencies)) {
     throw new Error('[HookTML] useEffect dependencies must be an array.')
   }
   
-  const { element } = context
+  const { element, owner } = context
+
+  // Re-runs happen outside the hook context, so bind the emitter now
+  const runSetup = bindEmitter(setupFn, context)
   
   // Get current effect order for this element
   const currentOrder = effectOrder.get(element) || 0
   effectOrder.set(element, currentOrder + 1)
+  const effectKey = getEffectKey(owner, currentOrder)
+  
+  // Without dependencies, track signals automatically. The returned dispose
+  // function is stored as the effect's cleanup and runs on teardown.
+  if (isNil(dependencies)) {
+    context.effectQueue.push(() => createTrackedEffect(runSetup))
+    return
+  }
   
   // Check for non-signal dependencies and warn developers
   if (isNonEmptyArray(dependencies)) {
@@ -255,24 +376,27 @@ export const useEffect = (setupFn, dependencies) => {
       effectSubscriptions.set(element, elementSubs)
     }
     
-    // Get or create subscription set for this effect order
-    let effectSubs = elementSubs.get(currentOrder)
+    // Get or create subscription set for this effect
+    let effectSubs = elementSubs.get(effectKey)
     if (!effectSubs) {
       effectSubs = new Set()
-      elementSubs.set(currentOrder, effectSubs)
+      elementSubs.set(effectKey, effectSubs)
     }
     
     // Clean up old subscriptions
     effectSubs.forEach(unsub => unsub())
     effectSubs.clear()
     
+    // Re-run effect when any signal changes. A single shared callback lets
+    // batch() run the effect once even when several dependencies change.
+    const onDependencyChange = () => {
+      runEffect()
+    }
+
     // Set up new subscriptions for signal dependencies
     dependencies.forEach(dep => {
       if (isSignal(dep)) {
-        const unsubscribe = dep.subscribe(() => {
-          // Re-run effect when signal changes
-          runEffect()
-        })
+        const unsubscribe = dep.subscribe(onDependencyChange)
         effectSubs.add(unsubscribe)
       }
     })
@@ -286,18 +410,18 @@ export const useEffect = (setupFn, dependencies) => {
         effectCleanups.set(element, elementCleanups)
       }
       
-      // Run existing cleanup for this effect order if it exists
-      const existingCleanup = elementCleanups.get(currentOrder)
+      // Run existing cleanup for this effect if it exists
+      const existingCleanup = elementCleanups.get(effectKey)
       if (isFunction(existingCleanup)) {
         runCleanup(existingCleanup)
       }
       
       // Run the new effect
-      const cleanup = setupFn()
+      const cleanup = runSetup()
       
       // If the effect returns a cleanup function, store it
       if (isFunction(cleanup)) {
-        elementCleanups.set(currentOrder, cleanup)
+        elementCleanups.set(effectKey, cleanup)
       }
       
       return cleanup
@@ -310,48 +434,89 @@ export const useEffect = (setupFn, dependencies) => {
   context.effectQueue.push(effectWrapper)
 }
 
+/**
+ * Removes the entries selected by a predicate from a keyed map
+ * @template V
+ * @param {Map<string, V>} map - The map to take entries from
+ * @param {(key: string) => boolean} predicate - Selects the keys to take
+ * @returns {V[]} The removed values
+ */
+const takeEntries = (map, predicate) => {
+  const taken = []
+  map.forEach((value, key) => {
+    if (predicate(key)) {
+      taken.push(value)
+      map.delete(key)
+    }
+  })
+  return taken
+}
+
 /**
  * Runs cleanup functions for an element
  * @param {HTMLElement} element - The element to clean up
+ * @param {string} [owner] - Only clean up what this component or hook registered; omit to clean up everything
  * @returns {boolean} - Whether any cleanups were found and executed
  */
-export const runCleanupFunctions = (element) => {
-  const cleanups = componentCleanups.get(element)
+export const runCleanupFunctions = (element, owner) => {
+  const isOwner = (name) => isNil(owner) || name === owner
+  const isOwnEffect = (key) => isNil(owner) || key.startsWith(getEffectKey(owner, ''))
   let hasCleanups = false
   
   // Run regular cleanup functions
+  const cleanups = componentCleanups.get(element)
   if (isNotNil(cleanups) && isNonEmptyArray(cleanups)) {
-    cleanups.forEach(cleanup => {
+    const owned = cleanups.filter(entry => isOwner(entry.owner))
+    const remaining = cleanups.filter(entry => !isOwner(entry.owner))
+
+    owned.forEach(({ cleanup }) => {
       runCleanup(cleanup)
     })
-    componentCleanups.delete(element)
-    hasCleanups = true
+
+    if (isEmptyArray(remaining)) {
+      componentCleanups.delete(element)
+    } else {
+      componentCleanups.set(element, remaining)
+    }
+    hasCleanups = isNonEmptyArray(owned)
   }
   
   // Clean up effect subscriptions
   const elementSubs = effectSubscriptions.get(element)
   if (elementSubs) {
-    elementSubs.forEach(effectSubs => {
+    takeEntries(elementSubs, isOwnEffect).forEach(effectSubs => {
       effectSubs.forEach(unsub => unsub())
       effectSubs.clear()
+      hasCleanups = true
     })
-    effectSubscriptions.delete(element)
-    hasCleanups = true
+    if (elementSubs.size === 0) {
+      effectSubscriptions.delete(element)
+    }
   }
   
   // Run effect cleanups
   const elementEffectCleanups = effectCleanups.get(element)
   if (elementEffectCleanups) {
-    elementEffectCleanups.forEach(cleanup => {
+    takeEntries(elementEffectCleanups, isOwnEffect).forEach(cleanup => {
       runCleanup(cleanup)
+      hasCleanups = true
     })
-    effectCleanups.delete(element)
-    hasCleanups = true
+    if (elementEffectCleanups.size === 0) {
+      effectCleanups.delete(element)
+    }
   }
   
   // Remove effect order and initialization state
-  effectOrder.delete(element)
-  initializedEffects.delete(element)
+  const elementInitialized = initializedEffects.get(element)
+  if (elementInitialized) {
+    Array.from(elementInitialized)
+      .filter(isOwnEffect)
+      .forEach(key => elementInitialized.delete(key))
+  }
+  if (isNil(owner)) {
+    effectOrder.delete(element)
+    initializedEffects.delete(element)
+  }
   
   return hasCleanups
 }
@@ -42,12 +42,28 @@ export const storeHookInstance = (element, hookName, instance) => {
 }
 
 /**
- * Clears all hook instances for an element
+ * Gets the names of the hooks applied to an element
+ * @param {HTMLElement} element - The element to check
+ * @returns {string[]} The hook names, including hooks that returned no instance
+ */
+export const getHookInstanceNames = (element) => {
+  if (!isHTMLElement(element)) return []
+  return Array.from(hookInstanceRegistry.get(element)?.keys() ?? [])
+}
+
+/**
+ * Clears the hook instances for an element
  * @param {HTMLElement} element - The element to clear hook instances for
+ * @param {string} [hookName] - Only clear this hook; omit to clear every hook
  */
-export const clearHookInstances = (element) => {
+export const clearHookInstances = (element, hookName) => {
   if (!isHTMLElement(element)) return
-  hookInstanceRegistry.delete(element)
+
+  if (hookName === undefined) {
+    hookInstanceRegistry.delete(element)
+  } else {
+    hookInstanceRegistry.get(element)?.delete(hookName)
+  }
 }
 
 /**
@@ -1,5 +1,8 @@
-import { isEmptyString, isFunction, isString } from '../utils/type-guards.js'
+import { isEmptyString, isFunction, isNil, isString } from '../utils/type-guards.js'
 import { logger } from '../utils/logger.js'
+import { resolveModuleExport } from '../utils/modules.js'
+import { useModelDirective } from '../hooks/useModel.js'
+import { useFormDirective } from '../hooks/useForm.js'
 
 /**
  * Validates that a hook name follows the use* naming convention
@@ -32,6 +35,29 @@ const hookRegistry = new Map()
  */
 const chainableHookRegistry = new Map()
 
+/**
+ * Hooks that ship with HookTML as use-* directives, available without registering them.
+ * A registered hook with the same name takes precedence. They are defaults rather than
+ * registrations, so clearHookRegistry() keeps them and getRegisteredHooks() leaves them out.
+ * The names are spelled out so they survive minification.
+ * @type {Map<string, HookCallback>}
+ */
+const builtInHookRegistry = new Map([
+  ['useModel', useModelDirective],
+  ['useForm', useFormDirective]
+])
+
+/**
+ * @typedef {() => Promise<unknown>} HookLoader
+ */
+
+/**
+ * Internal storage for lazily loaded hooks
+ * Maps hook names to their loaders and any in-flight load
+ * @type {Map<string, { loader: HookLoader, promise: Promise<HookCallback|undefined>|null }>}
+ */
+const lazyHookRegistry = new Map()
+
 /**
  * Registers a hook with HookTML
  * @param {HookCallback} callback - The hook callback function
@@ -107,7 +133,91 @@ export const registerChainableHook = (callback) => {
 }
 
 /**
- * Gets all registered hook names
+ * Registers a hook that is only imported when a matching use-* attribute first appears
+ * @param {string} name - The hook name (e.g. 'useTooltip')
+ * @param {HookLoader} loader - Function that imports the hook module (e.g. `() => import('./useTooltip.js')`)
+ * @returns {boolean} True if the hook was newly registered, false otherwise
+ */
+export const registerLazyHook = (name, loader) => {
+  if (!isValidHookName(name)) {
+    logger.warn(`Invalid hook name: "${name}". Hook names must start with "use"`)
+    return false
+  }
+
+  if (!isFunction(loader)) {
+    logger.warn(`Invalid loader for lazy hook "${name}": must be a function`)
+    return false
+  }
+
+  if (hookRegistry.has(name) || lazyHookRegistry.has(name)) {
+    return false
+  }
+
+  lazyHookRegistry.set(name, { loader, promise: null })
+  logger.log(`Registered lazy hook: ${name}`)
+  return true
+}
+
+/**
+ * Checks if a hook is registered lazily and not loaded yet
+ * @param {string} name - The hook name
+ * @returns {boolean} Whether the hook is waiting to be loaded
+ */
+export const isLazyHook = (name) => {
+  return isString(name) && lazyHookRegistry.has(name) && !hookRegistry.has(name)
+}
+
+/**
+ * Loads a lazy hook and registers it. Concurrent calls share one import.
+ * @param {string} name - The hook name
+ * @returns {Promise<HookCallback|undefined>} The hook function, or undefined if loading failed
+ */
+export const loadLazyHook = (name) => {
+  const loaded = getRegisteredHook(name)
+  if (isFunction(loaded)) return Promise.resolve(loaded)
+
+  const entry = lazyHookRegistry.get(name)
+  if (isNil(entry)) return Promise.resolve(undefined)
+
+  if (isNil(entry.promise)) {
+    logger.log(`Loading lazy hook: ${name}`)
+
+    entry.promise = Promise.resolve()
+      .then(() => entry.loader())
+      .then((module) => {
+        const hookFn = resolveModuleExport(module, name)
+
+        if (!isFunction(hookFn)) {
+          throw new Error(`Lazy hook "${name}" did not resolve to a function`)
+        }
+
+        // Register under the requested name, which may differ from a minified function name
+        hookRegistry.set(name, hookFn)
+        lazyHookRegistry.delete(name)
+        logger.log(`Registered hook: ${name}`)
+        return hookFn
+      })
+      .catch((error) => {
+        // Allow a later appearance to retry
+        entry.promise = null
+        logger.error(`Error loading lazy hook "${name}":`, error)
+        return undefined
+      })
+  }
+
+  return entry.promise
+}
+
+/**
+ * Gets the names of lazy hooks that have not been loaded yet
+ * @returns {string[]} Array of lazy hook names
+ */
+export const getLazyHookNames = () => {
+  return Array.from(lazyHookRegistry.keys()).filter(name => !hookRegistry.has(name))
+}
+
+/**
+ * Gets all registered hook names, without the built-in directives
  * @returns {string[]} Array of registered hook names
  */
 export const getRegisteredHookNames = () => {
@@ -132,6 +242,16 @@ export const getRegisteredHook = (name) => {
   return hookRegistry.get(name)
 }
 
+/**
+ * Gets the hook a use-* directive runs: the registered hook, or else the built-in directive
+ * @param {string} name - The hook name
+ * @returns {HookCallback|undefined} The hook callback function or undefined if not found
+ */
+export const getDirectiveHook = (name) => {
+  if (!isString(name)) return undefined
+  return hookRegistry.get(name) ?? builtInHookRegistry.get(name)
+}
+
 /**
  * Gets a registered chainable hook callback by name
  * @param {string} name - The name of the chainable hook to retrieve
@@ -143,13 +263,22 @@ export const getRegisteredChainableHook = (name) => {
 }
 
 /**
- * Returns a map of all registered hooks
+ * Returns a map of all registered hooks, without the built-in directives
  * @returns {Map<string, HookCallback>} Map of hook names to their callbacks
  */
 export const getRegisteredHooks = () => {
   return new Map(hookRegistry)
 }
 
+/**
+ * Returns a map of every hook use-* directives can run: the built-in directives
+ * and the registered hooks, which take precedence
+ * @returns {Map<string, HookCallback>} Map of hook names to their callbacks
+ */
+export const getDirectiveHooks = () => {
+  return new Map([...builtInHookRegistry, ...hookRegistry])
+}
+
 /**
  * Returns a map of all registered chainable hooks
  * @returns {Map<string, HookCallback>} Map of chainable hook names to their callbacks
@@ -164,6 +293,7 @@ export const getRegisteredChainableHooks = () => {
  */
 export const clearHookRegistry = () => {
   hookRegistry.clear()
+  lazyHookRegistry.clear()
   logger.log('Hook registry cleared')
 }
 
@@ -7,22 +7,54 @@ import { LifecycleManager } from './lifecycleManager.js'
  */
 export const lifecycleManager = new LifecycleManager()
 
+/**
+ * Elements torn down with unmount(). Observers and pending lazy loads leave them alone
+ * until they are mounted again, or removed from the DOM and inserted again.
+ * @type {WeakSet<HTMLElement>}
+ */
+const unmountedElements = new WeakSet()
+
+/**
+ * Marks an element as explicitly unmounted
+ * @param {HTMLElement} element - The element
+ */
+export const markUnmounted = (element) => {
+  unmountedElements.add(element)
+}
+
+/**
+ * Clears the unmounted mark, e.g. when the element is mounted again
+ * @param {HTMLElement} element - The element
+ */
+export const clearUnmounted = (element) => {
+  unmountedElements.delete(element)
+}
+
+/**
+ * Checks whether an element was explicitly unmounted
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} Whether the element is marked as unmounted
+ */
+export const isUnmounted = (element) => unmountedElements.has(element)
+
 /**
  * Checks if an element has been initialized
  * @param {HTMLElement} element - The element to check
- * @returns {boolean} Whether the element has been initialized
+ * @param {string} [componentName] - Only check this component
+ * @returns {boolean} Whether the element (or the given component on it) has been initialized
  */
-export const isInitialized = (element) => {
-  return lifecycleManager.isInitialized(element)
+export const isInitialized = (element, componentName) => {
+  return lifecycleManager.isInitialized(element, componentName)
 }
 
 /**
  * Marks an element as initialized
  * @param {HTMLElement} element - The element to mark
+ * @param {string} [componentName] - The component that initialized
  */
-export const markInitialized = (element) => {
+export const markInitialized = (element, componentName) => {
   if (isHTMLElement(element)) {
-    lifecycleManager.markInitialized(element)
+    lifecycleManager.markInitialized(element, componentName)
   }
 }
 
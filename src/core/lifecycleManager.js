@@ -5,7 +5,15 @@ import { StateManager } from './stateManager.js'
 
 /**
  * @typedef {Object} Registration
- * @property {Function | undefined} component - The component teardown function
+ * @property {Map<string, Function>} components - Component teardown functions by component name
+ * @property {Function[]} directives - Array of directive teardown functions
+ * @property {Map<string, Function>} directivesByName - The same directive teardown functions by directive name
+ */
+
+/**
+ * @typedef {Object} Teardowns
+ * @property {Function | undefined} component - The first component teardown function
+ * @property {Map<string, Function>} components - Component teardown functions by component name
  * @property {Function[]} directives - Array of directive teardown functions
  */
 
@@ -15,6 +23,50 @@ import { StateManager } from './stateManager.js'
  * @property {Error | undefined} error - Any error that occurred during teardown
  */
 
+/**
+ * Component name used when a component registers without one
+ */
+const DEFAULT_COMPONENT = ''
+
+/**
+ * Combines several results into one that fails if any of them failed
+ * @param {TeardownResult[]} results - The results to combine
+ * @returns {TeardownResult} The combined result, with the first error
+ */
+const combineResults = (results) => ({
+  success: results.every(result => result.success),
+  error: results.find(result => !result.success)?.error
+})
+
+/**
+ * Runs a lifecycle callback and reports whether it succeeded
+ * @param {Function} callback - The callback to run
+ * @param {string} errorMessage - Logged when the callback throws
+ * @param {...any} args - Arguments for the callback
+ * @returns {TeardownResult} The result of the callback
+ */
+const runSafely = (callback, errorMessage, ...args) =>
+  tryCatch({
+    fn: () => {
+      callback(...args)
+      return { success: true, error: undefined }
+    },
+    onError: (error) => {
+      logger.error(errorMessage, error)
+      return { success: false, error }
+    }
+  })
+
+/**
+ * Gets the callbacks for an element that match a component name, or all of them
+ * @param {Map<string, Function> | undefined} callbacks - Callbacks by component name
+ * @param {string} [componentName] - The component name; omit for every component
+ * @returns {Array<[string, Function]>} Matching entries
+ */
+const selectCallbacks = (callbacks, componentName) =>
+  Array.from(callbacks?.entries() ?? [])
+    .filter(([name]) => componentName === undefined || name === componentName)
+
 /**
  * Manages lifecycle operations for both components and directives
  * 
@@ -22,10 +74,10 @@ import { StateManager } from './stateManager.js'
  * ```js
  * const manager = new LifecycleManager()
  * 
- * // Register a component with teardown
+ * // Register a component with teardown; several components can share an element
  * manager.registerComponent(element, () => {
  *   // Cleanup code
- * })
+ * }, 'Tabs')
  * 
  * // Register a directive with teardown
  * manager.registerDirective(element, () => {
@@ -45,16 +97,123 @@ export class LifecycleManager {
   constructor() {
     /** @type {WeakMap<HTMLElement, Registration>} */
     this.teardownRegistry = new WeakMap()
+    /** @type {WeakMap<HTMLElement, Map<string, Function>>} */
+    this.pendingRegistry = new WeakMap()
+    /** @type {WeakMap<HTMLElement, Map<string, Function>>} */
+    this.moveRegistry = new WeakMap()
     this.stateManager = new StateManager()
   }
 
+  /**
+   * Registers a callback to run when the element is moved rather than removed
+   * @param {HTMLElement} element - The DOM element
+   * @param {Function} handler - Called with the element after it moves
+   * @param {string} [componentName] - The component the handler belongs to
+   * @returns {boolean} Whether registration was successful
+   */
+  registerMoveHandler(element, handler, componentName = DEFAULT_COMPONENT) {
+    if (!isHTMLElement(element)) {
+      throw new Error('[HookTML] registerMoveHandler requires an HTMLElement')
+    }
+
+    if (!isFunction(handler)) {
+      return false
+    }
+
+    const handlers = this.moveRegistry.get(element) || new Map()
+    handlers.set(componentName, handler)
+    this.moveRegistry.set(element, handlers)
+    return true
+  }
+
+  /**
+   * Runs the move handlers for an element, if it has any
+   * @param {HTMLElement} element - The DOM element that moved
+   * @returns {TeardownResult} The combined result of the move handlers
+   */
+  executeMoveHandler(element) {
+    if (!isHTMLElement(element)) {
+      throw new Error('[HookTML] executeMoveHandler requires an HTMLElement')
+    }
+
+    const results = selectCallbacks(this.moveRegistry.get(element))
+      .map(([, handler]) => runSafely(handler, 'Error in move handler:', element))
+
+    return combineResults(results)
+  }
+
+  /**
+   * Registers a pending initialization that is cancelled if the element is torn down first
+   * @param {HTMLElement} element - The DOM element
+   * @param {Function} cancel - Cancels the scheduled initialization
+   * @param {string} [componentName] - The component waiting to initialize
+   * @returns {boolean} Whether registration was successful
+   */
+  registerPending(element, cancel, componentName = DEFAULT_COMPONENT) {
+    if (!isHTMLElement(element)) {
+      throw new Error('[HookTML] registerPending requires an HTMLElement')
+    }
+
+    if (!isFunction(cancel)) {
+      return false
+    }
+
+    const pending = this.pendingRegistry.get(element) || new Map()
+    pending.set(componentName, cancel)
+    this.pendingRegistry.set(element, pending)
+    return true
+  }
+
+  /**
+   * Checks if an element has a pending initialization
+   * @param {HTMLElement} element - The DOM element
+   * @param {string} [componentName] - Only check this component
+   * @returns {boolean} Whether initialization is pending
+   */
+  isPending(element, componentName) {
+    return isHTMLElement(element) && selectCallbacks(this.pendingRegistry.get(element), componentName).length > 0
+  }
+
+  /**
+   * Forgets a pending initialization without cancelling it, once it has run
+   * @param {HTMLElement} element - The DOM element
+   * @param {string} [componentName] - Only forget this component; omit for every component
+   */
+  clearPending(element, componentName) {
+    if (!isHTMLElement(element)) return
+
+    const pending = this.pendingRegistry.get(element)
+    selectCallbacks(pending, componentName).forEach(([name]) => pending?.delete(name))
+  }
+
+  /**
+   * Cancels a pending initialization
+   * @param {HTMLElement} element - The DOM element
+   * @param {string} [componentName] - Only cancel this component; omit for every component
+   * @returns {TeardownResult} The result of the cancellation
+   */
+  cancelPending(element, componentName) {
+    if (!isHTMLElement(element)) {
+      throw new Error('[HookTML] cancelPending requires an HTMLElement')
+    }
+
+    const pending = this.pendingRegistry.get(element)
+    const results = selectCallbacks(pending, componentName).map(([name, cancel]) => {
+      pending?.delete(name)
+      return runSafely(cancel, 'Error cancelling pending initialization:')
+    })
+
+    return combineResults(results)
+  }
+
   /**
    * Registers a component and marks it as initialized
    * @param {HTMLElement} element - The DOM element
    * @param {Function} teardown - The teardown function
+   * @param {string} [componentName] - The component name, so several components can share the element
    * @returns {boolean} Whether registration was successful
    */
-  registerComponent(element, teardown) {
+  registerComponent(element, teardown, componentName = DEFAULT_COMPONENT) {
     if (!isHTMLElement(element)) {
       throw new Error('[HookTML] registerComponent requires an HTMLElement')
     }
@@ -63,14 +222,9 @@ export class LifecycleManager {
       return false
     }
 
-    let registration = this.teardownRegistry.get(element)
-    if (!registration) {
-      registration = { component: undefined, directives: [] }
-      this.teardownRegistry.set(element, registration)
-    }
-
-    registration.component = teardown
-    this.stateManager.markInitialized(element)
+    const registration = this.getOrCreateRegistration(element)
+    registration.components.set(componentName, teardown)
+    this.stateManager.markInitialized(element, componentName || undefined)
     return true
   }
 
@@ -94,13 +248,9 @@ export class LifecycleManager {
       throw new Error('[HookTML] directiveName is required')
     }
 
-    let registration = this.teardownRegistry.get(element)
-    if (!registration) {
-      registration = { component: undefined, directives: [] }
-      this.teardownRegistry.set(element, registration)
-    }
-
+    const registration = this.getOrCreateRegistration(element)
     registration.directives.push(teardown)
+    registration.directivesByName.set(directiveName, teardown)
     this.stateManager.markDirectiveInitialized(element, directiveName)
     return true
   }
@@ -108,14 +258,15 @@ export class LifecycleManager {
   /**
    * Gets the component teardown function for an element
    * @param {HTMLElement} element - The DOM element
+   * @param {string} [componentName] - The component name; omit for the first registered component
    * @returns {Function | undefined} The teardown function if it exists
    */
-  getComponentTeardown(element) {
+  getComponentTeardown(element, componentName) {
     if (!isHTMLElement(element)) {
       throw new Error('[HookTML] getComponentTeardown requires an HTMLElement')
     }
-    const registration = this.teardownRegistry.get(element)
-    return registration?.component
+    const [entry] = selectCallbacks(this.teardownRegistry.get(element)?.components, componentName)
+    return entry?.[1]
   }
 
   /**
@@ -134,15 +285,17 @@ export class LifecycleManager {
   /**
    * Gets all teardown functions for an element
    * @param {HTMLElement} element - The DOM element
-   * @returns {Registration} Object containing component and directive teardowns
+   * @returns {Teardowns} Object containing component and directive teardowns
    */
   getTeardowns(element) {
     if (!isHTMLElement(element)) {
       throw new Error('[HookTML] getTeardowns requires an HTMLElement')
     }
-    return this.teardownRegistry.get(element) ?? {
-      component: undefined,
-      directives: []
+    const registration = this.teardownRegistry.get(element)
+    return {
+      component: this.getComponentTeardown(element),
+      components: registration?.components ?? new Map(),
+      directives: registration?.directives ?? []
     }
   }
 
@@ -156,7 +309,7 @@ export class LifecycleManager {
     
     const registration = this.teardownRegistry.get(element)
     return isNotNil(registration) && (
-      isFunction(registration.component) || 
+      (registration.components?.size ?? 0) > 0 ||
       isNonEmptyArray(registration.directives)
     )
   }
@@ -164,30 +317,69 @@ export class LifecycleManager {
   /**
    * Executes teardown for a component
    * @param {HTMLElement} element - The DOM element
-   * @returns {TeardownResult} The result of the teardown operation
+   * @param {string} [componentName] - Only tear down this component; omit for every component
+   * @returns {TeardownResult} The combined result of the teardown operations
    */
-  executeComponentTeardown(element) {
+  executeComponentTeardown(element, componentName) {
     if (!isHTMLElement(element)) {
       throw new Error('[HookTML] executeComponentTeardown requires an HTMLElement')
     }
 
     const registration = this.teardownRegistry.get(element)
-    if (!registration?.component) {
+    const results = selectCallbacks(registration?.components, componentName).map(([name, teardown]) => {
+      const result = runSafely(teardown, 'Error in component teardown:')
+      if (result.success) {
+        registration?.components.delete(name)
+      }
+      return result
+    })
+
+    return combineResults(results)
+  }
+
+  /**
+   * Tears down a single component on an element, leaving other components and directives running
+   * @param {HTMLElement} element - The DOM element
+   * @param {string} componentName - The component name
+   * @returns {TeardownResult} The result of the teardown operation
+   */
+  teardownComponent(element, componentName) {
+    if (!isHTMLElement(element)) {
+      throw new Error('[HookTML] teardownComponent requires an HTMLElement')
+    }
+
+    this.cancelPending(element, componentName)
+    const result = this.executeComponentTeardown(element, componentName)
+
+    this.teardownRegistry.get(element)?.components.delete(componentName)
+    this.moveRegistry.get(element)?.delete(componentName)
+    this.stateManager.clearComponentState(element, componentName)
+
+    return result
+  }
+
+  /**
+   * Tears down a single directive on an element, leaving its components and other directives running
+   * @param {HTMLElement} element - The DOM element
+   * @param {string} directiveName - The name of the directive
+   * @returns {TeardownResult} The result of the teardown operation
+   */
+  teardownDirective(element, directiveName) {
+    if (!isHTMLElement(element)) {
+      throw new Error('[HookTML] teardownDirective requires an HTMLElement')
+    }
+
+    const registration = this.teardownRegistry.get(element)
+    const teardown = registration?.directivesByName?.get(directiveName)
+    this.stateManager.clearDirectiveState(element, directiveName)
+
+    if (!registration || !teardown) {
       return { success: true, error: undefined }
     }
 
-    const teardown = registration.component
-    return tryCatch({
-      fn: () => {
-        teardown()
-        registration.component = undefined
-        return { success: true, error: undefined }
-      },
-      onError: (error) => {
-        logger.error('Error in component teardown:', error)
-        return { success: false, error }
-      }
-    })
+    registration.directivesByName.delete(directiveName)
+    registration.directives = registration.directives.filter(fn => fn !== teardown)
+    return runSafely(teardown, 'Error in directive teardown:')
   }
 
   /**
@@ -219,6 +411,7 @@ export class LifecycleManager {
     )
 
     registration.directives = []
+    registration.directivesByName?.clear()
     return results
   }
 
@@ -232,11 +425,13 @@ export class LifecycleManager {
       throw new Error('[HookTML] executeTeardowns requires an HTMLElement')
     }
 
+    this.cancelPending(element)
     const componentResult = this.executeComponentTeardown(element)
     const directiveResults = this.executeDirectiveTeardowns(element)
 
     // Clean up registration and state
     this.teardownRegistry.delete(element)
+    this.moveRegistry.delete(element)
     this.stateManager.clearState(element)
 
     return {
@@ -248,10 +443,20 @@ export class LifecycleManager {
   /**
    * Checks if an element is initialized
    * @param {HTMLElement} element - The DOM element
-   * @returns {boolean} Whether the element is initialized
+   * @param {string} [componentName] - Only check this component
+   * @returns {boolean} Whether the element (or the given component on it) is initialized
+   */
+  isInitialized(element, componentName) {
+    return this.stateManager.isInitialized(element, componentName)
+  }
+
+  /**
+   * Gets all initialized components for an element
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string[]} Array of initialized component names
    */
-  isInitialized(element) {
-    return this.stateManager.isInitialized(element)
+  getInitializedComponents(element) {
+    return this.stateManager.getInitializedComponents(element)
   }
 
   /**
@@ -276,9 +481,10 @@ export class LifecycleManager {
   /**
    * Marks an element as initialized (convenience method)
    * @param {HTMLElement} element - The DOM element
+   * @param {string} [componentName] - The component that initialized
    */
-  markInitialized(element) {
-    this.stateManager.markInitialized(element)
+  markInitialized(element, componentName) {
+    this.stateManager.markInitialized(element, componentName)
   }
 
   /**
@@ -288,4 +494,19 @@ export class LifecycleManager {
   clearState(element) {
     this.stateManager.clearState(element)
   }
+
+  /**
+   * Gets or creates the teardown registration for an element
+   * @private
+   * @param {HTMLElement} element - The DOM element
+   * @returns {Registration} The element's registration
+   */
+  getOrCreateRegistration(element) {
+    let registration = this.teardownRegistry.get(element)
+    if (!registration) {
+      registration = { components: new Map(), directives: [], directivesByName: new Map() }
+      this.teardownRegistry.set(element, registration)
+    }
+    return registration
+  }
 } 
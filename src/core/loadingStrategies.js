@@ -0,0 +1,191 @@
+/**
+ * Loading strategies defer calling a component function until the element
+ * becomes visible, the browser is idle, or the user first interacts with it.
+ */
+import { getConfig } from './config.js'
+import { isNil, isFunction, isString } from '../utils/type-guards.js'
+import { logger } from '../utils/logger.js'
+import { tryCatch } from '../utils/try-catch.js'
+
+/**
+ * @typedef {'eager' | 'visible' | 'idle' | 'interaction'} LoadingStrategy
+ */
+
+/** @type {LoadingStrategy[]} */
+const LOADING_STRATEGIES = ['eager', 'visible', 'idle', 'interaction']
+
+/**
+ * Events that count as a first interaction
+ */
+const INTERACTION_EVENTS = ['pointerover', 'pointerdown', 'touchstart', 'focusin']
+
+/**
+ * Callbacks waiting for their element to become visible. An element can carry several
+ * deferred components, so each element keeps a set of callbacks.
+ * @type {Map<Element, Set<() => void>>}
+ */
+const visibilityCallbacks = new Map()
+
+/** @type {IntersectionObserver | null} */
+let visibilityObserver = null
+
+/**
+ * Gets the shared IntersectionObserver, creating it on first use
+ * @returns {IntersectionObserver}
+ */
+const getVisibilityObserver = () => {
+  if (isNil(visibilityObserver)) {
+    visibilityObserver = new IntersectionObserver((entries) => {
+      entries
+        .filter(entry => entry.isIntersecting)
+        .forEach(({ target }) => {
+          const callbacks = visibilityCallbacks.get(target)
+          visibilityCallbacks.delete(target)
+          visibilityObserver?.unobserve(target)
+          callbacks?.forEach(callback => callback())
+        })
+    })
+  }
+  return visibilityObserver
+}
+
+/**
+ * Runs a callback once the element scrolls into view
+ * @param {HTMLElement} element - The element to watch
+ * @param {() => void} callback - Called when the element becomes visible
+ * @returns {() => void} Cancels the wait
+ */
+const whenVisible = (element, callback) => {
+  // Without IntersectionObserver there is no way to tell, so load right away
+  if (isNil(globalThis.IntersectionObserver)) {
+    callback()
+    return () => {}
+  }
+
+  const observer = getVisibilityObserver()
+  const callbacks = visibilityCallbacks.get(element) ?? new Set()
+  const isFirstCallback = callbacks.size === 0
+  // Wrap so the same function scheduled twice is still tracked and cancelled separately
+  const entry = () => callback()
+
+  callbacks.add(entry)
+  visibilityCallbacks.set(element, callbacks)
+  if (isFirstCallback) observer.observe(element)
+
+  return () => {
+    const pending = visibilityCallbacks.get(element)
+    if (!pending?.delete(entry) || pending.size > 0) return
+
+    visibilityCallbacks.delete(element)
+    observer.unobserve(element)
+  }
+}
+
+/**
+ * Runs a callback once the browser is idle
+ * @param {() => void} callback - Called when the browser is idle
+ * @returns {() => void} Cancels the wait
+ */
+const whenIdle = (callback) => {
+  if (isFunction(globalThis.requestIdleCallback)) {
+    const handle = globalThis.requestIdleCallback(callback)
+    return () => globalThis.cancelIdleCallback(handle)
+  }
+
+  const handle = setTimeout(callback, 1)
+  return () => clearTimeout(handle)
+}
+
+/**
+ * Dispatches a copy of an event on its original target, so listeners added while handling
+ * it see it too. The copy stops at the element, so its ancestors only get the original.
+ * @param {HTMLElement} element - The element the event was handled on
+ * @param {Event} event - The event to replay
+ */
+const replayEvent = (element, event) => {
+  const [target = element] = event.composedPath()
+  const stopAtElement = (/** @type {Event} */ e) => e.stopPropagation()
+
+  tryCatch({
+    fn: () => {
+      const EventType = /** @type {typeof Event} */ (event.constructor)
+      element.addEventListener(event.type, stopAtElement)
+      target.dispatchEvent(new EventType(event.type, event))
+    },
+    onError: (error) => {
+      logger.warn(`Could not replay the "${event.type}" event that triggered loading:`, error)
+    },
+    onFinally: () => {
+      element.removeEventListener(event.type, stopAtElement)
+    }
+  })
+}
+
+/**
+ * Runs a callback on the first pointer or focus event on the element,
+ * then replays that event so listeners set up by the callback receive it
+ * @param {HTMLElement} element - The element to watch
+ * @param {() => void} callback - Called on the first interaction
+ * @returns {() => void} Cancels the wait
+ */
+const whenInteracted = (element, callback) => {
+  const removeListeners = () => {
+    INTERACTION_EVENTS.forEach(eventName => {
+      element.removeEventListener(eventName, onInteraction)
+    })
+  }
+
+  const onInteraction = (/** @type {Event} */ event) => {
+    removeListeners()
+    callback()
+    replayEvent(element, event)
+  }
+
+  INTERACTION_EVENTS.forEach(eventName => {
+    element.addEventListener(eventName, onInteraction, { passive: true })
+  })
+
+  return removeListeners
+}
+
+/**
+ * Resolves the loading strategy for a component element.
+ * The `hooktml-load` attribute wins over the component's static `loading` property.
+ * @param {HTMLElement} element - The component element
+ * @param {Function & { loading?: string } | undefined} componentFn - The component function, if loaded
+ * @returns {LoadingStrategy} The loading strategy
+ */
+export const getLoadingStrategy = (element, componentFn) => {
+  const { formattedPrefix } = getConfig()
+  const strategy = element.getAttribute(`${formattedPrefix}hooktml-load`) ?? componentFn?.loading
+
+  if (isNil(strategy)) return 'eager'
+
+  if (!isString(strategy) || !LOADING_STRATEGIES.includes(/** @type {LoadingStrategy} */ (strategy))) {
+    logger.warn(`Unknown loading strategy "${strategy}", loading eagerly. Expected one of: ${LOADING_STRATEGIES.join(', ')}`)
+    return 'eager'
+  }
+
+  return /** @type {LoadingStrategy} */ (strategy)
+}
+
+/**
+ * Schedules a callback according to a loading strategy
+ * @param {HTMLElement} element - The component element
+ * @param {LoadingStrategy} strategy - When to run the callback
+ * @param {() => void} callback - The deferred initialization
+ * @returns {() => void} Cancels the scheduled callback
+ */
+export const scheduleLoading = (element, strategy, callback) => {
+  switch (strategy) {
+    case 'visible':
+      return whenVisible(element, callback)
+    case 'idle':
+      return whenIdle(callback)
+    case 'interaction':
+      return whenInteracted(element, callback)
+    default:
+      callback()
+      return () => {}
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Imperative mounting for subtrees that are moved, cloned or managed manually.
+ * Applies the same processing the DOM observer uses for added and removed elements.
+ */
+import { createHookTMLDelegate, trackMountedElements, untrackUnmountedElements } from './observer.js'
+import { refreshActionTypes } from './actions.js'
+import { isHTMLElement } from '../utils/type-guards.js'
+import { logger } from '../utils/logger.js'
+
+const delegate = createHookTMLDelegate()
+
+/**
+ * Throws unless the value is an HTMLElement
+ * @param {unknown} element - The value to check
+ * @param {string} fnName - The calling function, for the error message
+ */
+const assertElement = (element, fnName) => {
+  if (!isHTMLElement(element)) {
+    throw new Error(`[HookTML] ${fnName}() requires an HTMLElement`)
+  }
+}
+
+/**
+ * Returns an element together with its element descendants
+ * @param {HTMLElement} element - The subtree root
+ * @returns {HTMLElement[]} The element followed by its descendants
+ */
+const withDescendants = (element) => [
+  element,
+  ...Array.from(element.getElementsByTagName('*')).filter(isHTMLElement)
+]
+
+/**
+ * Initializes components and hooks on an element and its descendants.
+ * Elements that are already initialized are skipped. Running observers track the
+ * mounted elements, so they are torn down when removed from the DOM.
+ * @param {HTMLElement} element - The subtree root
+ */
+export const mount = (element) => {
+  assertElement(element, 'mount')
+
+  const elements = delegate.matchElements(element)
+  elements.forEach(match => delegate.addElement(match))
+
+  const subtree = withDescendants(element)
+  trackMountedElements(subtree)
+  refreshActionTypes(subtree)
+
+  logger.log(`Mounted ${elements.length} element(s)`)
+}
+
+/**
+ * Tears down components and hooks on an element and its descendants:
+ * runs teardowns and effect cleanups, and clears hook instances, prop signals and state.
+ * Running observers stop tracking the elements and leave them alone, even when their
+ * attributes change, until they are mounted again.
+ * @param {HTMLElement} element - The subtree root
+ */
+export const unmount = (element) => {
+  assertElement(element, 'unmount')
+
+  const elements = withDescendants(element)
+
+  // Tear down descendants before their ancestors
+  elements.slice().reverse().forEach(match => delegate.removeElement(match))
+  untrackUnmountedElements(elements)
+
+  logger.log(`Unmounted ${elements.length} element(s)`)
+}
+
+/**
+ * Tears down and re-initializes an element and its descendants
+ * @param {HTMLElement} element - The subtree root
+ */
+export const remount = (element) => {
+  assertElement(element, 'remount')
+
+  unmount(element)
+  mount(element)
+}
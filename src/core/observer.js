@@ -1,31 +1,50 @@
-import { scanComponents, initializeComponents } from './scanComponents.js'
-import { lifecycleManager } from './initialization.js'
+import { matchComponents, initializeComponents } from './scanComponents.js'
+import { lifecycleManager, markUnmounted, clearUnmounted, isUnmounted } from './initialization.js'
 import { runCleanupFunctions } from './hookContext.js'
-import { isEmptyArray, isHTMLElement, isNonEmptyArray } from '../utils/type-guards.js'
+import { isHTMLElement, isNil, isNonEmptyArray, isNotNil } from '../utils/type-guards.js'
 import { getConfig } from './config.js'
 import { tryCatch } from '../utils/try-catch.js'
-import { getRegisteredHooks } from './hookRegistry.js'
+import { getDirectiveHooks, getLazyHookNames } from './hookRegistry.js'
 import { getRegisteredComponentNames } from './registry.js'
 import { camelToKebab } from '../utils/strings.js'
-import { processElementHooks } from './scanDirectives.js'
+import { processElementHooks, syncElementHooks } from './scanDirectives.js'
 import { logger } from '../utils/logger.js'
 import { clearHookInstances } from './hookInstanceRegistry.js'
+import { clearComponentInstances } from './componentInstanceRegistry.js'
+import { queryAllWithin, isIgnored, getIgnoreAttribute } from '../utils/dom.js'
+import { updatePropSignals, clearPropSignals } from './propSignals.js'
+import { refreshActionTypes } from './actions.js'
 
 /**
  * @typedef {Object} ElementObserverDelegate
- * @property {(root: Element) => HTMLElement[]} matchElements - Function to find matching elements
+ * @property {(root: Element | ShadowRoot) => HTMLElement[]} matchElements - Function to find matching elements
+ * @property {(element: HTMLElement) => boolean} matchesElement - Function to check a single element
+ * @property {() => string} matchKey - Identifies the current matching rules; a new key means everything must be re-matched
  * @property {(element: HTMLElement) => void} addElement - Function to process a new element  
  * @property {(element: HTMLElement) => void} removeElement - Function to clean up a removed element
+ * @property {(element: HTMLElement, attributeName: string) => void} updateElement - Function to handle an attribute change
+ * @property {(element: HTMLElement) => void} moveElement - Function to notify an element that was moved
+ * @property {(element: HTMLElement) => void} syncElement - Function to reconcile a tracked element that still matches after an attribute change
  */
 
 /**
  * @typedef {Object} MutableObserverState
- * @property {Element} root - Root element to observe
+ * @property {Element | ShadowRoot} root - Root element or shadow root to observe
  * @property {ElementObserverDelegate} delegate - Delegate for element matching/processing
  * @property {Set<HTMLElement>} elements - Set of currently tracked elements
  * @property {boolean} started - Whether observation is active
+ * @property {(addedRoots?: HTMLElement[]) => void} onRefresh - Called after each refresh or update, with the changed subtrees for an update
+ * @property {Set<HTMLElement>} pendingRemovals - Removed elements waiting to see if they were moved
+ * @property {boolean} removalScheduled - Whether a pending removal check is queued
+ * @property {string|null} matchKey - Match key from the last full refresh
  */
 
+/**
+ * State of every running element observer, so mount() and unmount() can update what they track
+ * @type {Set<MutableObserverState>}
+ */
+const observerStates = new Set()
+
 /**
  * Checks if a node is an element node
  * @param {Node} node - The node to check
@@ -34,99 +53,283 @@ import { clearHookInstances } from './hookInstanceRegistry.js'
 const isElementNode = (node) => node.nodeType === Node.ELEMENT_NODE
 
 /**
- * Processes a mutation record
- * @param {MutableObserverState} state - Observer state
- * @param {MutationRecord} mutation - Mutation record to process
-   */
-const processMutation = (state, mutation) => {
-  // Handle removed nodes
-  const removedNodes = mutation.removedNodes || []
-  const removedElements = Array.from(removedNodes)
-    .filter(node => isHTMLElement(node) && isElementNode(node))
-    .flatMap(node => {
-      const element = /** @type {HTMLElement} */ (node)
-      const descendants = Array.from(element.getElementsByTagName('*'))
-        .filter(isHTMLElement)
-      return [element, ...descendants]
-    })
+ * Returns an element together with all of its element descendants
+ * @param {HTMLElement} element - The element to expand
+ * @returns {HTMLElement[]} The element followed by its descendants
+ */
+const withDescendants = (element) => [
+  element,
+  ...Array.from(element.getElementsByTagName('*')).filter(isHTMLElement)
+]
+
+/**
+ * Returns the element nodes from a node list
+ * @param {NodeList | Node[]} nodes - Nodes from a mutation record
+ * @returns {HTMLElement[]} The HTML elements among the nodes
+ */
+const getElementNodes = (nodes) =>
+  /** @type {HTMLElement[]} */ (Array.from(nodes || []).filter(node => isHTMLElement(node) && isElementNode(node)))
 
-  // Clean up removed elements
-  removedElements.forEach(element => {
-    if (state.elements.has(element)) {
-      state.delegate.removeElement(element)
-      state.elements.delete(element)
+/**
+ * Processes all mutation records delivered in one observer callback
+ * @param {MutableObserverState} state - Observer state
+ * @param {MutationRecord[]} mutations - Mutation records to process
+ */
+const processMutations = (state, mutations) => {
+  /** @type {Set<HTMLElement>} */
+  const changedElements = new Set()
+  /** @type {HTMLElement[]} */
+  const addedRoots = []
+  /** @type {HTMLElement[]} */
+  const removedElements = []
+  /** @type {Set<HTMLElement>} */
+  const boundaryElements = new Set()
+  const ignoreAttribute = getIgnoreAttribute()
+
+  mutations.forEach(mutation => {
+    // Adding or removing an ignore boundary re-matches the subtree below it
+    if (mutation.type === 'attributes' && mutation.attributeName === ignoreAttribute && isHTMLElement(mutation.target)) {
+      boundaryElements.add(/** @type {HTMLElement} */ (mutation.target))
+      return
     }
 
-    const cleanups = childrenCleanup.get(element)
-    if (cleanups) {
-      cleanups.forEach(cleanup => cleanup())
-      childrenCleanup.delete(element)
+    // Mutations inside ignored subtrees are skipped entirely
+    if (isIgnored(mutation.target)) return
+
+    // Handle attribute changes on existing elements
+    if (mutation.type === 'attributes' && isHTMLElement(mutation.target) && mutation.attributeName) {
+      const target = /** @type {HTMLElement} */ (mutation.target)
+      state.delegate.updateElement(target, mutation.attributeName)
+      changedElements.add(target)
     }
-  })
 
-  // Collect all affected elements for children watchers
-  const addedNodes = mutation.addedNodes || []
-  const addedElements = Array.from(addedNodes)
-    .filter(node => isHTMLElement(node) && isElementNode(node))
-    .flatMap(node => {
-      const element = /** @type {HTMLElement} */ (node)
-      const descendants = Array.from(element.getElementsByTagName('*'))
-        .filter(isHTMLElement)
-      return [element, ...descendants]
+    getElementNodes(mutation.removedNodes).forEach(element => {
+      removedElements.push(...withDescendants(element))
     })
+    addedRoots.push(...getElementNodes(mutation.addedNodes))
+  })
+
+  // Defer cleanup so elements re-added in the meantime count as moved, not destroyed
+  removedElements.forEach(element => state.pendingRemovals.add(element))
+  if (isNonEmptyArray(removedElements)) {
+    scheduleRemovals(state)
+  }
 
-  // Trigger children watchers for all affected elements
+  // Trigger children watchers once for everything this batch touched
+  const addedElements = addedRoots.flatMap(withDescendants)
   const affectedElements = [...removedElements, ...addedElements]
   if (isNonEmptyArray(affectedElements)) {
     triggerChildrenWatchers(affectedElements)
   }
 
-  // Refresh to handle added nodes and attribute changes
-  refresh(state)
+  // Action attributes added after their component initialized need listeners for their event types
+  refreshActionTypes([...changedElements, ...addedElements])
+
+  update(state, addedRoots, changedElements, boundaryElements)
+}
+
+/**
+ * Checks whether an element is still attached somewhere under the observed root
+ * @param {MutableObserverState} state - Observer state
+ * @param {HTMLElement} element - The element to check
+ * @returns {boolean} Whether the element is inside the root
+ */
+const isWithinRoot = (state, element) => element.isConnected && state.root.contains(element)
+
+/**
+ * Cleans up removed elements once the current mutation batch and microtask have finished.
+ * Elements back under the root by then were moved, so they keep their state.
+ * @param {MutableObserverState} state - Observer state
+ */
+const scheduleRemovals = (state) => {
+  if (state.removalScheduled) return
+  state.removalScheduled = true
+
+  queueMicrotask(() => {
+    state.removalScheduled = false
+    const removed = Array.from(state.pendingRemovals)
+    state.pendingRemovals.clear()
+
+    removed.forEach(element => {
+      const isTracked = state.elements.has(element)
+
+      if (isWithinRoot(state, element)) {
+        if (isTracked) {
+          state.delegate.moveElement(element)
+        }
+        return
+      }
+
+      if (isTracked) {
+        untrackElement(state, element)
+      }
+
+      // A removed element starts over, so inserting it again initializes it
+      clearUnmounted(element)
+      cleanupChildrenWatchers(element)
+    })
+  })
+}
+
+/**
+ * Starts tracking an element and initializes it
+ * @param {MutableObserverState} state - Observer state
+ * @param {HTMLElement} element - Element to add
+ */
+const trackElement = (state, element) => {
+  if (isUnmounted(element)) return
+
+  state.delegate.addElement(element)
+  state.elements.add(element)
+}
+
+/**
+ * Stops tracking an element and tears it down
+ * @param {MutableObserverState} state - Observer state
+ * @param {HTMLElement} element - Element to remove
+ */
+const untrackElement = (state, element) => {
+  state.delegate.removeElement(element)
+  state.elements.delete(element)
+}
+
+/**
+ * Lets observers track elements initialized with mount(), so they are torn down when removed
+ * or when they stop matching. Clears the unmounted mark left by an earlier unmount().
+ * @param {HTMLElement[]} elements - The mounted subtree
+ */
+export const trackMountedElements = (elements) => {
+  elements.forEach(clearUnmounted)
+
+  observerStates.forEach(state => {
+    if (!state.started) return
+
+    elements
+      .filter(element => isWithinRoot(state, element) && state.delegate.matchesElement(element))
+      .forEach(element => state.elements.add(element))
+  })
 }
 
 /**
- * Refreshes the element tracking
+ * Stops observers from tracking elements torn down with unmount(), so later attribute changes
+ * and re-matches don't initialize them again until they are mounted
+ * @param {HTMLElement[]} elements - The unmounted subtree
+ */
+export const untrackUnmountedElements = (elements) => {
+  elements.forEach(element => {
+    markUnmounted(element)
+    observerStates.forEach(state => state.elements.delete(element))
+  })
+}
+
+/**
+ * Re-matches a subtree, tearing down tracked elements in it that no longer match and adding new matches
+ * @param {MutableObserverState} state - Observer state
+ * @param {Element | ShadowRoot} scope - The observed root or a subtree of it
+ */
+const syncSubtree = (state, scope) => {
+  const matched = new Set(state.delegate.matchElements(scope))
+
+  // Remove elements that no longer match, leaving removed elements to the pending removal check
+  Array.from(state.elements)
+    .filter(el => (scope === state.root || scope.contains(el)) && !matched.has(el) && !state.pendingRemovals.has(el))
+    .forEach(element => untrackElement(state, element))
+
+  // Add new elements
+  Array.from(matched)
+    .filter(el => !state.elements.has(el))
+    .forEach(element => trackElement(state, element))
+}
+
+/**
+ * Refreshes the element tracking by matching the whole root
  * @param {MutableObserverState} state - Observer state
  */
 const refresh = (state) => {
   if (!state.started) return
 
-  const matched = new Set(state.delegate.matchElements(state.root))
+  state.matchKey = state.delegate.matchKey()
 
-  // Remove elements that no longer match
-  const elementsToRemove = Array.from(state.elements).filter(el => !matched.has(el))
-  elementsToRemove.forEach(element => {
-    state.delegate.removeElement(element)
-    state.elements.delete(element)
+  // Elements unmounted while this observer was stopped are no longer its to track
+  state.elements.forEach(element => {
+    if (isUnmounted(element)) state.elements.delete(element)
   })
 
-  // Add new elements
-  const elementsToAdd = Array.from(matched).filter(el => !state.elements.has(el))
-  elementsToAdd.forEach(element => {
-    state.delegate.addElement(element)
-    state.elements.add(element)
+  syncSubtree(state, state.root)
+  state.onRefresh()
+}
+
+/**
+ * Updates the element tracking for the parts of the root touched by a mutation batch.
+ * Falls back to a full refresh when the registered hooks or components changed since the last match.
+ * @param {MutableObserverState} state - Observer state
+ * @param {HTMLElement[]} addedRoots - Top-level elements added in the batch
+ * @param {Set<HTMLElement>} changedElements - Elements whose attributes changed in the batch
+ * @param {Set<HTMLElement>} boundaryElements - Elements that gained or lost the ignore attribute in the batch
+ */
+const update = (state, addedRoots, changedElements, boundaryElements) => {
+  if (!state.started) return
+
+  if (state.delegate.matchKey() !== state.matchKey) {
+    refresh(state)
+    return
+  }
+
+  // Attribute changes can make an element start or stop matching
+  changedElements.forEach(element => {
+    if (!isWithinRoot(state, element)) return
+
+    const isTracked = state.elements.has(element)
+    const matches = state.delegate.matchesElement(element)
+
+    if (matches && !isTracked) {
+      trackElement(state, element)
+    } else if (matches && isTracked) {
+      state.delegate.syncElement(element)
+    } else if (!matches && isTracked && !state.pendingRemovals.has(element)) {
+      untrackElement(state, element)
+    }
   })
+
+  // New boundaries tear down what they now hide; removed boundaries expose their subtree again
+  const boundaries = Array.from(boundaryElements).filter(element => isWithinRoot(state, element))
+  boundaries.forEach(element => syncSubtree(state, element))
+
+  // Only the added subtrees need matching; moved elements are still tracked
+  addedRoots
+    .filter(element => isWithinRoot(state, element))
+    .forEach(addedRoot => {
+      state.delegate.matchElements(addedRoot)
+        .filter(el => !state.elements.has(el))
+        .forEach(element => trackElement(state, element))
+    })
+
+  state.onRefresh([...addedRoots, ...boundaries])
 }
 
 /**
  * Creates an element observer with StimulusJS-style element tracking
- * @param {Element} root - Root element to observe
+ * @param {Element | ShadowRoot} root - Root element or shadow root to observe
  * @param {ElementObserverDelegate} delegate - Delegate for element operations
+ * @param {(addedRoots?: HTMLElement[]) => void} [onRefresh] - Called after each refresh or update
  * @returns {Object} Observer instance with control methods
  */
-const createElementObserver = (root, delegate) => {
+const createElementObserver = (root, delegate, onRefresh = () => {}) => {
   /** @type {MutableObserverState} */
   const state = {
     root,
     delegate,
     elements: new Set(),
-    started: false
+    started: false,
+    onRefresh,
+    pendingRemovals: new Set(),
+    removalScheduled: false,
+    matchKey: null
   }
 
   const mutationObserver = new MutationObserver((mutations) => {
     if (state.started) {
-      mutations.forEach(mutation => processMutation(state, mutation))
+      processMutations(state, mutations)
     }
   })
 
@@ -142,6 +345,7 @@ const createElementObserver = (root, delegate) => {
   const start = () => {
     if (!state.started) {
       state.started = true
+      observerStates.add(state)
       observe()
       refresh(state)
     }
@@ -154,6 +358,7 @@ const createElementObserver = (root, delegate) => {
       }
       disconnect()
       state.started = false
+      observerStates.delete(state)
     }
   }
 
@@ -171,7 +376,14 @@ const createElementObserver = (root, delegate) => {
     }
   }
 
-  return { start, stop, pause, refresh: () => refresh(state) }
+  // Stops observing and tears down every tracked element
+  const clear = () => {
+    stop()
+    state.elements.forEach(element => state.delegate.removeElement(element))
+    state.elements.clear()
+  }
+
+  return { start, stop, pause, clear, refresh: () => refresh(state) }
 }
 
 /**
@@ -196,45 +408,70 @@ const createComponentSelector = (componentNames, prefix = '') => {
   if (!componentNames.length) return ''
   const classSelector = componentNames.map(name => `.${name}`).join(', ')
   const useComponentSelector = componentNames
-    .map(name => `[${prefix}use-component="${name}"]`)
+    .map(name => `[${prefix}use-component~="${name}"]`)
     .join(', ')
   return `${classSelector}, ${useComponentSelector}`
 }
 
+/**
+ * @typedef {Object} CompiledSelectors
+ * @property {string} key - Prefix and registered names the selectors were compiled from
+ * @property {string} hooks - Selector for hook directives, empty when no hooks are registered
+ * @property {string} components - Selector for components, empty when no components are registered
+ * @property {string} all - Combined selector, empty when nothing is registered
+ */
+
+/** @type {CompiledSelectors|null} */
+let selectorCache = null
+
+/**
+ * Returns the selectors for the registered hooks and components, recompiling them only when the prefix or registries changed
+ * @returns {CompiledSelectors} Compiled selectors
+ */
+const getSelectors = () => {
+  const { formattedPrefix } = getConfig()
+  const hookNames = [...getDirectiveHooks().keys(), ...getLazyHookNames()]
+  const componentNames = getRegisteredComponentNames()
+  const key = `${formattedPrefix}|${hookNames.join(',')}|${componentNames.join(',')}`
+
+  if (selectorCache?.key === key) {
+    return selectorCache
+  }
+
+  const hooks = createHookSelector(hookNames, formattedPrefix)
+  const components = createComponentSelector(componentNames, formattedPrefix)
+  const all = [hooks, components].filter(Boolean).join(', ')
+
+  selectorCache = { key, hooks, components, all }
+  return selectorCache
+}
+
 /**
  * Creates the HookTML delegate for element observation
  * @returns {ElementObserverDelegate} Delegate instance
  */
-const createHookTMLDelegate = () => {
+export const createHookTMLDelegate = () => {
   /**
    * Matches elements with hook directives or component tags
-   * @param {Element} root - Root element to search in
+   * @param {Element | ShadowRoot} root - Root element or shadow root to search in
    * @returns {HTMLElement[]} - Array of matching elements
    */
   const matchElements = (root) => {
-    const { formattedPrefix } = getConfig()
-    const hooks = getRegisteredHooks()
-    const hookNames = Array.from(hooks.keys())
-    const componentNames = getRegisteredComponentNames()
-
-    // Create selectors for hooks and components
-    const selectors = []
-
-    if (isNonEmptyArray(hookNames)) {
-      selectors.push(createHookSelector(hookNames, formattedPrefix))
-    }
+    const { all } = getSelectors()
+    if (!all) return []
 
-    if (isNonEmptyArray(componentNames)) {
-      selectors.push(createComponentSelector(componentNames, formattedPrefix))
-    }
-
-    if (isEmptyArray(selectors)) {
-      return []
-    }
+    // Find all matching elements, including the root itself
+    return queryAllWithin(root, all)
+  }
 
-    // Find all matching elements
-    return Array.from(root.querySelectorAll(selectors.join(', ')))
-      .filter(isHTMLElement)
+  /**
+   * Checks whether a single element has a hook directive or component tag
+   * @param {HTMLElement} element - Element to check
+   * @returns {boolean} Whether the element matches
+   */
+  const matchesElement = (element) => {
+    const { all } = getSelectors()
+    return Boolean(all) && element.matches(all) && !isIgnored(element)
   }
 
   /**
@@ -244,27 +481,18 @@ const createHookTMLDelegate = () => {
   const addElement = (element) => {
     tryCatch({
       fn: () => {
+        const { hooks, components } = getSelectors()
+
         // Process hooks on this specific element
-        const { formattedPrefix } = getConfig()
-        const hooks = getRegisteredHooks()
-        const hookNames = Array.from(hooks.keys())
-
-        if (isNonEmptyArray(hookNames)) {
-          const hookSelector = createHookSelector(hookNames, formattedPrefix)
-          if (element.matches(hookSelector)) {
-            processElementHooks(element)
-          }
+        if (hooks && element.matches(hooks)) {
+          processElementHooks(element)
         }
 
-        // Process components
-        const componentNames = getRegisteredComponentNames()
-        if (isNonEmptyArray(componentNames)) {
-          const componentSelector = createComponentSelector(componentNames, formattedPrefix)
-          if (element.matches(componentSelector)) {
-            const foundComponents = scanComponents().filter(comp => comp.element === element)
-            if (isNonEmptyArray(foundComponents)) {
-              initializeComponents(foundComponents)
-            }
+        // Process components, each component on the element independently
+        if (components && element.matches(components)) {
+          const foundComponents = matchComponents(element)
+          if (isNonEmptyArray(foundComponents)) {
+            initializeComponents(foundComponents)
           }
         }
       },
@@ -276,6 +504,86 @@ const createHookTMLDelegate = () => {
     })
   }
 
+  /**
+   * Updates reactive props after an attribute changes
+   * @param {HTMLElement} element - Element whose attribute changed
+   * @param {string} attributeName - Name of the changed attribute
+   */
+  const updateElement = (element, attributeName) => {
+    tryCatch({
+      fn: () => {
+        updatePropSignals(element, attributeName)
+      },
+      onError: (error) => {
+        if (getConfig().debug) {
+          logger.error('Error updating element:', error)
+        }
+      }
+    })
+  }
+
+  /**
+   * Notifies a tracked element that it was moved instead of removed
+   * @param {HTMLElement} element - Element that was moved
+   */
+  const moveElement = (element) => {
+    tryCatch({
+      fn: () => {
+        logger.log('Element moved, keeping its state:', element)
+        lifecycleManager.executeMoveHandler(element)
+      },
+      onError: (error) => {
+        if (getConfig().debug) {
+          logger.error('Error moving element:', error)
+        }
+      }
+    })
+  }
+
+  /**
+   * Tears down one component on an element, leaving its other components and hooks running
+   * @param {HTMLElement} element - The component element
+   * @param {string} componentName - The component to tear down
+   */
+  const removeComponent = (element, componentName) => {
+    logger.log(`Component "${componentName}" no longer matches, tearing it down:`, element)
+    lifecycleManager.teardownComponent(element, componentName)
+    runCleanupFunctions(element, componentName)
+    clearComponentInstances(element, componentName)
+    clearPropSignals(element, componentName)
+  }
+
+  /**
+   * Initializes components and hooks an element gained and tears down the ones it lost,
+   * e.g. after its class list, use-component or use-* attributes changed
+   * @param {HTMLElement} element - Tracked element that still matches
+   */
+  const syncElement = (element) => {
+    tryCatch({
+      fn: () => {
+        syncElementHooks(element)
+
+        const foundComponents = matchComponents(element)
+        const names = foundComponents.map(({ componentName }) => componentName)
+
+        Array.from(lifecycleManager.getInitializedComponents(element))
+          .filter(name => !names.includes(name))
+          .forEach(name => removeComponent(element, name))
+
+        const added = foundComponents
+          .filter(({ componentName }) => !lifecycleManager.isInitialized(element, componentName))
+        if (isNonEmptyArray(added)) {
+          initializeComponents(added)
+        }
+      },
+      onError: (error) => {
+        if (getConfig().debug) {
+          logger.error('Error syncing element:', error)
+        }
+      }
+    })
+  }
+
   /**
    * Cleans up a removed element
    * @param {HTMLElement} element - Element to clean up
@@ -286,6 +594,9 @@ const createHookTMLDelegate = () => {
         lifecycleManager.executeTeardowns(element)
         runCleanupFunctions(element)
         clearHookInstances(element)
+        clearComponentInstances(element)
+        clearPropSignals(element)
+        cleanupChildrenWatchers(element)
       },
       onError: (error) => {
         if (getConfig().debug) {
@@ -295,7 +606,16 @@ const createHookTMLDelegate = () => {
     })
   }
 
-  return { matchElements, addElement, removeElement }
+  return {
+    matchElements,
+    matchesElement,
+    matchKey: () => getSelectors().key,
+    addElement,
+    removeElement,
+    updateElement,
+    moveElement,
+    syncElement
+  }
 }
 
 /**
@@ -329,6 +649,18 @@ export const registerChildrenWatcher = (element, prefix, callback) => {
   childrenCleanup.set(element, [...cleanups, cleanup])
 }
 
+/**
+ * Removes the children watchers registered for an element
+ * @param {HTMLElement} element - The element being cleaned up
+ */
+const cleanupChildrenWatchers = (element) => {
+  const cleanups = childrenCleanup.get(element)
+  if (cleanups) {
+    cleanups.forEach(cleanup => cleanup())
+    childrenCleanup.delete(element)
+  }
+}
+
 /**
  * Triggers children watchers for elements that may have changed
  * @param {HTMLElement[]} elements - Elements that may have changed
@@ -356,13 +688,63 @@ const triggerChildrenWatchers = (elements) => {
   })
 }
 
+/**
+ * Finds the open shadow roots of elements within a root
+ * @param {Element | ShadowRoot} root - Root element or shadow root to search in
+ * @returns {ShadowRoot[]} Open shadow roots
+ */
+const findShadowRoots = (root) => {
+  return queryAllWithin(root, '*')
+    .map(element => element.shadowRoot)
+    .filter(isNotNil)
+}
+
 /**
  * Creates a DOM observer for HookTML
- * @returns {Object} Observer instance with start/stop methods
+ * @param {Element | ShadowRoot} [root=document.documentElement] - The subtree or shadow root to observe
+ * @returns {Object} Observer instance with start/stop/destroy methods
  */
-export const createObserver = () => {
+export const createObserver = (root = document.documentElement) => {
   const delegate = createHookTMLDelegate()
-  const elementObserver = createElementObserver(document.documentElement, delegate)
+
+  /**
+   * Nested observers for open shadow roots, when `observeShadowRoots` is enabled
+   * @type {Map<ShadowRoot, { start: () => void, stop: () => void, destroy: () => void }>}
+   */
+  const shadowObservers = new Map()
+
+  // Observes newly found shadow roots and tears down those whose host is gone.
+  // After an update only the added subtrees can hold new shadow roots.
+  const syncShadowRoots = (addedRoots) => {
+    if (!getConfig().observeShadowRoots) return
+
+    shadowObservers.forEach((shadowObserver, shadowRoot) => {
+      const { host } = shadowRoot
+      if (!host.isConnected || !root.contains(host) || isIgnored(host)) {
+        shadowObserver.destroy()
+        shadowObservers.delete(shadowRoot)
+      }
+    })
+
+    const shadowRoots = isNil(addedRoots)
+      ? findShadowRoots(root)
+      : addedRoots.filter(element => element.isConnected).flatMap(findShadowRoots)
+
+    shadowRoots.forEach(shadowRoot => {
+      if (!shadowObservers.has(shadowRoot)) {
+        const shadowObserver = createObserver(shadowRoot)
+        shadowObservers.set(shadowRoot, shadowObserver)
+        shadowObserver.start()
+      }
+    })
+  }
+
+  const elementObserver = createElementObserver(root, delegate, syncShadowRoots)
+
+  const stopShadowObservers = () => {
+    shadowObservers.forEach(shadowObserver => shadowObserver.stop())
+    shadowObservers.clear()
+  }
 
   const start = () => {
     elementObserver.start()
@@ -371,8 +753,17 @@ export const createObserver = () => {
 
   const stop = () => {
     elementObserver.stop()
+    stopShadowObservers()
     logger.log('DOM Observer stopped')
   }
 
-  return { start, stop }
+  // Stops observing and tears down everything initialized under the root
+  const destroy = () => {
+    shadowObservers.forEach(shadowObserver => shadowObserver.destroy())
+    shadowObservers.clear()
+    elementObserver.clear()
+    logger.log('DOM Observer destroyed')
+  }
+
+  return { start, stop, destroy }
 } 
@@ -0,0 +1,141 @@
+/**
+ * Reactive props: every prop passed to a component or hook is mirrored by a
+ * `$`-prefixed signal (e.g. `props.$count`) that the observer updates when the
+ * backing attribute changes.
+ */
+import { signal, batch } from './signal.js'
+import { isHTMLElement } from '../utils/type-guards.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * @typedef {import('../utils/props.js').PropSource} PropSource
+ */
+
+/**
+ * @typedef {Object} PropBinding
+ * @property {Record<string, any>} props - The props object passed to the component or hook
+ * @property {Map<string, import('./signal.js').Signal<any>>} signals - Prop signals by prop name
+ * @property {PropSource} source - Where the props are read from
+ */
+
+/**
+ * Prop bindings per element, keyed by component or hook name
+ * @type {WeakMap<HTMLElement, Map<string, PropBinding>>}
+ */
+const propBindings = new WeakMap()
+
+/**
+ * Props that are never mirrored by a signal
+ */
+const NON_REACTIVE_PROPS = ['children']
+
+/**
+ * Adds a prop signal and exposes it as a non-enumerable `$name` property
+ * @param {PropBinding} binding - The prop binding
+ * @param {string} name - The prop name
+ * @param {any} value - The initial value
+ */
+const definePropSignal = (binding, name, value) => {
+  const propSignal = signal(value)
+  binding.signals.set(name, propSignal)
+
+  Object.defineProperty(binding.props, `$${name}`, {
+    value: propSignal,
+    enumerable: false,
+    configurable: true
+  })
+}
+
+/**
+ * Attaches reactive prop signals to a props object
+ * @param {HTMLElement} element - The component/hook element
+ * @param {string} ownerName - The component or hook name the props belong to
+ * @param {Record<string, any>} props - The props object passed to the component or hook
+ * @param {PropSource} source - Where the props are read from when attributes change
+ * @returns {Record<string, any>} The same props object
+ */
+export const attachPropSignals = (element, ownerName, props, source) => {
+  if (!isHTMLElement(element)) {
+    throw new Error('[HookTML] attachPropSignals requires an HTMLElement')
+  }
+
+  /** @type {PropBinding} */
+  const binding = { props, signals: new Map(), source }
+
+  Object.entries(props)
+    .filter(([name]) => !NON_REACTIVE_PROPS.includes(name))
+    .forEach(([name, value]) => definePropSignal(binding, name, value))
+
+  const bindings = propBindings.get(element) || new Map()
+  bindings.set(ownerName, binding)
+  propBindings.set(element, bindings)
+
+  return props
+}
+
+/**
+ * Re-reads props affected by an attribute change and updates their signals
+ * @param {HTMLElement} element - The element whose attribute changed
+ * @param {string} attributeName - The changed attribute
+ * @returns {boolean} Whether any props were re-read
+ */
+export const updatePropSignals = (element, attributeName) => {
+  const bindings = propBindings.get(element)
+  if (!bindings) return false
+
+  const affected = Array.from(bindings.entries())
+    .filter(([, binding]) => binding.source.matches(attributeName))
+
+  if (affected.length === 0) return false
+
+  // Update every prop before effects run so they see a consistent set of props
+  batch(() => {
+    affected.forEach(([ownerName, binding]) => {
+      const { props, signals, source } = binding
+      const nextProps = source.read()
+      logger.log(`Updating props for "${ownerName}" after "${attributeName}" changed:`, nextProps)
+
+      // Props whose attribute was removed become undefined
+      signals.forEach((propSignal, name) => {
+        if (!(name in nextProps)) {
+          delete props[name]
+          propSignal.value = undefined
+        }
+      })
+
+      Object.entries(nextProps).forEach(([name, value]) => {
+        props[name] = value
+
+        const propSignal = signals.get(name)
+        if (propSignal) {
+          propSignal.value = value
+        } else {
+          definePropSignal(binding, name, value)
+        }
+      })
+    })
+  })
+
+  return true
+}
+
+/**
+ * Destroys the prop signals for an element
+ * @param {HTMLElement} element - The element being torn down
+ * @param {string} [ownerName] - Only destroy the props of this component or hook
+ */
+export const clearPropSignals = (element, ownerName) => {
+  const bindings = propBindings.get(element)
+  if (!bindings) return
+
+  bindings.forEach(({ signals }, name) => {
+    if (ownerName === undefined || name === ownerName) {
+      signals.forEach(propSignal => propSignal.destroy())
+      bindings.delete(name)
+    }
+  })
+
+  if (bindings.size === 0) {
+    propBindings.delete(element)
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Dependency injection between nested components and hooks.
+ * Values provided by an element are visible to everything initialized inside it.
+ */
+import { getCurrentContext, registerCleanup } from './hookContext.js'
+import { isNil, isUndefined } from '../utils/type-guards.js'
+import { logger } from '../utils/logger.js'
+import { getComposedParent } from '../utils/dom.js'
+
+/**
+ * @typedef {string | symbol} ProvideKey
+ */
+
+/**
+ * @typedef {Object} Provision
+ * @property {*} value - The provided value, returned as-is so signals stay reactive
+ * @property {Object} owner - The hook context that provided the value
+ */
+
+/**
+ * Values provided by each element, by key
+ * @type {WeakMap<HTMLElement, Map<ProvideKey, Provision>>}
+ */
+const providers = new WeakMap()
+
+/**
+ * Provides a value to descendant components and hooks.
+ * Must be called while a component or hook is initializing; the value is removed on teardown.
+ * @param {ProvideKey} key - The key descendants inject with
+ * @param {*} value - The value to provide; pass a signal to keep it reactive
+ */
+export const provide = (key, value) => {
+  const context = getCurrentContext()
+
+  if (!context) {
+    logger.warn('provide called outside component/directive context')
+    return
+  }
+
+  if (isNil(key)) {
+    throw new Error('[HookTML] provide() requires a key')
+  }
+
+  const { element } = context
+  const provisions = providers.get(element) || new Map()
+  providers.set(element, provisions)
+
+  const provision = { value, owner: context }
+  provisions.set(key, provision)
+
+  registerCleanup(element, () => {
+    if (provisions.get(key) === provision) {
+      provisions.delete(key)
+    }
+  }, context.owner)
+}
+
+/**
+ * Injects a value provided by the nearest ancestor, crossing shadow root boundaries.
+ * Hooks see values provided on their own element; a component never sees its own values.
+ * @param {ProvideKey} key - The key the value was provided with
+ * @param {*} [defaultValue] - Returned without a warning when no provider is found
+ * @returns {*} The provided value, the default value, or undefined
+ */
+export const inject = (key, defaultValue) => {
+  const context = getCurrentContext()
+
+  if (!context) {
+    logger.warn('inject called outside component/directive context')
+    return defaultValue
+  }
+
+  /** @type {Element|null} */
+  let current = context.element
+
+  while (current) {
+    const provision = providers.get(/** @type {HTMLElement} */ (current))?.get(key)
+    if (provision && provision.owner !== context) {
+      return provision.value
+    }
+    current = getComposedParent(current)
+  }
+
+  if (isUndefined(defaultValue)) {
+    logger.warn(`inject("${String(key)}") found no provider for element:`, context.element)
+  }
+
+  return defaultValue
+}
@@ -1,5 +1,6 @@
-import { isEmptyString, isFunction, isString } from '../utils/type-guards.js'
+import { isEmptyString, isFunction, isNil, isString } from '../utils/type-guards.js'
 import { logger } from '../utils/logger.js'
+import { resolveModuleExport } from '../utils/modules.js'
 
 /**
  * @typedef {Function} ComponentCallback
@@ -19,6 +20,17 @@ import { logger } from '../utils/logger.js'
  */
 const componentRegistry = new Map()
 
+/**
+ * @typedef {() => Promise<unknown>} ComponentLoader
+ */
+
+/**
+ * Internal storage for lazily loaded components
+ * Maps component names to their loaders and any in-flight load
+ * @type {Map<string, { loader: ComponentLoader, promise: Promise<ComponentCallback|undefined>|null }>}
+ */
+const lazyComponentRegistry = new Map()
+
 /**
  * Validates that a component name follows PascalCase naming convention
  * @param {string} name - Component name to validate
@@ -63,11 +75,85 @@ export const registerComponent = (callback) => {
 }
 
 /**
- * Gets all registered component names
+ * Registers a component that is only imported when a matching element first appears
+ * @param {string} name - The PascalCase component name
+ * @param {ComponentLoader} loader - Function that imports the component module (e.g. `() => import('./Dialog.js')`)
+ * @returns {boolean} True if the component was newly registered, false otherwise
+ */
+export const registerLazyComponent = (name, loader) => {
+  if (!isValidComponentName(name)) {
+    logger.warn(`Invalid component name: "${name}". Must be a non-empty PascalCase name`)
+    return false
+  }
+
+  if (!isFunction(loader)) {
+    logger.warn(`Invalid loader for lazy component "${name}": must be a function`)
+    return false
+  }
+
+  if (componentRegistry.has(name) || lazyComponentRegistry.has(name)) {
+    return false
+  }
+
+  lazyComponentRegistry.set(name, { loader, promise: null })
+  logger.log(`Registered lazy component: ${name}`)
+  return true
+}
+
+/**
+ * Checks if a component is registered lazily and not loaded yet
+ * @param {string} name - The component name
+ * @returns {boolean} Whether the component is waiting to be loaded
+ */
+export const isLazyComponent = (name) => {
+  return isString(name) && lazyComponentRegistry.has(name) && !componentRegistry.has(name)
+}
+
+/**
+ * Loads a lazy component and registers it. Concurrent calls share one import.
+ * @param {string} name - The component name
+ * @returns {Promise<ComponentCallback|undefined>} The component function, or undefined if loading failed
+ */
+export const loadLazyComponent = (name) => {
+  const loaded = getRegisteredComponent(name)
+  if (isFunction(loaded)) return Promise.resolve(loaded)
+
+  const entry = lazyComponentRegistry.get(name)
+  if (isNil(entry)) return Promise.resolve(undefined)
+
+  if (isNil(entry.promise)) {
+    logger.log(`Loading lazy component: ${name}`)
+
+    entry.promise = Promise.resolve()
+      .then(() => entry.loader())
+      .then((module) => {
+        const componentFn = resolveModuleExport(module, name)
+
+        if (!isFunction(componentFn)) {
+          throw new Error(`Lazy component "${name}" did not resolve to a function`)
+        }
+
+        registerComponentByName(name, componentFn)
+        lazyComponentRegistry.delete(name)
+        return getRegisteredComponent(name)
+      })
+      .catch((error) => {
+        // Allow a later appearance to retry
+        entry.promise = null
+        logger.error(`Error loading lazy component "${name}":`, error)
+        return undefined
+      })
+  }
+
+  return entry.promise
+}
+
+/**
+ * Gets all registered component names, including lazy components not loaded yet
  * @returns {string[]} Array of registered component names
  */
 export const getRegisteredComponentNames = () => {
-  return Array.from(componentRegistry.keys())
+  return Array.from(new Set([...componentRegistry.keys(), ...lazyComponentRegistry.keys()]))
 }
 
 /**
@@ -86,6 +172,7 @@ export const getRegisteredComponent = (name) => {
  */
 export const clearRegistry = () => {
   componentRegistry.clear()
+  lazyComponentRegistry.clear()
   logger.log('Component registry cleared')
 }
 
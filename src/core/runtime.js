@@ -0,0 +1,152 @@
+/**
+ * Root management shared by the Node and browser entry points: one observer per runtime root
+ * or shadow root, the checks that keep roots from overlapping, scanning and teardown.
+ */
+import { createObserver } from './observer.js'
+import { scanComponents, initializeComponents } from './scanComponents.js'
+import { scanDirectives } from './scanDirectives.js'
+import { getConfig, resolveConfig } from './config.js'
+import { removeInjectedStyles } from './styleInjection.js'
+import { logger } from '../utils/logger.js'
+import { isEmptyArray, isNonEmptyArray } from '../utils/type-guards.js'
+
+/**
+ * Observers for DOM mutations, one per runtime root or shadow root
+ * @type {Map<Element | ShadowRoot, Object>}
+ */
+const observers = new Map()
+
+/**
+ * Separates the runtime root from the configuration options
+ * @param {import('./config.js').HookTMLConfigOptions} [options] - Options passed to start()
+ * @returns {{ root: Element, config: import('./config.js').HookTMLConfigOptions }} The root and remaining options
+ */
+export const resolveRoot = (options = {}) => {
+  const { root = document.documentElement, ...config } = options
+
+  if (!(root instanceof Element)) {
+    throw new Error('[HookTML] start() root must be an Element')
+  }
+
+  return { root, config }
+}
+
+/**
+ * Options that change how every root reads the DOM. The configuration is shared between roots,
+ * so a root started next to others has to agree with them on these.
+ * @type {Array<'attributePrefix' | 'observeShadowRoots'>}
+ */
+const SHARED_OPTIONS = ['attributePrefix', 'observeShadowRoots']
+
+/**
+ * Throws if a new root would overlap a running one or change options the running roots rely on.
+ * Restarting a root that is already running is allowed.
+ * @param {Element} root - The root about to start
+ * @param {import('./config.js').HookTMLConfigOptions} config - Its configuration options
+ */
+export const assertCompatibleRoot = (root, config) => {
+  const others = Array.from(observers.keys()).filter(other => other !== root)
+
+  const overlapping = others.find(other => other instanceof Element && (other.contains(root) || root.contains(other)))
+  if (overlapping) {
+    throw new Error('[HookTML] start() root overlaps a root that is already running. Stop it first, or start a single root that contains both')
+  }
+
+  if (isEmptyArray(others)) return
+
+  const current = getConfig()
+  const next = resolveConfig(config)
+  const conflicts = SHARED_OPTIONS.filter(option => current[option] !== next[option])
+  if (isNonEmptyArray(conflicts)) {
+    throw new Error(`[HookTML] start() options conflict with the roots already running: ${conflicts.join(', ')}. The configuration is shared between roots`)
+  }
+}
+
+/**
+ * @typedef {Object} StopOptions
+ * @property {boolean} [teardown=false] - Also run every teardown and cleanup under the root
+ */
+
+/**
+ * Starts observing a root, replacing any previous observer for the same root
+ * @param {Element | ShadowRoot} root - The subtree or shadow root to observe
+ * @returns {(options?: StopOptions) => void} Stops observing the root
+ */
+export const observeRoot = (root) => {
+  observers.get(root)?.stop()
+  const observer = createObserver(root)
+  observers.set(root, observer)
+  observer.start()
+
+  return ({ teardown = false } = {}) => {
+    if (teardown) {
+      observer.destroy()
+    } else {
+      observer.stop()
+    }
+
+    if (observers.get(root) === observer) {
+      observers.delete(root)
+    }
+
+    // Styles are shared between roots, so only remove them once nothing is left running
+    if (teardown && observers.size === 0) {
+      removeInjectedStyles()
+    }
+  }
+}
+
+/**
+ * Scans the DOM for new components and hooks and initializes them
+ * @param {Element | Document | ShadowRoot} [root=document] - Limits the scan to this subtree or shadow root
+ * @returns {Array<Object>} Initialized component instances
+ */
+export const scan = (root = document) => {
+  // Scan for components
+  logger.log('Manual scan triggered')
+  const components = scanComponents(root)
+  const instances = initializeComponents(components)
+
+  // Scan for directives
+  scanDirectives(root)
+
+  logger.log(`Manual scan complete, initialized ${instances.length} new component(s)`)
+  return instances
+}
+
+/**
+ * Initializes and observes components and hooks inside a shadow root.
+ * Use this for shadow roots created after start(), or when `observeShadowRoots` is off.
+ * @param {ShadowRoot} shadowRoot - The shadow root to observe
+ * @returns {Object} Runtime object for the shadow root
+ */
+export const observe = (shadowRoot) => {
+  if (!(shadowRoot instanceof ShadowRoot)) {
+    throw new Error('[HookTML] observe() requires a ShadowRoot')
+  }
+
+  logger.log('Observing shadow root')
+  const stop = observeRoot(shadowRoot)
+
+  return {
+    root: shadowRoot,
+    scan: () => scan(shadowRoot),
+    stop,
+    destroy: () => stop({ teardown: true })
+  }
+}
+
+/**
+ * Stops every runtime and tears down everything HookTML initialized:
+ * component and directive teardowns, effects, hook instances and injected styles.
+ * Registered components and hooks are kept, so start() can be called again.
+ */
+export const destroy = () => {
+  logger.log('Destroying all runtimes...')
+
+  observers.forEach(observer => observer.destroy())
+  observers.clear()
+  removeInjectedStyles()
+
+  logger.log('Destroy complete')
+}
@@ -1,12 +1,20 @@
 import { getConfig } from './config.js'
-import { getRegisteredComponent, getRegisteredComponentNames } from './registry.js'
+import { getRegisteredComponent, getRegisteredComponentNames, isLazyComponent, loadLazyComponent } from './registry.js'
 import { isNotNil, isEmptyArray, isNil, isFunction, isObject } from '../utils/type-guards.js'
-import { lifecycleManager, markInitialized } from './initialization.js'
-import { extractProps } from '../utils/props.js'
+import { lifecycleManager, markInitialized, isUnmounted } from './initialization.js'
+import { extractProps, componentPropSource } from '../utils/props.js'
+import { attachPropSignals } from './propSignals.js'
 import { withHookContext } from './hookContext.js'
-import { injectComponentStyles } from './styleInjection.js'
+import { injectComponentStyles, injectCloakStyles } from './styleInjection.js'
+import { removeCloak, startLoading, finishLoading } from './componentLifecycle.js'
+import { getLoadingStrategy, scheduleLoading } from './loadingStrategies.js'
 import { tryCatch } from '../utils/try-catch.js'
+import { queryAllWithin, isIgnored } from '../utils/dom.js'
 import { logger } from '../utils/logger.js'
+import { storeComponentInstance } from './componentInstanceRegistry.js'
+import { bindActions } from './actions.js'
+import { applyBindings } from './bindings.js'
+import { splitWords } from '../utils/strings.js'
 
 /**
  * @typedef {Object} FoundComponent
@@ -31,40 +39,31 @@ const createClassSelector = (componentNames) => {
  */
 const createUseComponentSelector = (componentNames, prefix = '') => {
   return componentNames
-    .map(name => `[${prefix}use-component="${name}"]`)
+    .map(name => `[${prefix}use-component~="${name}"]`)
     .join(', ')
 }
 
 /**
- * Gets component name from an element
- * @param {HTMLElement} element - DOM element to extract component name from
+ * Gets every component name on an element, from its classes and then its use-component attribute
+ * @param {HTMLElement} element - DOM element to extract component names from
  * @param {string[]} componentNames - List of valid component names
  * @param {string|undefined} prefix - The attribute prefix to use
- * @returns {string|null} The component name or null if not found
+ * @returns {string[]} The component names, without duplicates
  */
-const getComponentNameFromElement = (element, componentNames, prefix = '') => {
-  // Check for class name match
-  const classList = Array.from(element.classList)
-  const classMatch = classList.find(className => componentNames.includes(className))
-  
-  if (isNotNil(classMatch)) {
-    return classMatch
-  }
-  
-  // Check for use-component attribute
-  const useComponentAttr = element.getAttribute(`${prefix}use-component`)
-  if (isNotNil(useComponentAttr) && componentNames.includes(useComponentAttr)) {
-    return useComponentAttr
-  }
-  
-  return null
+const getComponentNamesFromElement = (element, componentNames, prefix = '') => {
+  const classNames = Array.from(element.classList)
+  const useComponentNames = splitWords(element.getAttribute(`${prefix}use-component`))
+
+  return [...new Set([...classNames, ...useComponentNames])]
+    .filter(name => componentNames.includes(name))
 }
 
 /**
  * Scans the DOM for registered components
+ * @param {import('../utils/dom.js').QueryRoot} [root=document] - Where to look, including the root itself
  * @returns {FoundComponent[]} Array of found components
  */
-export const scanComponents = () => {
+export const scanComponents = (root = document) => {
   // Keep this original log message for backward compatibility with tests
   logger.log('Scanning for components...')
   
@@ -84,105 +83,247 @@ export const scanComponents = () => {
   logger.log(`Scanning DOM with selector: "${selector}"`)
   
   // Find all matching elements
-  /** @type {HTMLElement[]} */
-  const elements = Array.from(document.querySelectorAll(selector))
+  const elements = queryAllWithin(root, selector)
   
-  // Map to component objects
-  return elements
-    .map(element => {
-      const componentName = getComponentNameFromElement(element, componentNames, formattedPrefix)
-      return isNotNil(componentName) 
-        ? { element, componentName }
-        : null
-    })
-    .filter(isNotNil)
+  // Map to component objects, one per component on each element
+  return elements.flatMap(element =>
+    getComponentNamesFromElement(element, componentNames, formattedPrefix)
+      .map(componentName => ({ element, componentName }))
+  )
 }
 
 /**
- * Initializes components by calling registered component functions on matching DOM elements
- * @param {FoundComponent[]} components - Array of component objects from scanComponents()
- * @returns {Array<Object>} Array of initialized component instances
+ * Matches a single element against the registered components without scanning its subtree
+ * @param {HTMLElement} element - Element to check
+ * @returns {FoundComponent[]} One entry per matching component
  */
-export const initializeComponents = (components) => {
-  if (isNil(components) || isEmptyArray(components)) {
-    logger.log('No components to initialize')
-    return []
-  }
-  
-  logger.log(`Initializing ${components.length} component(s)...`)
-  
-  // Initialize each component by calling its registered function
-  const instances = components.map(({ element, componentName }) => {
-    if (lifecycleManager.isInitialized(element)) {
-      logger.log(`Skipping already initialized component: ${componentName}`)
-      return null
+export const matchComponents = (element) => {
+  const componentNames = getRegisteredComponentNames()
+  const { formattedPrefix } = getConfig()
+  return getComponentNamesFromElement(element, componentNames, formattedPrefix)
+    .map(componentName => ({ element, componentName }))
+}
+
+/**
+ * Checks whether a component still applies to an element, e.g. when a deferred or lazy
+ * initialization completes after the class or use-component value was removed, the element
+ * was unmounted, or it was moved into an ignored subtree
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The component name
+ * @returns {boolean} Whether the element is connected, not unmounted or ignored, and still uses the component
+ */
+const stillMatches = (element, componentName) =>
+  element.isConnected &&
+  !isUnmounted(element) &&
+  !isIgnored(element) &&
+  matchComponents(element).some(component => component.componentName === componentName)
+
+/**
+ * Loads a lazy component, then initializes it if the element is still in the document.
+ * The element stays cloaked until initialization completes.
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The lazy component name
+ * @param {boolean} deferred - Whether a loading strategy has already fired for the element
+ */
+const initializeLazyComponent = (element, componentName, deferred) => {
+  injectCloakStyles(element)
+  if (!startLoading(element, componentName)) return
+
+  loadLazyComponent(componentName).then((componentFn) => {
+    finishLoading(element, componentName)
+
+    if (!isNil(componentFn) && stillMatches(element, componentName)) {
+      // Removes the cloak once the component has initialized
+      initializeElement(element, componentName, deferred)
+    } else {
+      // Stays cloaked while other lazy components or hooks on the element are loading
+      removeCloak(element)
     }
+  })
+}
 
-    const componentFn = getRegisteredComponent(componentName)
-    
-    if (isNil(componentFn)) {
-      logger.warn(`No registered function found for component: ${componentName}`)
-      return null
+/**
+ * Defers initialization until the element's loading strategy fires.
+ * The pending initialization is cancelled if the element is torn down first.
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The component name
+ * @param {import('./loadingStrategies.js').LoadingStrategy} strategy - When to initialize
+ */
+const deferInitialization = (element, componentName, strategy) => {
+  if (lifecycleManager.isPending(element, componentName)) return
+
+  logger.log(`Deferring component "${componentName}" until ${strategy}`)
+
+  const state = { fired: false }
+
+  const cancel = scheduleLoading(element, strategy, () => {
+    state.fired = true
+    lifecycleManager.clearPending(element, componentName)
+
+    if (stillMatches(element, componentName)) {
+      initializeElement(element, componentName, true)
     }
-    
-    return tryCatch({
-      fn: () => {
-        logger.log(`Initializing component: ${componentName}`)
-        const props = extractProps(element, componentName)
-        
-        // Run component initialization within a hook context
-        const result = withHookContext(element, () => {
-          return componentFn(element, props)
-        })
-      
-        // If the hook context returned null due to an error, return null
-        if (result === null) {
-          return null
+  })
+
+  // The strategy may fire synchronously (e.g. no IntersectionObserver support)
+  if (!state.fired) {
+    lifecycleManager.registerPending(element, cancel, componentName)
+  }
+}
+
+/**
+ * Checks whether the legacy `element.component` property can be set without
+ * clobbering a `component` property defined by something else (e.g. a custom element)
+ * @param {HTMLElement} element - The component element
+ * @returns {boolean} Whether the property is free or was set by HookTML
+ */
+const canAssignComponentProperty = (element) =>
+  Object.prototype.hasOwnProperty.call(element, 'component') || !('component' in element)
+
+/**
+ * Runs a component function on its element and registers its cleanup
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The component name
+ * @param {Function} componentFn - The component function
+ * @returns {Object|null} The initialized component instance, or null on error
+ */
+const initializeComponent = (element, componentName, componentFn) => {
+  return tryCatch({
+    fn: () => {
+      logger.log(`Initializing component: ${componentName}`)
+      const props = attachPropSignals(
+        element,
+        componentName,
+        extractProps(element, componentName),
+        componentPropSource(element, componentName)
+      )
+
+      // Run component initialization within a hook context, binding -bind-* attributes
+      // in the same context so their effects are torn down with the component
+      const result = withHookContext(element, () => {
+        const returned = componentFn(element, props)
+        if (isObject(returned)) {
+          applyBindings(element, componentName, returned.context)
         }
-      
-        // Handle different return types:
-        // 1. Function → treat as cleanup
-        // 2. Object with { context, cleanup } → assign context to el.component and register cleanup
-        if (isFunction(result)) {
+        return returned
+      }, componentName)
+
+      // If the hook context returned null due to an error, return null
+      if (result === null) {
+        return null
+      }
+
+      // Handle different return types:
+      // 1. Function → treat as cleanup
+      // 2. Object with { context, cleanup, onMove } → assign context to el.component and register cleanup
+      if (isFunction(result)) {
         // Original behavior: result is a cleanup function
-          lifecycleManager.registerComponent(element, result)
-        } else if (isObject(result)) {
+        lifecycleManager.registerComponent(element, result, componentName)
+      } else if (isObject(result)) {
         // New behavior: result is an object that may contain context and/or cleanup
-          if (isNotNil(result.context)) {
-          // Assign context to element.component for external access
-          // Use object property assignment to avoid TypeScript errors
-            Object.defineProperty(element, 'component', {
-              value: result.context,
-              writable: true,
-              configurable: true
-            })
-          }
-        
-          if (isFunction(result.cleanup)) {
+        if (isNotNil(result.context) && canAssignComponentProperty(element)) {
+          // Kept for backward compatibility; getComponent() is the supported way to read the context
+          Object.defineProperty(element, 'component', {
+            value: result.context,
+            writable: true,
+            configurable: true
+          })
+        }
+
+        if (isFunction(result.cleanup)) {
           // Register cleanup function if provided
-            lifecycleManager.registerComponent(element, result.cleanup)
-          }
+          lifecycleManager.registerComponent(element, result.cleanup, componentName)
         }
-      
-        // Inject component styles and remove cloak
-        injectComponentStyles(componentFn, element)
-      
-        // Mark element as initialized (this will also mark in lifecycleManager)
-        markInitialized(element)
-      
-        return { 
-          element, 
-          componentName, 
-          instance: result 
+
+        if (isFunction(result.onMove)) {
+          // Called when the element is moved instead of removed
+          lifecycleManager.registerMoveHandler(element, result.onMove, componentName)
         }
-      },
-      onError: (error) => {
-        logger.error(`Error initializing component ${componentName}:`, error)
-        return null
       }
-    })
-  }).filter(isNotNil)
-  
+
+      // Inject component styles and remove cloak
+      injectComponentStyles(componentFn, element)
+
+      // Mark element as initialized (this will also mark in lifecycleManager)
+      markInitialized(element, componentName)
+
+      // Make the context available to getComponent() and resolve whenComponentReady()
+      storeComponentInstance(element, componentName, isObject(result) ? result.context : undefined)
+
+      // Route on-* action attributes inside the element to the context's methods
+      if (isObject(result)) {
+        bindActions(element, componentName, result.context)
+      }
+
+      return {
+        element,
+        componentName,
+        instance: result
+      }
+    },
+    onError: (error) => {
+      logger.error(`Error initializing component ${componentName}:`, error)
+      return null
+    }
+  })
+}
+
+/**
+ * Initializes a single component element, honoring its loading strategy
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The component name
+ * @param {boolean} [deferred=false] - Whether the loading strategy has already fired
+ * @returns {Object|null} The initialized component instance, or null if skipped or deferred
+ */
+const initializeElement = (element, componentName, deferred = false) => {
+  if (lifecycleManager.isInitialized(element, componentName)) {
+    logger.log(`Skipping already initialized component: ${componentName}`)
+    return null
+  }
+
+  const componentFn = getRegisteredComponent(componentName)
+
+  if (!deferred) {
+    const strategy = getLoadingStrategy(element, componentFn)
+    if (strategy !== 'eager') {
+      deferInitialization(element, componentName, strategy)
+      return null
+    }
+  }
+
+  if (isNil(componentFn) && isLazyComponent(componentName)) {
+    logger.log(`Loading lazy component: ${componentName}`)
+    initializeLazyComponent(element, componentName, deferred)
+    return null
+  }
+
+  if (isNil(componentFn)) {
+    logger.warn(`No registered function found for component: ${componentName}`)
+    return null
+  }
+
+  return initializeComponent(element, componentName, componentFn)
+}
+
+/**
+ * Initializes components by calling registered component functions on matching DOM elements.
+ * Components with a loading strategy other than `eager` are scheduled instead.
+ * @param {FoundComponent[]} components - Array of component objects from scanComponents()
+ * @returns {Array<Object>} Array of initialized component instances
+ */
+export const initializeComponents = (components) => {
+  if (isNil(components) || isEmptyArray(components)) {
+    logger.log('No components to initialize')
+    return []
+  }
+
+  logger.log(`Initializing ${components.length} component(s)...`)
+
+  // Initialize each component by calling its registered function
+  const instances = components
+    .map(({ element, componentName }) => initializeElement(element, componentName))
+    .filter(isNotNil)
+
   logger.log(`Successfully initialized ${instances.length} component(s)`)
   return instances
 } 
@@ -1,13 +1,17 @@
-import { getRegisteredHooks, getRegisteredHook } from './hookRegistry.js'
+import { getDirectiveHooks, getDirectiveHook, getLazyHookNames, isLazyHook, loadLazyHook } from './hookRegistry.js'
 import { camelToKebab, kebabToCamel } from '../utils/strings.js'
-import { isHTMLElement, isNotNil, isNonEmptyString, isEmptyString, isFunction, isEmptyArray } from '../utils/type-guards.js'
+import { isNotNil, isNonEmptyString, isEmptyString, isFunction, isEmptyArray } from '../utils/type-guards.js'
 import { tryCatch } from '../utils/try-catch.js'
-import { coerceValue, extractHookProps } from '../utils/props.js'
-import { lifecycleManager } from './initialization.js'
-import { withHookContext } from './hookContext.js'
+import { coerceValue, extractHookProps, hookPropSource } from '../utils/props.js'
+import { attachPropSignals, clearPropSignals } from './propSignals.js'
+import { lifecycleManager, isUnmounted } from './initialization.js'
+import { withHookContext, runCleanupFunctions } from './hookContext.js'
 import { logger } from '../utils/logger.js'
 import { getConfig } from './config.js'
-import { getHookInstance, storeHookInstance } from './hookInstanceRegistry.js'
+import { getHookInstance, storeHookInstance, getHookInstanceNames, clearHookInstances } from './hookInstanceRegistry.js'
+import { removeCloak, startLoading, finishLoading } from './componentLifecycle.js'
+import { injectCloakStyles } from './styleInjection.js'
+import { queryAllWithin, isIgnored } from '../utils/dom.js'
 
 /**
  * Creates a combined selector for all registered hooks
@@ -44,6 +48,96 @@ const getHookAttributesFromElement = (element, prefix = '') => {
     }))
 }
 
+/**
+ * Applies a single registered hook to an element
+ * @param {HTMLElement} element - The DOM element
+ * @param {string} hookName - The camelCase hook name
+ * @param {Function} hookFn - The hook function
+ * @param {string} value - The value of the hook's use-* attribute
+ */
+const applyHook = (element, hookName, hookFn, value) => {
+  logger.log(`Found hook "${hookName}" for element:`, element)
+
+  // Check if we already have an instance for this hook
+  const existingInstance = getHookInstance(element, hookName)
+  if (existingInstance) {
+    logger.log(`Using existing instance for hook "${hookName}"`)
+    return // Skip re-initialization
+  }
+
+  // Extract all props for this hook (including main value and additional props)
+  const props = attachPropSignals(
+    element,
+    hookName,
+    extractHookProps(element, hookName, value),
+    hookPropSource(element, hookName)
+  )
+
+  if (isNotNil(value)) {
+    logger.log(`Passing props to hook "${hookName}":`, props)
+  }
+
+  // Call the hook and store any teardown function it returns
+  const resultRef = { current: undefined }
+
+  tryCatch({
+    fn: () => {
+      logger.log(`Calling hook function for "${hookName}" with hook context`)
+
+      // Execute the hook function within a hook context to support useEffect
+      resultRef.current = withHookContext(element, () => {
+        const instance = hookFn(element, props)
+        // Store the hook instance for future reference
+        storeHookInstance(element, hookName, instance)
+        return instance
+      }, hookName)
+
+      logger.log(`Hook "${hookName}" returned:`, resultRef.current, typeof resultRef.current)
+    },
+    onError: (error) => {
+      logger.error(`Error applying hook "${hookName}":`, error)
+    }
+  })
+
+  // If the hook returned a function, store it as a teardown function
+  if (isFunction(resultRef.current)) {
+    logger.log(`Storing teardown function for hook "${hookName}" on element:`, element)
+
+    lifecycleManager.registerDirective(element, resultRef.current, hookName)
+
+    // Verify teardown was stored
+    const verifyTeardowns = lifecycleManager.hasRegistration(element)
+    logger.log(`✅ Verified teardown is registered: ${verifyTeardowns}`)
+  } else {
+    logger.log(`Hook "${hookName}" did not return a teardown function`)
+  }
+}
+
+/**
+ * Loads a lazy hook, then applies it if the element is still in the document.
+ * The element stays cloaked while the hook loads.
+ * @param {HTMLElement} element - The DOM element
+ * @param {string} hookName - The camelCase hook name
+ * @param {string} attributeName - The full use-* attribute name, including any prefix
+ */
+const applyLazyHook = (element, hookName, attributeName) => {
+  injectCloakStyles(element)
+  if (!startLoading(element, hookName)) return
+
+  loadLazyHook(hookName).then((hookFn) => {
+    finishLoading(element, hookName)
+
+    // Skip elements that were removed, unmounted or moved into an ignored subtree meanwhile
+    const stillApplies = element.isConnected && !isUnmounted(element) && !isIgnored(element) && element.hasAttribute(attributeName)
+    if (isFunction(hookFn) && stillApplies) {
+      applyHook(element, hookName, hookFn, element.getAttribute(attributeName))
+    }
+
+    // Stays cloaked while other lazy components or hooks on the element are loading
+    removeCloak(element)
+  })
+}
+
 /**
  * Processes a single element, applying all hooks defined on it
  * @param {HTMLElement} element - The DOM element to process
@@ -70,72 +164,70 @@ export const processElementHooks = (element) => {
 
     logger.log(`Looking for hook "${hookName}" from attribute "${originalName}"`)
 
-    const hookFn = getRegisteredHook(hookName)
+    const hookFn = getDirectiveHook(hookName)
 
     if (isNotNil(hookFn) && isFunction(hookFn)) {
-      logger.log(`Found hook "${hookName}" for element:`, element)
-
-      // Check if we already have an instance for this hook
-      const existingInstance = getHookInstance(element, hookName)
-      if (existingInstance) {
-        logger.log(`Using existing instance for hook "${hookName}"`)
-        return // Skip re-initialization
-      }
-
-      // Extract all props for this hook (including main value and additional props)
-      const props = extractHookProps(element, hookName, value)
-
-      if (isNotNil(value)) {
-        logger.log(`Passing props to hook "${hookName}":`, props)
-      }
-
-      // Call the hook and store any teardown function it returns
-      const resultRef = { current: undefined }
-
-      tryCatch({
-        fn: () => {
-          logger.log(`Calling hook function for "${hookName}" with hook context`)
-
-          // Execute the hook function within a hook context to support useEffect
-          resultRef.current = withHookContext(element, () => {
-            const instance = hookFn(element, props)
-            // Store the hook instance for future reference
-            storeHookInstance(element, hookName, instance)
-            return instance
-          })
-
-          logger.log(`Hook "${hookName}" returned:`, resultRef.current, typeof resultRef.current)
-        },
-        onError: (error) => {
-          logger.error(`Error applying hook "${hookName}":`, error)
-        }
-      })
-
-      // If the hook returned a function, store it as a teardown function
-      if (isFunction(resultRef.current)) {
-        logger.log(`Storing teardown function for hook "${hookName}" on element:`, element)
-
-        lifecycleManager.registerDirective(element, resultRef.current, hookName)
-
-        // Verify teardown was stored
-        const verifyTeardowns = lifecycleManager.hasRegistration(element)
-        logger.log(`✅ Verified teardown is registered: ${verifyTeardowns}`)
-      } else {
-        logger.log(`Hook "${hookName}" did not return a teardown function`)
-      }
+      applyHook(element, hookName, hookFn, value)
+    } else if (isLazyHook(hookName)) {
+      logger.log(`Loading lazy hook "${hookName}" for element:`, element)
+      applyLazyHook(element, hookName, originalName)
     } else {
       logger.warn(`Unknown hook "${hookName}" requested on element:`, element)
     }
   })
 }
 
+/**
+ * Tears down one hook on an element, leaving its components and other hooks running
+ * @param {HTMLElement} element - The DOM element
+ * @param {string} hookName - The camelCase hook name
+ */
+const removeHook = (element, hookName) => {
+  logger.log(`Hook "${hookName}" no longer applies, tearing it down:`, element)
+  lifecycleManager.teardownDirective(element, hookName)
+  runCleanupFunctions(element, hookName)
+  clearHookInstances(element, hookName)
+  clearPropSignals(element, hookName)
+}
+
+/**
+ * Applies hooks an element gained and tears down hooks it lost, e.g. after a use-* attribute
+ * was added or removed. Unlike processElementHooks, this also runs on elements that already
+ * have hooks or components.
+ * @param {HTMLElement} element - The DOM element to sync
+ */
+export const syncElementHooks = (element) => {
+  const { formattedPrefix } = getConfig()
+  const hookAttributes = getHookAttributesFromElement(element, formattedPrefix)
+    .map(attribute => ({ ...attribute, hookName: kebabToCamel(attribute.name) }))
+  const hookNames = hookAttributes.map(({ hookName }) => hookName)
+
+  getHookInstanceNames(element)
+    .filter(hookName => !hookNames.includes(hookName))
+    .forEach(hookName => removeHook(element, hookName))
+
+  const applied = getHookInstanceNames(element)
+  hookAttributes
+    .filter(({ hookName }) => !applied.includes(hookName))
+    .forEach(({ hookName, originalName, value }) => {
+      const hookFn = getDirectiveHook(hookName)
+
+      if (isFunction(hookFn)) {
+        applyHook(element, hookName, hookFn, value)
+      } else if (isLazyHook(hookName)) {
+        applyLazyHook(element, hookName, originalName)
+      }
+    })
+}
+
 /**
  * Scans the DOM for elements with use-* attributes and applies registered hooks
+ * @param {import('../utils/dom.js').QueryRoot} [root=document] - Where to look, including the root itself
  * @returns {number} The number of processed elements
  */
-export const scanDirectives = () => {
-  const hooks = getRegisteredHooks()
-  const hookNames = Array.from(hooks.keys())
+export const scanDirectives = (root = document) => {
+  const hooks = getDirectiveHooks()
+  const hookNames = [...hooks.keys(), ...getLazyHookNames()]
   const { formattedPrefix } = getConfig()
 
   if (isEmptyArray(hookNames)) {
@@ -149,9 +241,7 @@ export const scanDirectives = () => {
   logger.log(`Scanning DOM for hook directives with selector: "${selector}"`)
 
   // Find all elements with use-* attributes and ensure they are HTMLElements
-  /** @type {HTMLElement[]} */
-  const elements = Array.from(document.querySelectorAll(selector))
-    .filter(isHTMLElement)
+  const elements = queryAllWithin(root, selector)
 
   logger.log(`Found ${elements.length} element(s) with hook directives`)
 
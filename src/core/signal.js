@@ -11,6 +11,157 @@ import { logger } from '../utils/logger.js'
  * @property {Function} subscribe
  */
 
+/**
+ * Shared batching state for all signals
+ * @type {{ depth: number, queue: Map<Function, () => any>, checks: Set<Function> }}
+ */
+const batchState = {
+  depth: 0,
+  queue: new Map(),
+  checks: new Set()
+}
+
+/**
+ * Subscribers that propagate dirtiness through the dependency graph (e.g. computed signals)
+ * rather than reacting to values. They run synchronously on every write.
+ * @type {WeakSet<Function>}
+ */
+const propagators = new WeakSet()
+
+/**
+ * Maximum number of flush passes before a batch is considered to be looping
+ */
+const MAX_FLUSH_PASSES = 100
+
+/**
+ * Marks a subscriber as a propagator so it runs during the write instead of being queued
+ * @param {Function} callback - The subscriber to mark
+ * @returns {Function} The same callback
+ */
+export const registerPropagator = (callback) => {
+  propagators.add(callback)
+  return callback
+}
+
+/**
+ * Checks whether a subscriber is a propagator
+ * @param {Function} callback - The subscriber to check
+ * @returns {boolean} Whether the subscriber propagates dirtiness
+ */
+export const isPropagator = (callback) => propagators.has(callback)
+
+/**
+ * Queues a check to run before subscribers on the next flush.
+ * Computed signals use checks to re-evaluate once and queue their subscribers only if they changed.
+ * @param {Function} check - The check to run
+ */
+export const queueCheck = (check) => {
+  batchState.checks.add(check)
+}
+
+/**
+ * Queues subscribers for the next flush, deduplicated by callback identity
+ * @param {Set<Function>} subscribers - The subscribers to queue
+ * @param {() => any} readValue - Reads the value to pass to subscribers at notification time
+ */
+export const queueSubscribers = (subscribers, readValue) => {
+  subscribers.forEach(callback => {
+    if (!isPropagator(callback)) {
+      batchState.queue.set(callback, readValue)
+    }
+  })
+}
+
+/**
+ * Calls a single subscriber, logging instead of throwing on errors
+ * @param {Function} callback - The subscriber to call
+ * @param {any} [value] - The value to pass to the subscriber
+ */
+const runSubscriber = (callback, value) => {
+  tryCatch({
+    fn: () => callback(value),
+    onError: (error) => {
+      logger.error('Error in signal subscriber:', error)
+    }
+  })
+}
+
+/**
+ * Propagates a change: marks dependents dirty right away, then queues subscribers
+ * and flushes them unless a batch is still active
+ * @param {Set<Function>} subscribers - The subscribers to notify
+ * @param {() => any} readValue - Reads the value to pass to subscribers at notification time
+ */
+const notifySubscribers = (subscribers, readValue) => {
+  if (subscribers.size === 0) return
+
+  batch(() => {
+    Array.from(subscribers)
+      .filter(isPropagator)
+      .forEach(propagate => runSubscriber(propagate))
+
+    queueSubscribers(subscribers, readValue)
+  })
+}
+
+/**
+ * Runs queued checks and subscribers until no more writes are pending
+ */
+const flushBatch = () => {
+  // Keep batching while flushing so writes made by subscribers are coalesced into the next pass
+  batchState.depth++
+
+  try {
+    let passes = 0
+    while (batchState.checks.size > 0 || batchState.queue.size > 0) {
+      if (++passes > MAX_FLUSH_PASSES) {
+        batchState.checks.clear()
+        batchState.queue.clear()
+        logger.error(`batch() did not settle after ${MAX_FLUSH_PASSES} passes, possible update loop`)
+        break
+      }
+
+      // Settle computed signals first so their subscribers join this pass and run once
+      while (batchState.checks.size > 0) {
+        const [check] = batchState.checks
+        batchState.checks.delete(check)
+        runSubscriber(check)
+      }
+
+      const pending = Array.from(batchState.queue)
+      batchState.queue.clear()
+      pending.forEach(([callback, readValue]) => runSubscriber(callback, readValue()))
+    }
+  } finally {
+    batchState.depth--
+  }
+}
+
+/**
+ * Runs a function with signal notifications deferred until the outermost batch exits.
+ * Each subscriber runs at most once per flush, with the latest value.
+ * 
+ * @template T
+ * @param {() => T} fn - Function that writes to one or more signals
+ * @returns {T} The return value of fn
+ */
+export const batch = (fn) => {
+  if (!isFunction(fn)) {
+    throw new Error('[HookTML] batch() requires a function')
+  }
+
+  batchState.depth++
+
+  try {
+    return fn()
+  } finally {
+    batchState.depth--
+    if (batchState.depth === 0) {
+      flushBatch()
+    }
+  }
+}
+
 /**
  * A lightweight reactive primitive for storing local state.
  * 
@@ -40,17 +191,8 @@ export const signal = (initialValue) => {
       // Update reference container instead of direct variable reassignment
       state.current = newValue
       
-      // Notify all subscribers about the value change
-      if (subscribers.size > 0) {
-        subscribers.forEach(callback => {
-          tryCatch({
-            fn: () => callback(newValue),
-            onError: (error) => {
-              logger.error('Error in signal subscriber:', error)
-            }
-          })
-        })
-      }
+      // Notify all subscribers about the value change (deferred inside batch())
+      notifySubscribers(subscribers, () => state.current)
     },
     /**
      * Subscribe to value changes
@@ -5,8 +5,8 @@
  * ```js
  * const manager = new StateManager()
  * 
- * // Track component initialization
- * manager.markInitialized(element)
+ * // Track component initialization, optionally per component name
+ * manager.markInitialized(element, 'Tabs')
  * 
  * // Track directive initialization
  * manager.markDirectiveInitialized(element, 'my-directive')
@@ -32,6 +32,7 @@ import { isHTMLElement } from '../utils/type-guards.js'
 /**
  * @typedef {Object} ElementState
  * @property {boolean} initialized - Whether the element has been initialized
+ * @property {string[]} initializedComponents - Names of components that have been initialized
  * @property {string[]} initializedDirectives - Names of directives that have been initialized
  */
 
@@ -44,15 +45,20 @@ export class StateManager {
   /**
    * Marks an element as initialized
    * @param {HTMLElement} element - The DOM element
+   * @param {string} [componentName] - The component that initialized, when several can share the element
    * @throws {Error} If element is not an HTMLElement
    */
-  markInitialized(element) {
+  markInitialized(element, componentName) {
     if (!isHTMLElement(element)) {
       throw new Error('[HookTML] markInitialized requires an HTMLElement')
     }
 
     const state = this.getOrCreateState(element)
     state.initialized = true
+
+    if (componentName && !state.initializedComponents.includes(componentName)) {
+      state.initializedComponents.push(componentName)
+    }
   }
 
   /**
@@ -79,15 +85,67 @@ export class StateManager {
   /**
    * Checks if an element is initialized
    * @param {HTMLElement} element - The DOM element
-   * @returns {boolean} Whether the element is initialized
+   * @param {string} [componentName] - Only check this component
+   * @returns {boolean} Whether the element (or the given component on it) is initialized
    */
-  isInitialized(element) {
+  isInitialized(element, componentName) {
     if (!isHTMLElement(element)) {
       return false
     }
 
     const state = this.stateRegistry.get(element)
-    return state?.initialized ?? false
+    if (!state) {
+      return false
+    }
+
+    // An element marked without a component name counts as initialized for every component
+    if (componentName && state.initializedComponents.length > 0) {
+      return state.initializedComponents.includes(componentName)
+    }
+    return state.initialized
+  }
+
+  /**
+   * Gets all initialized components for an element
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string[]} Array of initialized component names
+   */
+  getInitializedComponents(element) {
+    if (!isHTMLElement(element)) {
+      return []
+    }
+
+    const state = this.stateRegistry.get(element)
+    return state?.initializedComponents ?? []
+  }
+
+  /**
+   * Clears the state of one component, leaving other components and directives on the element alone
+   * @param {HTMLElement} element - The DOM element
+   * @param {string} componentName - The component name
+   */
+  clearComponentState(element, componentName) {
+    const state = isHTMLElement(element) ? this.stateRegistry.get(element) : undefined
+    if (!state) {
+      return
+    }
+
+    state.initializedComponents = state.initializedComponents.filter(name => name !== componentName)
+    state.initialized = state.initializedComponents.length > 0
+  }
+
+  /**
+   * Clears the state of one directive, leaving components and other directives on the element alone
+   * @param {HTMLElement} element - The DOM element
+   * @param {string} directiveName - The name of the directive
+   */
+  clearDirectiveState(element, directiveName) {
+    const state = isHTMLElement(element) ? this.stateRegistry.get(element) : undefined
+    if (!state) {
+      return
+    }
+
+    state.initializedDirectives = state.initializedDirectives.filter(name => name !== directiveName)
   }
 
   /**
@@ -142,6 +200,7 @@ export class StateManager {
     if (!state) {
       state = {
         initialized: false,
+        initializedComponents: [],
         initializedDirectives: []
       }
       this.stateRegistry.set(element, state)
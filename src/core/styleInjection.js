@@ -15,13 +15,32 @@ import { logger } from '../utils/logger.js'
 const STYLE_TAG_ID = '__hooktml'
 const CLOAK_RULE = '[data-hooktml-cloak] { visibility: hidden; }'
 
+/**
+ * Style tags created by HookTML, in the document head and in shadow roots
+ * @type {Set<HTMLStyleElement>}
+ */
+const injectedStyleTags = new Set()
+
+/**
+ * Gets the document or shadow root whose styles apply to an element.
+ * Styles in `document.head` don't reach inside shadow roots.
+ * 
+ * @param {HTMLElement} [element] - The element being styled
+ * @returns {Document | ShadowRoot} Where the style tag belongs
+ */
+const getStyleRoot = (element) => {
+  const rootNode = element?.getRootNode()
+  return rootNode instanceof ShadowRoot ? rootNode : document
+}
+
 /**
  * Creates the <style> tag and injects the cloak rule if not already present.
  * 
+ * @param {Document | ShadowRoot} [root=document] - The document or shadow root to style
  * @returns {HTMLStyleElement} The shared style element
  */
-const getStyleTag = () => {
-  const styleTag = document.getElementById(STYLE_TAG_ID)
+const getStyleTag = (root = document) => {
+  const styleTag = root.getElementById(STYLE_TAG_ID)
   
   if (styleTag instanceof HTMLStyleElement) {
     return styleTag
@@ -30,10 +49,33 @@ const getStyleTag = () => {
   const initStyleTag = document.createElement('style')
   initStyleTag.id = STYLE_TAG_ID
   initStyleTag.textContent = CLOAK_RULE
-  document.head.appendChild(initStyleTag)
+  const parent = root instanceof ShadowRoot ? root : document.head
+  parent.appendChild(initStyleTag)
+  injectedStyleTags.add(initStyleTag)
   return initStyleTag
 }
 
+/**
+ * Removes every style tag HookTML injected, including the cloak rule.
+ * Styles are injected again when components next initialize.
+ */
+export const removeInjectedStyles = () => {
+  document.getElementById(STYLE_TAG_ID)?.remove()
+  injectedStyleTags.forEach(styleTag => styleTag.remove())
+  injectedStyleTags.clear()
+  logger.log('Removed injected styles')
+}
+
+/**
+ * Ensures the cloak rule is present so `data-hooktml-cloak` hides elements
+ * even when no component has injected styles yet.
+ * 
+ * @param {HTMLElement} [element] - The element to cloak, used to find its shadow root if any
+ */
+export const injectCloakStyles = (element) => {
+  getStyleTag(getStyleRoot(element))
+}
+
 /**
  * Gets the property for the component selector mode.
  * 
@@ -140,7 +182,7 @@ export const injectComponentStyles = (component, element) => {
   }
 
   // Get or create the style tag first to ensure it exists
-  const tag = getStyleTag()
+  const tag = getStyleTag(getStyleRoot(element))
   const sheet = tag.sheet
   const rule = toCssRule(component)
 
@@ -8,6 +8,12 @@ import { useClasses } from './useClasses.js'
 import { useAttributes } from './useAttributes.js'
 import { useStyles } from './useStyles.js'
 import { useText } from './useText.js'
+import { useModel } from './useModel.js'
+import { useForm } from './useForm.js'
+import { useList } from './useList.js'
+import { useShow } from './useShow.js'
+import { useIf } from './useIf.js'
+import { useTransition } from './useTransition.js'
 
 // Export the core hooks
 export {
@@ -17,5 +23,11 @@ export {
   useClasses,
   useAttributes,
   useStyles,
-  useText
+  useText,
+  useModel,
+  useForm,
+  useList,
+  useShow,
+  useIf,
+  useTransition
 }
@@ -28,6 +28,7 @@ import { isArray, isHTMLElement, isNil, isNonEmptyArray, isNonEmptyString, isSig
 import { kebabToCamel, pluralize } from '../utils/strings.js'
 import { signal } from '../core/signal.js'
 import { registerChildrenWatcher } from '../core/observer.js'
+import { isIgnored } from '../utils/dom.js'
 
 /**
  * Resolves scoped child elements by prefix within the current hook context
@@ -81,7 +82,7 @@ export const useChildren = (element, prefix, config = {}) => {
         }
       }
 
-      if (!hasMatchingAttr) continue
+      if (!hasMatchingAttr || isIgnored(el)) continue
 
       const closestHook = el.closest(useHookSelector)
       if (closestHook && closestHook !== element) continue
@@ -3,6 +3,7 @@ import {
   isEventTargetArray,
   isNonEmptyObject,
   isFunction,
+  isObject,
   isSignal,
   isNil,
   isEmptyArray,
@@ -10,11 +11,162 @@ import {
 } from '../utils/type-guards.js'
 import { useEffect } from '../core/hookContext.js'
 import { logger } from '../utils/logger.js'
+import { bindEmitter } from '../core/events.js'
 
 /**
- * Hook for adding event listeners with automatic cleanup
+ * A handler, or a signal holding one. Delegated handlers also receive the matched descendant.
+ * @typedef {(event: Event, index: number, delegateTarget?: Element) => void} EventHandler
+ */
+
+/**
+ * A handler with its own listener options, e.g. `{ handler, passive: true }`
+ * @typedef {AddEventListenerOptions & { handler: EventHandler | { value: EventHandler, subscribe: Function } }} EventHandlerConfig
+ */
+
+/**
+ * @typedef {Object} ParsedEventKey
+ * @property {string} eventName - The DOM event name
+ * @property {Set<string>} modifiers - Modifiers and key filters after the event name
+ * @property {string|undefined} selector - Descendant selector for delegated handlers
+ */
+
+/**
+ * Modifiers that change how the handler runs rather than filtering keys
+ */
+const BEHAVIOR_MODIFIERS = ['prevent', 'stop', 'self', 'once', 'passive', 'capture']
+
+/**
+ * Modifiers that require a modifier key to be held
+ */
+const SYSTEM_MODIFIERS = ['ctrl', 'alt', 'shift', 'meta']
+
+/**
+ * Key filter aliases, matched against the lowercased `event.key`
+ * @type {Record<string, string[]>}
+ */
+const KEY_ALIASES = {
+  enter: ['enter'],
+  esc: ['escape', 'esc'],
+  escape: ['escape', 'esc'],
+  space: [' ', 'spacebar'],
+  tab: ['tab'],
+  up: ['arrowup'],
+  down: ['arrowdown'],
+  left: ['arrowleft'],
+  right: ['arrowright'],
+  delete: ['delete', 'backspace']
+}
+
+/**
+ * Named keys usable as key filters besides the aliases, written in kebab case
+ * and matched against `event.key` without dashes, e.g. `page-down` → `PageDown`
+ */
+const NAMED_KEYS = [
+  'page-up', 'page-down', 'home', 'end', 'backspace', 'insert', 'caps-lock', 'context-menu',
+  ...Array.from({ length: 12 }, (_, index) => `f${index + 1}`)
+]
+
+/**
+ * Checks whether a dot segment of an event map key is a modifier or key filter
+ * rather than part of the event name
+ * @param {string} segment - The lowercased segment
+ * @returns {boolean} Whether the segment is a known modifier or key
+ */
+const isModifier = (segment) =>
+  BEHAVIOR_MODIFIERS.includes(segment) ||
+  SYSTEM_MODIFIERS.includes(segment) ||
+  segment in KEY_ALIASES ||
+  NAMED_KEYS.includes(segment) ||
+  segment.length === 1
+
+/**
+ * Parses an event map key such as `click.prevent.once` or `click@[todo-item]`.
+ * Only known modifiers and keys are taken from the end, so dotted event names
+ * such as `show.bs.modal` stay intact.
+ * @param {string} key - The event map key
+ * @returns {ParsedEventKey} The event name, modifiers and delegate selector
+ */
+const parseEventKey = (key) => {
+  const at = key.indexOf('@')
+  const type = at === -1 ? key : key.slice(0, at)
+  const selector = at === -1 ? '' : key.slice(at + 1).trim()
+  const segments = type.split('.')
+
+  /** @type {string[]} */
+  const modifiers = []
+  while (segments.length > 1 && isModifier(segments[segments.length - 1].toLowerCase())) {
+    modifiers.unshift(/** @type {string} */ (segments.pop()).toLowerCase())
+  }
+
+  return {
+    eventName: segments.join('.'),
+    modifiers: new Set(modifiers),
+    selector: selector || undefined
+  }
+}
+
+/**
+ * Checks a keyboard or mouse event against the modifier keys and key filters.
+ * Key filters are ignored for events without a `key`.
+ * @param {Event} event - The event
+ * @param {Set<string>} modifiers - The parsed modifiers
+ * @returns {boolean} Whether the event passes
+ */
+const matchesKeys = (event, modifiers) => {
+  const keyEvent = /** @type {KeyboardEvent} */ (event)
+  const systemKeysHeld = SYSTEM_MODIFIERS
+    .filter(modifier => modifiers.has(modifier))
+    .every(modifier => keyEvent[/** @type {'ctrlKey'} */ (`${modifier}Key`)])
+
+  if (!systemKeysHeld) return false
+
+  const keyFilters = Array.from(modifiers)
+    .filter(modifier => !BEHAVIOR_MODIFIERS.includes(modifier) && !SYSTEM_MODIFIERS.includes(modifier))
+
+  if (isEmptyArray(keyFilters) || typeof keyEvent.key !== 'string') return true
+
+  const key = keyEvent.key.toLowerCase()
+  return keyFilters.some(filter => (KEY_ALIASES[filter] || [filter.replace(/-/g, '')]).includes(key))
+}
+
+/**
+ * Finds the descendant of the listening element that a delegated event came from
+ * @param {Event} event - The event
+ * @param {EventTarget} element - The listening element
+ * @param {string} selector - The delegate selector
+ * @returns {Element|undefined} The closest matching element inside the listening element
+ */
+const findDelegateTarget = (event, element, selector) => {
+  const path = event.composedPath()
+  const end = path.indexOf(element)
+
+  return /** @type {Element|undefined} */ (path
+    .slice(0, end === -1 ? path.length : end)
+    .find(node => node instanceof Element && node.matches(selector)))
+}
+
+/**
+ * Checks whether an event map value is a handler with listener options
+ * @param {unknown} value - The event map value
+ * @returns {boolean} Whether the value is an `{ handler, ...options }` object
+ */
+const isHandlerConfig = (value) => isObject(value) && !isSignal(value) && 'handler' in /** @type {object} */ (value)
+
+/**
+ * Hook for adding event listeners with automatic cleanup.
+ *
+ * Event map keys accept modifiers and a delegate selector:
+ * - `click.prevent`, `.stop`, `.self`: call `preventDefault()` / `stopPropagation()`, or only handle events on the element itself
+ * - `.once`, `.passive`, `.capture`: listener options; `once` counts only events that pass the filters
+ * - `keydown.enter`, `.esc`, `.space`, `.up`, ..., `.page-down`, `.f1`, or a single character: key filters
+ * - Other dot segments are part of the event name, e.g. `show.bs.modal`
+ * - `.ctrl`, `.alt`, `.shift`, `.meta`: require modifier keys
+ * - `click@[todo-item]`: delegate to descendants matching the selector; the handler receives the match as third argument
+ *
+ * Values are handlers, signals holding handlers, or `{ handler, ...AddEventListenerOptions }`.
+ *
  * @param {EventTarget|EventTarget[]|null|undefined} elementOrElements - The element(s) to attach events to (HTMLElement, Document, Window, array of these, or null/undefined)
- * @param {Record<string, (event: Event, index: number) => void | {value: (event: Event, index: number) => void, subscribe: Function}>} eventMap - Object mapping event names to handlers or signals containing handlers
+ * @param {Record<string, EventHandler | {value: EventHandler, subscribe: Function} | EventHandlerConfig>} eventMap - Object mapping event keys to handlers, signals containing handlers, or handler configs
  * @returns {Function} Cleanup function that removes all event listeners
  */
 export const useEvents = (elementOrElements, eventMap, deps = []) => {
@@ -42,46 +194,93 @@ export const useEvents = (elementOrElements, eventMap, deps = []) => {
     throw new Error('[HookTML] useEvents requires a non-empty object mapping event names to listeners')
   }
 
-  const implicitDeps = Object.values(eventMap).filter(isSignal)
+  const implicitDeps = Object.values(eventMap)
+    .map(value => isHandlerConfig(value) ? value.handler : value)
+    .filter(isSignal)
   const allDeps = implicitDeps.concat(deps);
 
-  const currentHandlers = new Map()
+  /**
+   * Every attached listener, so each can be removed from its own element
+   * @type {Array<{ element: EventTarget, eventName: string, listener: EventListener, options?: AddEventListenerOptions }>}
+   */
+  let attached = []
+
+  /**
+   * Once-handlers that already ran, by event key and element index, so re-attaching skips them
+   * @type {Set<string>}
+   */
+  const firedOnce = new Set()
+
+  /**
+   * @param {{ element: EventTarget, eventName: string, listener: EventListener, options?: AddEventListenerOptions }} entry
+   */
+  const detach = ({ element, eventName, listener, options }) => {
+    element.removeEventListener(eventName, listener, ...(options ? [options] : []))
+  }
+
+  const removeListeners = () => {
+    attached.forEach(detach)
+    attached = []
+  }
 
   const updateEventListeners = () => {
-    currentHandlers.forEach((handler, eventName) => {
-      elements.forEach(element => {
-        element.removeEventListener(eventName, handler)
-      })
-    })
-    currentHandlers.clear()
+    removeListeners()
 
-    const validHandlers = Object.entries(eventMap).filter(([eventName, handlerOrSignal]) => {
+    const validHandlers = Object.entries(eventMap).flatMap(([key, value]) => {
+      const { handler: handlerOrSignal, ...handlerOptions } = isHandlerConfig(value) ? value : { handler: value }
       const handler = isSignal(handlerOrSignal)
         ? handlerOrSignal.value
         : handlerOrSignal
 
       if (!isFunction(handler)) {
-        logger.warn(`Event handler for '${eventName}' is not a function, skipping`)
-        return
+        logger.warn(`Event handler for '${key}' is not a function, skipping`)
+        return []
       }
 
-      return [eventName, handler]
+      return [{ key, handler, handlerOptions, ...parseEventKey(key) }]
     })
 
     elements.forEach((element, index) => {
-      validHandlers.forEach(([eventName, handler]) => {
+      validHandlers.forEach(({ key, handler, handlerOptions, eventName, modifiers, selector }) => {
+        const { once: onceOption, ...listenerOptions } = handlerOptions
+        const once = Boolean(onceOption) || modifiers.has('once')
+        const onceKey = `${key}:${index}`
+
+        if (once && firedOnce.has(onceKey)) return
+
+        if (modifiers.has('capture')) listenerOptions.capture = true
+        if (modifiers.has('passive')) listenerOptions.passive = true
+        const options = isNonEmptyObject(listenerOptions) ? listenerOptions : undefined
+
         /**
          * @param {Event} event
          */
-        const handlerWithIndex = (event) => {
-          if (isFunction(handler)) {
-            handler(event, index)
+        const handlerWithIndex = bindEmitter((event) => {
+          const delegateTarget = selector ? findDelegateTarget(event, element, selector) : undefined
+          if (selector && !delegateTarget) return
+
+          if (modifiers.has('self') && event.target !== (delegateTarget || event.currentTarget)) return
+          if (!matchesKeys(event, modifiers)) return
+
+          if (modifiers.has('prevent')) event.preventDefault()
+          if (modifiers.has('stop')) event.stopPropagation()
+
+          if (once) {
+            firedOnce.add(onceKey)
+            detach(entry)
+            attached = attached.filter(other => other !== entry)
           }
-        }
 
-        element.addEventListener(eventName, handlerWithIndex)
+          if (delegateTarget) {
+            handler(event, index, delegateTarget)
+          } else {
+            handler(event, index)
+          }
+        })
 
-        currentHandlers.set(eventName, handlerWithIndex)
+        const entry = { element, eventName, listener: handlerWithIndex, options }
+        element.addEventListener(eventName, handlerWithIndex, ...(options ? [options] : []))
+        attached.push(entry)
       })
     })
   }
@@ -94,12 +293,5 @@ export const useEvents = (elementOrElements, eventMap, deps = []) => {
     }, allDeps)
   }
 
-  return () => {
-    currentHandlers.forEach((handler, eventName) => {
-      elements.forEach(element => {
-        element.removeEventListener(eventName, handler)
-      })
-    })
-    currentHandlers.clear()
-  }
-} 
+  return removeListeners
+}
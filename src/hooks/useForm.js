@@ -0,0 +1,445 @@
+import { isFunction, isNil, isObject, isString } from '../utils/type-guards.js'
+import { signal, batch } from '../core/signal.js'
+import { computed } from '../core/computed.js'
+import { effect, getCurrentContext, registerCleanup } from '../core/hookContext.js'
+import { provide } from '../core/provide.js'
+import { getConfig } from '../core/config.js'
+import { useEvents } from './useEvents.js'
+import { tryCatch, tryCatchAsync } from '../utils/try-catch.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * A custom validator. Returns an error message, or nothing when the value is valid.
+ * @typedef {(value: any, values: Record<string, any>) => string | null | undefined | Promise<string | null | undefined>} FieldValidator
+ */
+
+/**
+ * @typedef {Object} FormOptions
+ * @property {Record<string, FieldValidator>} [validators] - Custom validators by field name, run after the built-in constraints pass once the field is touched, and on submit
+ * @property {(values: Record<string, any>, event: SubmitEvent) => any} [onSubmit] - Called with the values when a valid form is submitted, instead of submitting natively. May return a promise
+ */
+
+/**
+ * @typedef {Object} FormState
+ * @property {import('../core/signal.js').Signal<Record<string, any>>} values - Current field values by name
+ * @property {import('../core/signal.js').Signal<Record<string, string>>} errors - Error messages of invalid fields by name
+ * @property {import('../core/signal.js').Signal<Record<string, boolean>>} touched - Fields the user has left, or all fields after a submit attempt
+ * @property {import('../core/signal.js').Signal<Record<string, boolean>>} dirty - Fields whose value differs from the initial value
+ * @property {{ value: boolean }} valid - Whether no field has an error
+ * @property {import('../core/signal.js').Signal<boolean>} validating - Whether an async validator is running
+ * @property {import('../core/signal.js').Signal<boolean>} submitting - Whether a submission is in progress
+ * @property {() => Promise<boolean>} validate - Validates every field and marks them all touched
+ * @property {() => void} reset - Resets the form and its state
+ */
+
+/**
+ * Input types that are buttons rather than values
+ */
+const BUTTON_TYPES = ['submit', 'button', 'reset', 'image']
+
+/**
+ * Gets the named, value-holding controls of a form, grouped by name
+ * @param {HTMLFormElement} form - The form
+ * @returns {Map<string, HTMLInputElement[]>} Controls by name, in document order
+ */
+const getFields = (form) => {
+  /** @type {Map<string, HTMLInputElement[]>} */
+  const fields = new Map()
+
+  Array.from(form.elements).forEach(element => {
+    const field = /** @type {HTMLInputElement} */ (element)
+    if (!field.name || BUTTON_TYPES.includes(field.type) || !('value' in field) || element.tagName === 'OUTPUT') return
+
+    fields.set(field.name, [...(fields.get(field.name) || []), field])
+  })
+
+  return fields
+}
+
+/**
+ * Reads the value of a group of controls sharing a name
+ * @param {HTMLInputElement[]} controls - The controls
+ * @returns {any} A string, a boolean for a single checkbox, or an array for checkbox groups and multiple selects
+ */
+const readValue = (controls) => {
+  const [first] = controls
+
+  if (first.type === 'checkbox') {
+    return controls.length === 1
+      ? first.checked
+      : controls.filter(control => control.checked).map(control => control.value)
+  }
+  if (first.type === 'radio') {
+    return controls.find(control => control.checked)?.value ?? ''
+  }
+  if (first instanceof HTMLSelectElement && first.multiple) {
+    return Array.from(first.selectedOptions).map(option => option.value)
+  }
+  return first.value
+}
+
+/**
+ * Reads every field value of a form
+ * @param {Map<string, HTMLInputElement[]>} fields - The form's controls by name
+ * @returns {Record<string, any>} Values by name
+ */
+const readValues = (fields) =>
+  Object.fromEntries(Array.from(fields, ([name, controls]) => [name, readValue(controls)]))
+
+/**
+ * Compares two field values
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} Whether the values are the same
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Returns a copy of a record with a key set or removed
+ * @template T
+ * @param {Record<string, T>} record - The record
+ * @param {string} key - The key
+ * @param {T | undefined} value - The new value, or undefined to remove the key
+ * @returns {Record<string, T>} The updated copy
+ */
+const withKey = (record, key, value) => {
+  const { [key]: _removed, ...rest } = record
+  return isNil(value) ? rest : { ...rest, [key]: value }
+}
+
+/**
+ * Tracks a form's values, validity, touched and dirty state as signals, validates with the
+ * Constraint Validation API and custom (async) validators, and guards against double submission.
+ * Built-in constraints are checked from the start; custom validators only run for touched
+ * fields and on submit, so they don't fire requests before the user interacts.
+ *
+ * State is reflected as attributes, respecting `attributePrefix`:
+ * - on fields: `form-touched`, `form-dirty`, and `form-invalid` plus `aria-invalid` once touched
+ * - on the form: `form-invalid` and `form-submitting`
+ * - elements with `form-error="<name>"` show the field's message once it is touched
+ *
+ * @param {HTMLFormElement} form - The form element
+ * @param {FormOptions} [options={}] - Validators and submit handler
+ * @returns {FormState} The form state and actions
+ */
+export const useForm = (form, options = {}) => {
+  if (!(form instanceof HTMLFormElement)) {
+    throw new Error('[HookTML] useForm requires a form element as first argument')
+  }
+
+  if (!isObject(options)) {
+    throw new Error('[HookTML] useForm options must be an object')
+  }
+
+  const { validators = {}, onSubmit } = options
+  const { formattedPrefix } = getConfig()
+  const attr = (/** @type {string} */ name) => `${formattedPrefix}form-${name}`
+
+  const initialFields = getFields(form)
+  const initialValues = { current: readValues(initialFields) }
+
+  const values = signal(initialValues.current)
+  const errors = signal(/** @type {Record<string, string>} */ ({}))
+  const touched = signal(/** @type {Record<string, boolean>} */ ({}))
+  const dirty = signal(/** @type {Record<string, boolean>} */ ({}))
+  const validating = signal(false)
+  const submitting = signal(false)
+  const valid = computed(() => Object.keys(errors.value).length === 0)
+
+  /**
+   * Latest validation run per field, so stale async results are dropped
+   * @type {Map<string, number>}
+   */
+  const runs = new Map()
+  const pending = new Set()
+
+  /**
+   * Validates one field: built-in constraints first, then its custom validator once the field is touched
+   * @param {string} name - The field name
+   * @param {HTMLInputElement[]} controls - The field's controls
+   * @returns {Promise<boolean>} Whether the field is valid
+   */
+  const validateField = async (name, controls) => {
+    const run = (runs.get(name) || 0) + 1
+    runs.set(name, run)
+
+    controls.forEach(control => control.setCustomValidity(''))
+    const invalid = controls.find(control => !control.checkValidity())
+    const validator = validators[name]
+
+    /** @type {string | null | undefined} */
+    let message = invalid?.validationMessage
+
+    if (!invalid && isFunction(validator) && touched.value[name]) {
+      pending.add(name)
+      validating.value = true
+
+      message = await tryCatchAsync({
+        fn: async () => validator(values.value[name], values.value),
+        onError: (error) => {
+          logger.error(`Error in validator for field "${name}":`, error)
+          return error.message
+        },
+        onFinally: () => {
+          pending.delete(name)
+          validating.value = pending.size > 0
+        }
+      })
+    }
+
+    if (runs.get(name) !== run) return !errors.value[name]
+
+    const error = isString(message) && message ? message : undefined
+    if (error && !invalid) {
+      controls.forEach(control => control.setCustomValidity(error))
+    }
+
+    errors.value = withKey(errors.value, name, error)
+    return !error
+  }
+
+  /**
+   * Re-reads the values and dirty state after a field changed
+   */
+  const readForm = () => {
+    const fields = getFields(form)
+    const nextValues = readValues(fields)
+
+    batch(() => {
+      values.value = nextValues
+      dirty.value = Object.fromEntries(
+        Object.keys(nextValues)
+          .filter(name => !isSameValue(nextValues[name], initialValues.current[name]))
+          .map(name => [name, true])
+      )
+    })
+
+    return fields
+  }
+
+  /**
+   * Validates every field
+   * @returns {Promise<boolean>} Whether the whole form is valid
+   */
+  const validateAll = async () => {
+    const fields = readForm()
+    const results = await Promise.all(Array.from(fields, ([name, controls]) => validateField(name, controls)))
+    return results.every(Boolean)
+  }
+
+  const validate = () => {
+    touched.value = Object.fromEntries(Array.from(getFields(form).keys(), name => [name, true]))
+    return validateAll()
+  }
+
+  const reset = () => {
+    form.reset()
+  }
+
+  /**
+   * Handles a change to one field
+   * @param {Event} event - The input or change event
+   */
+  const handleFieldEvent = (event) => {
+    const name = /** @type {HTMLInputElement} */ (event.target)?.name
+    if (!name) return
+
+    const previous = values.value[name]
+    const fields = readForm()
+    const controls = fields.get(name)
+
+    // Most edits fire both input and change, so validate only when the value changed
+    if (controls && !isSameValue(values.value[name], previous)) {
+      validateField(name, controls)
+    }
+  }
+
+  /**
+   * Marks a field touched when the user leaves it, and runs its custom validator for the first time
+   * @param {Event} event - The focusout event
+   */
+  const handleFieldBlur = (event) => {
+    const name = /** @type {HTMLInputElement} */ (event.target)?.name
+    if (!name || touched.value[name]) return
+
+    touched.value = withKey(touched.value, name, true)
+
+    const controls = getFields(form).get(name)
+    if (controls && isFunction(validators[name])) {
+      validateField(name, controls)
+    }
+  }
+
+  /**
+   * Set while a valid form is resubmitted natively, so that submit event is let through
+   */
+  let bypassSubmit = false
+
+  /**
+   * The submit event fired by the native resubmission, once it was let through
+   * @type {Event|null}
+   */
+  let resubmitEvent = null
+
+  /**
+   * Submits a validated form natively. `requestSubmit()` keeps the submitter's name and value
+   * and fires a submit event other listeners can still cancel. The page navigates away, so
+   * `submitting` stays true unless the resubmission was cancelled or failed.
+   * @param {HTMLElement|null} submitter - The button that submitted the form, if any
+   */
+  const submitNatively = (submitter) => {
+    const button = /** @type {HTMLButtonElement|null} */ (submitter)
+
+    bypassSubmit = true
+    resubmitEvent = null
+    tryCatch({
+      fn: () => form.requestSubmit(button?.form === form ? button : undefined),
+      onError: (error) => {
+        logger.error('Error submitting form:', error)
+      },
+      onFinally: () => {
+        bypassSubmit = false
+        if (!resubmitEvent || resubmitEvent.defaultPrevented) {
+          submitting.value = false
+        }
+        resubmitEvent = null
+      }
+    })
+  }
+
+  /**
+   * Validates and submits the form, ignoring submits while one is in progress
+   * @param {Event} event - The submit event
+   */
+  const handleSubmit = async (event) => {
+    if (bypassSubmit) {
+      resubmitEvent = event
+      return
+    }
+
+    const submitEvent = /** @type {SubmitEvent} */ (event)
+    event.preventDefault()
+
+    if (submitting.value) {
+      logger.log('Ignoring submit while a submission is in progress')
+      return
+    }
+
+    submitting.value = true
+    const isValid = await validate()
+
+    if (!isValid) {
+      submitting.value = false
+      form.querySelector(':invalid')?.focus?.()
+      return
+    }
+
+    if (!isFunction(onSubmit)) {
+      submitNatively(submitEvent.submitter ?? null)
+      return
+    }
+
+    await tryCatchAsync({
+      fn: async () => onSubmit(values.value, submitEvent),
+      onError: (error) => {
+        logger.error('Error in form submit handler:', error)
+      },
+      onFinally: () => {
+        submitting.value = false
+      }
+    })
+  }
+
+  const wasNoValidate = form.noValidate
+  form.noValidate = true
+
+  const removeListeners = useEvents(form, {
+    input: handleFieldEvent,
+    change: handleFieldEvent,
+    focusout: handleFieldBlur,
+    submit: handleSubmit,
+    reset: () => {
+      // The reset event fires before the fields are reset
+      queueMicrotask(() => {
+        runs.clear()
+        initialValues.current = readValues(getFields(form))
+        batch(() => {
+          touched.value = {}
+          errors.value = {}
+        })
+        validateAll()
+      })
+    }
+  })
+
+  const stopReflecting = effect(() => {
+    const fields = getFields(form)
+    const currentErrors = errors.value
+    const currentTouched = touched.value
+    const currentDirty = dirty.value
+
+    fields.forEach((controls, name) => {
+      const showError = Boolean(currentTouched[name] && currentErrors[name])
+      controls.forEach(control => {
+        control.toggleAttribute(attr('touched'), Boolean(currentTouched[name]))
+        control.toggleAttribute(attr('dirty'), Boolean(currentDirty[name]))
+        control.toggleAttribute(attr('invalid'), showError)
+        if (showError) {
+          control.setAttribute('aria-invalid', 'true')
+        } else {
+          control.removeAttribute('aria-invalid')
+        }
+      })
+    })
+
+    form.querySelectorAll(`[${attr('error')}]`).forEach(element => {
+      const name = element.getAttribute(attr('error')) || ''
+      element.textContent = currentTouched[name] ? currentErrors[name] ?? '' : ''
+    })
+
+    form.toggleAttribute(attr('invalid'), !valid.value)
+    form.toggleAttribute(attr('submitting'), submitting.value)
+  })
+
+  const cleanup = () => {
+    removeListeners()
+    stopReflecting()
+    form.noValidate = wasNoValidate
+  }
+
+  const context = getCurrentContext()
+  if (context) {
+    registerCleanup(context.element, cleanup, context.owner)
+  }
+
+  // Check the built-in constraints up front so `valid` is accurate; nothing is touched yet,
+  // so custom validators don't run
+  validateAll()
+
+  return {
+    values,
+    errors,
+    touched,
+    dirty,
+    valid,
+    validating,
+    submitting,
+    validate,
+    reset
+  }
+}
+
+/**
+ * The `use-form` directive: validation, state reflection and double-submit protection for a
+ * natively submitted form. The form state is provided as `"form"` for descendants to `inject()`.
+ * @param {HTMLFormElement} form - The form element
+ * @returns {void}
+ */
+export const useFormDirective = (form) => {
+  if (!(form instanceof HTMLFormElement)) {
+    logger.warn('use-form must be placed on a <form> element:', form)
+    return
+  }
+
+  provide('form', useForm(form))
+}
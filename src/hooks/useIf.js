@@ -0,0 +1,109 @@
+import { isHTMLElement, isNil, isSignal } from '../utils/type-guards.js'
+import { getCurrentContext, registerCleanup, useEffect } from '../core/hookContext.js'
+import { mount, unmount } from '../core/mount.js'
+import { transition, cancelTransition, toTransitionOptions } from './useTransition.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * @typedef {Object} IfOptions
+ * @property {string|import('./useTransition.js').TransitionOptions} [transition] - Enter and leave transition for the content's elements; hidden content is torn down and removed once its leave transition finishes
+ */
+
+/**
+ * Inserts a `<template>`'s content after it while a signal is truthy, and removes it while falsy.
+ * Inserted elements are mounted, so components and hooks inside them initialize when shown
+ * and run their teardowns when hidden. The content is removed when the calling component
+ * or hook is torn down.
+ * @param {HTMLTemplateElement|null|undefined} template - The template to render (or null/undefined)
+ * @param {{ value: any, subscribe: Function }} condition - Signal or computed; the content is rendered while it is truthy
+ * @param {IfOptions} [options={}] - Transition options
+ * @returns {void}
+ */
+export const useIf = (template, condition, options = {}) => {
+  if (isNil(template)) {
+    logger.info('[HookTML] useIf called with null/undefined template, skipping rendering')
+    return
+  }
+
+  if (!(template instanceof HTMLTemplateElement)) {
+    throw new Error('[HookTML] useIf requires a <template> element as first argument')
+  }
+
+  if (!isSignal(condition)) {
+    throw new Error('[HookTML] useIf requires a signal as second argument')
+  }
+
+  const transitionOptions = toTransitionOptions(options.transition)
+  let initialized = false
+
+  /**
+   * The rendered nodes, or null while hidden
+   * @type {ChildNode[]|null}
+   */
+  let nodes = null
+
+  /**
+   * @param {boolean} animate - Whether to run the enter transition
+   */
+  const show = (animate) => {
+    const parent = template.parentNode
+    if (!parent) {
+      logger.warn('useIf template is not in the DOM, skipping rendering:', template)
+      return
+    }
+
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true))
+    nodes = Array.from(fragment.childNodes)
+    parent.insertBefore(fragment, template.nextSibling)
+
+    const elements = nodes.filter(isHTMLElement)
+    elements.forEach(element => mount(element))
+
+    if (animate && transitionOptions) {
+      elements.forEach(element => transition(element, 'enter', transitionOptions))
+    }
+  }
+
+  /**
+   * @param {boolean} animate - Whether to wait for the leave transition before removing the content
+   */
+  const hide = (animate) => {
+    if (!nodes) return
+
+    const rendered = nodes
+    const elements = rendered.filter(isHTMLElement)
+    nodes = null
+
+    const remove = () => {
+      elements.forEach(element => unmount(element))
+      rendered.forEach(node => node.remove())
+    }
+
+    if (!animate || !transitionOptions) {
+      elements.forEach(cancelTransition)
+      remove()
+      return
+    }
+
+    Promise.all(elements.map(element => transition(element, 'leave', transitionOptions))).then(remove)
+  }
+
+  useEffect(() => {
+    const visible = Boolean(condition.value)
+    const animate = initialized
+    initialized = true
+
+    if (visible === Boolean(nodes)) return
+
+    if (visible) {
+      show(animate)
+    } else {
+      hide(animate)
+    }
+  }, [condition])
+
+  const context = getCurrentContext()
+  if (context) {
+    registerCleanup(context.element, () => hide(false), context.owner)
+  }
+}
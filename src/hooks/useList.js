@@ -0,0 +1,223 @@
+import { isFunction, isHTMLElement, isNil, isSignal, isString } from '../utils/type-guards.js'
+import { signal, batch } from '../core/signal.js'
+import { getCurrentContext, registerCleanup, withHookContext } from '../core/hookContext.js'
+import { mount, unmount } from '../core/mount.js'
+import { transition, cancelTransition, toTransitionOptions } from './useTransition.js'
+import { tryCatch } from '../utils/try-catch.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Sets up a row once, when it is created. Runs in the row's hook context, so hooks used here are
+ * torn down with the row. `item` and `index` are signals updated when the row's item changes or moves.
+ * @typedef {(row: HTMLElement, item: import('../core/signal.js').Signal<any>, index: import('../core/signal.js').Signal<number>) => (void | Function)} RowBinder
+ */
+
+/**
+ * @typedef {Object} ListOptions
+ * @property {HTMLTemplateElement} [template] - Template with a single root element, cloned per item. Defaults to the container's `<template>` child
+ * @property {string | ((item: any, index: number) => any)} [key] - Property name or function giving each item's unique key. Defaults to the item itself
+ * @property {RowBinder} [bind] - Sets up each new row
+ * @property {string|import('./useTransition.js').TransitionOptions} [transition] - Enter transition for added rows and leave transition for removed rows, which are torn down once it finishes
+ */
+
+/**
+ * @typedef {Object} Row
+ * @property {HTMLElement} element - The row element
+ * @property {import('../core/signal.js').Signal<any>} item - The row's item
+ * @property {import('../core/signal.js').Signal<number>} index - The row's position
+ */
+
+/**
+ * Owner of the hook context rows are bound in
+ */
+const ROW_OWNER = 'useList'
+
+/**
+ * Finds the template to clone rows from
+ * @param {HTMLElement} container - The list container
+ * @param {HTMLTemplateElement|undefined} template - The template option
+ * @returns {HTMLTemplateElement|undefined} The template, if any
+ */
+const resolveTemplate = (container, template) => {
+  if (!isNil(template)) return template
+
+  return /** @type {HTMLTemplateElement|undefined} */ (
+    Array.from(container.children).find(child => child instanceof HTMLTemplateElement)
+  )
+}
+
+/**
+ * Renders an array signal into a container by cloning a `<template>` per item.
+ * Rows are reconciled by key when the signal changes: new keys insert rows, removed keys
+ * tear down and remove them, and existing rows are moved and updated instead of recreated.
+ *
+ * Rows are mounted after they are inserted, so components and hooks inside them initialize
+ * and tear down through the normal lifecycle.
+ *
+ * @param {HTMLElement} container - The element rows are rendered into, after any existing content
+ * @param {{ value: any[], subscribe: Function }} items - The array signal to render
+ * @param {ListOptions} [options={}] - Template, key, row binder and transition
+ * @returns {Function} Cleanup function that stops updating the list and removes its rows
+ */
+export const useList = (container, items, options = {}) => {
+  if (!isHTMLElement(container)) {
+    throw new Error('[HookTML] useList requires an HTMLElement as first argument')
+  }
+
+  if (!isSignal(items)) {
+    throw new Error('[HookTML] useList requires a signal as second argument')
+  }
+
+  const { key, bind } = options
+  const transitionOptions = toTransitionOptions(options.transition)
+  const template = resolveTemplate(container, options.template)
+
+  if (!(template instanceof HTMLTemplateElement)) {
+    throw new Error('[HookTML] useList requires a <template>, passed as the template option or placed in the container')
+  }
+
+  if (template.content.children.length !== 1) {
+    throw new Error('[HookTML] useList template must contain a single root element')
+  }
+
+  /**
+   * Gets an item's key
+   * @param {any} item - The item
+   * @param {number} index - Its position
+   * @returns {any} The key
+   */
+  const getKey = (item, index) => {
+    if (isFunction(key)) return key(item, index)
+    if (isString(key)) return item?.[key]
+    return item
+  }
+
+  /** @type {Map<any, Row>} */
+  let rows = new Map()
+
+  /**
+   * Clones the template and binds a new row
+   * @param {any} item - The row's item
+   * @param {number} index - Its position
+   * @returns {Row} The row
+   */
+  const createRow = (item, index) => {
+    const element = /** @type {HTMLElement} */ (template.content.firstElementChild?.cloneNode(true))
+    const row = { element, item: signal(item), index: signal(index) }
+
+    if (isFunction(bind)) {
+      withHookContext(element, () => {
+        const cleanup = bind(element, row.item, row.index)
+        registerCleanup(element, cleanup, ROW_OWNER)
+      }, ROW_OWNER)
+    }
+
+    return row
+  }
+
+  /**
+   * Tears down and removes a row
+   * @param {Row} row - The row
+   * @param {boolean} animate - Whether to wait for the leave transition first
+   */
+  const removeRow = (row, animate) => {
+    const remove = () => {
+      unmount(row.element)
+      row.element.remove()
+    }
+
+    if (!animate || !transitionOptions) {
+      cancelTransition(row.element)
+      remove()
+      return
+    }
+
+    transition(row.element, 'leave', transitionOptions).then(remove)
+  }
+
+  /**
+   * Reconciles the rows with the current items
+   * @param {any[]} list - The items
+   * @param {boolean} animate - Whether to run enter and leave transitions
+   */
+  const render = (list, animate) => {
+    const values = Array.isArray(list) ? list : []
+
+    /** @type {Map<any, Row>} */
+    const nextRows = new Map()
+    /** @type {HTMLElement[]} */
+    const created = []
+
+    batch(() => {
+      values.forEach((item, index) => {
+        const rowKey = getKey(item, index)
+
+        if (nextRows.has(rowKey)) {
+          logger.warn(`useList found a duplicate key "${String(rowKey)}", skipping the item:`, item)
+          return
+        }
+
+        const existing = rows.get(rowKey)
+        if (existing) {
+          existing.item.value = item
+          existing.index.value = index
+          nextRows.set(rowKey, existing)
+          return
+        }
+
+        const row = createRow(item, index)
+        created.push(row.element)
+        nextRows.set(rowKey, row)
+      })
+    })
+
+    rows.forEach((row, rowKey) => {
+      if (nextRows.get(rowKey) !== row) {
+        removeRow(row, animate)
+      }
+    })
+
+    // Walk backwards so each row only moves when its next sibling is wrong.
+    // Rows that are still leaving stay where they are until they are removed.
+    /** @type {Node|null} */
+    let next = null
+    Array.from(nextRows.values()).reverse().forEach(({ element }) => {
+      if (element.parentNode !== container || element.nextSibling !== next) {
+        container.insertBefore(element, next)
+      }
+      next = element
+    })
+
+    rows = nextRows
+    created.forEach(element => mount(element))
+
+    if (animate && transitionOptions) {
+      created.forEach(element => transition(element, 'enter', transitionOptions))
+    }
+  }
+
+  // The initial rows are rendered without a transition
+  render(items.value, false)
+
+  const unsubscribe = items.subscribe((/** @type {any[]} */ list) => {
+    tryCatch({
+      fn: () => render(list, true),
+      onError: (error) => {
+        logger.error('Error rendering list:', error)
+      }
+    })
+  })
+
+  const cleanup = () => {
+    unsubscribe()
+    rows.forEach(row => removeRow(row, false))
+    rows = new Map()
+  }
+
+  const context = getCurrentContext()
+  if (context) {
+    registerCleanup(context.element, cleanup, context.owner)
+  }
+
+  return cleanup
+}
@@ -0,0 +1,239 @@
+import {
+  isArray,
+  isHTMLElement,
+  isHTMLElementArray,
+  isNil,
+  isNonEmptyString,
+  isSignal
+} from '../utils/type-guards.js'
+import { useEffect } from '../core/hookContext.js'
+import { useEvents } from './useEvents.js'
+import { getComponent, getComponentNames, findComponent } from '../core/componentInstanceRegistry.js'
+import { getComposedParent } from '../utils/dom.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * @typedef {Object} ModelOptions
+ * @property {boolean} [number=false] - Convert DOM values with `parseFloat`, keeping the string if it isn't a number. Always on for number and range inputs
+ * @property {boolean} [trim=false] - Trim whitespace from text values
+ * @property {boolean} [lazy=false] - Update on `change` instead of `input`
+ */
+
+/**
+ * @typedef {'checkbox' | 'checkboxGroup' | 'radio' | 'selectMultiple' | 'value'} ModelKind
+ */
+
+/**
+ * Works out how the fields map to the signal's value
+ * @param {HTMLElement[]} elements - The bound fields
+ * @param {{ value: any }} model - The signal
+ * @returns {ModelKind} The binding kind
+ */
+const getModelKind = (elements, model) => {
+  const [first] = elements
+
+  if (first instanceof HTMLInputElement && first.type === 'checkbox') {
+    return elements.length > 1 || isArray(model.value) ? 'checkboxGroup' : 'checkbox'
+  }
+  if (first instanceof HTMLInputElement && first.type === 'radio') return 'radio'
+  if (first instanceof HTMLSelectElement && first.multiple) return 'selectMultiple'
+  return 'value'
+}
+
+/**
+ * Checks whether a field holds a number
+ * @param {HTMLElement} element - The field
+ * @returns {boolean} Whether the field is a number or range input
+ */
+const isNumberInput = (element) =>
+  element instanceof HTMLInputElement && (element.type === 'number' || element.type === 'range')
+
+/**
+ * Binds form fields to a signal in both directions: DOM events write the signal,
+ * and signal changes are written back to the fields.
+ *
+ * - Text inputs, textareas and single selects bind their `value`
+ * - A single checkbox binds `checked` to a boolean
+ * - Several checkboxes, or a checkbox bound to an array, bind the array of checked values
+ * - Radios bind the value of the checked radio
+ * - A `<select multiple>` binds the array of selected values
+ *
+ * @param {HTMLElement|HTMLElement[]|null|undefined} elementOrElements - The field(s) to bind (or null/undefined)
+ * @param {{ value: any, subscribe: Function }} model - The signal to keep in sync
+ * @param {ModelOptions} [options={}] - Conversion and timing options
+ * @returns {Function} Cleanup function that removes the event listeners
+ */
+export const useModel = (elementOrElements, model, options = {}) => {
+  if (isNil(elementOrElements)) {
+    logger.info('[HookTML] useModel called with null/undefined element, skipping binding')
+    return () => { }
+  }
+
+  const elements = isHTMLElementArray(elementOrElements) ? elementOrElements : [elementOrElements]
+
+  if (elements.some(element => !isHTMLElement(element))) {
+    throw new Error('[HookTML] useModel requires HTMLElement(s) as first argument')
+  }
+
+  if (!isSignal(model)) {
+    throw new Error('[HookTML] useModel requires a signal as second argument')
+  }
+
+  const { number = false, trim = false, lazy = false } = options
+  const kind = getModelKind(elements, model)
+
+  /**
+   * Converts a DOM value according to the options
+   * @param {string} value - The raw value
+   * @param {HTMLElement} element - The field it came from
+   * @returns {string|number} The converted value
+   */
+  const convert = (value, element) => {
+    const text = trim ? value.trim() : value
+    if (!number && !isNumberInput(element)) return text
+
+    const parsed = parseFloat(text)
+    return isNaN(parsed) ? text : parsed
+  }
+
+  /**
+   * Reads the model value from the DOM after an event on one of the fields
+   * @param {HTMLElement} target - The field the event fired on
+   * @returns {any} The new model value
+   */
+  const read = (target) => {
+    const field = /** @type {HTMLInputElement} */ (target)
+
+    switch (kind) {
+      case 'checkbox':
+        return field.checked
+      case 'checkboxGroup': {
+        const values = elements.map(element => convert(/** @type {HTMLInputElement} */ (element).value, element))
+        const others = (isArray(model.value) ? model.value : []).filter(value => !values.includes(value))
+        const checked = elements
+          .filter(element => /** @type {HTMLInputElement} */ (element).checked)
+          .map(element => convert(/** @type {HTMLInputElement} */ (element).value, element))
+        return [...others, ...checked]
+      }
+      case 'radio':
+        return field.checked ? convert(field.value, field) : model.value
+      case 'selectMultiple':
+        return Array.from(/** @type {HTMLSelectElement} */ (target).selectedOptions)
+          .map(option => convert(option.value, target))
+      default:
+        return convert(field.value, field)
+    }
+  }
+
+  /**
+   * Writes the model value to the fields, leaving a field alone when it already
+   * holds the value so the caret isn't moved while typing
+   */
+  const write = () => {
+    const value = model.value
+    const includes = (/** @type {string} */ optionValue) =>
+      isArray(value) && value.map(String).includes(optionValue)
+
+    elements.forEach(element => {
+      const field = /** @type {HTMLInputElement} */ (element)
+
+      switch (kind) {
+        case 'checkbox':
+          field.checked = Boolean(value)
+          break
+        case 'checkboxGroup':
+          field.checked = includes(field.value)
+          break
+        case 'radio':
+          field.checked = !isNil(value) && String(value) === field.value
+          break
+        case 'selectMultiple':
+          Array.from(/** @type {HTMLSelectElement} */ (element).options)
+            .forEach(option => { option.selected = includes(option.value) })
+          break
+        default:
+          if (convert(field.value, field) !== value) {
+            field.value = isNil(value) ? '' : String(value)
+          }
+      }
+    })
+  }
+
+  const eventName = kind === 'value' && !lazy && !(elements[0] instanceof HTMLSelectElement)
+    ? 'input'
+    : 'change'
+
+  const cleanup = useEvents(elements, {
+    [eventName]: (event) => {
+      model.value = read(/** @type {HTMLElement} */ (event.currentTarget))
+    }
+  })
+
+  useEffect(() => {
+    write()
+  }, [model])
+
+  return cleanup
+}
+
+/**
+ * Finds the signal a `use-model` attribute names: `Form#email` reads `email` from the nearest
+ * `Form`, while `email` reads it from the nearest component whose context has an `email` signal
+ * @param {HTMLElement} element - The field
+ * @param {string} expression - The attribute value
+ * @returns {{ value: any, subscribe: Function }|undefined} The signal, if found
+ */
+const resolveModel = (element, expression) => {
+  const [componentName, key] = expression.includes('#') ? expression.split('#') : ['', expression]
+
+  if (componentName) {
+    const model = findComponent(element, componentName)?.[key]
+    return isSignal(model) ? model : undefined
+  }
+
+  /** @type {Element|null} */
+  let current = element
+
+  while (current) {
+    const candidate = /** @type {HTMLElement} */ (current)
+    const model = getComponentNames(candidate)
+      .map(name => getComponent(candidate, name)?.[key])
+      .find(isSignal)
+
+    if (model) return model
+    current = getComposedParent(current)
+  }
+
+  return undefined
+}
+
+/**
+ * The `use-model` directive: binds a field to a signal in an enclosing component's `context`.
+ * `model-number`, `model-trim` and `model-lazy` attributes turn on the matching options.
+ * @param {HTMLElement} element - The field
+ * @param {Record<string, any>} props - The hook props
+ * @returns {Function|undefined} Cleanup function that removes the event listeners
+ */
+export const useModelDirective = (element, props) => {
+  const expression = isNil(props.value) ? '' : String(props.value)
+
+  if (!isNonEmptyString(expression)) {
+    logger.warn('use-model requires the name of a signal, e.g. use-model="email":', element)
+    return
+  }
+
+  const model = resolveModel(element, expression)
+
+  if (!model) {
+    logger.warn(`use-model="${expression}" found no signal in an enclosing component context:`, element)
+    return
+  }
+
+  const isEnabled = (/** @type {any} */ value) => !isNil(value) && value !== false
+
+  return useModel(element, model, {
+    number: isEnabled(props.number),
+    trim: isEnabled(props.trim),
+    lazy: isEnabled(props.lazy)
+  })
+}
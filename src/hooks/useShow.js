@@ -0,0 +1,76 @@
+import { isHTMLElement, isHTMLElementArray, isNil, isSignal } from '../utils/type-guards.js'
+import { useEffect } from '../core/hookContext.js'
+import { transition, toTransitionOptions } from './useTransition.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * @typedef {Object} ShowOptions
+ * @property {string} [hiddenClass] - Toggle this class instead of the `hidden` attribute, for CSS-based hiding
+ * @property {string|import('./useTransition.js').TransitionOptions} [transition] - Enter and leave transition when the value changes; elements are hidden once the leave transition finishes
+ */
+
+/**
+ * Shows or hides element(s) while a signal is truthy or falsy, by toggling the `hidden` attribute
+ * or a class. The elements stay in the DOM, so components and hooks inside them keep running;
+ * use `useIf` to insert and remove content instead.
+ * @param {HTMLElement|HTMLElement[]|null|undefined} elementOrElements - The element(s) to toggle (or null/undefined)
+ * @param {{ value: any, subscribe: Function }} condition - Signal or computed; the elements are shown while it is truthy
+ * @param {ShowOptions} [options={}] - How to hide the elements
+ * @returns {void}
+ */
+export const useShow = (elementOrElements, condition, options = {}) => {
+  if (isNil(elementOrElements)) {
+    logger.info('[HookTML] useShow called with null/undefined element, skipping visibility updates')
+    return
+  }
+
+  const elements = isHTMLElementArray(elementOrElements) ? elementOrElements : [elementOrElements]
+
+  if (elements.some(element => !isHTMLElement(element))) {
+    throw new Error('[HookTML] useShow requires HTMLElement(s) as first argument')
+  }
+
+  if (!isSignal(condition)) {
+    throw new Error('[HookTML] useShow requires a signal as second argument')
+  }
+
+  const { hiddenClass } = options
+  const transitionOptions = toTransitionOptions(options.transition)
+  let initialized = false
+
+  /**
+   * @param {HTMLElement} element - The element to toggle
+   * @param {boolean} hidden - Whether to hide it
+   */
+  const setHidden = (element, hidden) => {
+    if (hiddenClass) {
+      element.classList.toggle(hiddenClass, hidden)
+    } else {
+      element.hidden = hidden
+    }
+  }
+
+  useEffect(() => {
+    const hidden = !condition.value
+
+    // The initial state is applied without a transition
+    if (!transitionOptions || !initialized) {
+      initialized = true
+      elements.forEach(element => setHidden(element, hidden))
+      return
+    }
+
+    elements.forEach(element => {
+      if (!hidden) {
+        setHidden(element, false)
+        transition(element, 'enter', transitionOptions)
+        return
+      }
+
+      // A later enter cancels the leave, keeping the element shown
+      transition(element, 'leave', transitionOptions).then(completed => {
+        if (completed) setHidden(element, true)
+      })
+    })
+  }, [condition])
+}
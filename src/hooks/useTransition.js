@@ -0,0 +1,250 @@
+import {
+  isFunction,
+  isHTMLElement,
+  isHTMLElementArray,
+  isNil,
+  isString
+} from '../utils/type-guards.js'
+import { getCurrentContext, registerCleanup } from '../core/hookContext.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * @typedef {'enter' | 'leave'} TransitionDirection
+ */
+
+/**
+ * @typedef {Object} TransitionOptions
+ * @property {string} [name] - Class prefix: `fade` applies `fade-enter-from`, `fade-enter-active`, ... Without a name the classes are `enter-from`, `enter-active`, ...
+ * @property {number} [timeout] - Longest time in ms to wait for `transitionend` or `animationend`. Defaults to the element's computed transition or animation duration
+ * @property {{ enter?: Keyframe[] | PropertyIndexedKeyframes, leave?: Keyframe[] | PropertyIndexedKeyframes }} [keyframes] - Web Animations API keyframes, played instead of the classes
+ * @property {number} [duration=200] - Duration of keyframe animations in ms
+ * @property {string} [easing='ease'] - Easing of keyframe animations
+ */
+
+/**
+ * Cancels the transition running on each element
+ * @type {WeakMap<HTMLElement, () => void>}
+ */
+const running = new WeakMap()
+
+/**
+ * Runs a callback on the next animation frame
+ * @param {() => void} callback - Called on the next frame
+ * @returns {() => void} Cancels the wait
+ */
+const nextFrame = (callback) => {
+  if (isFunction(globalThis.requestAnimationFrame)) {
+    const handle = globalThis.requestAnimationFrame(callback)
+    return () => globalThis.cancelAnimationFrame(handle)
+  }
+
+  const handle = setTimeout(callback, 16)
+  return () => clearTimeout(handle)
+}
+
+/**
+ * Converts a CSS time list such as `0.3s, 150ms` to milliseconds
+ * @param {string} value - The CSS time list
+ * @returns {number[]} The times in ms
+ */
+const parseTimes = (value) => (value || '')
+  .split(',')
+  .map(time => time.trim())
+  .filter(Boolean)
+  .map(time => parseFloat(time) * (time.endsWith('ms') ? 1 : 1000) || 0)
+
+/**
+ * Gets the longest duration plus delay of a CSS transition or animation list
+ * @param {string} durations - The `*-duration` value
+ * @param {string} delays - The `*-delay` value
+ * @returns {number} The longest total in ms
+ */
+const getLongest = (durations, delays) => {
+  const delayTimes = parseTimes(delays)
+  return Math.max(0, ...parseTimes(durations)
+    .map((duration, index) => duration + (delayTimes[index % delayTimes.length] || 0)))
+}
+
+/**
+ * Gets how long an element's CSS transitions or animations take
+ * @param {HTMLElement} element - The element
+ * @returns {number} The duration in ms, 0 when nothing animates
+ */
+const getDuration = (element) => {
+  const style = getComputedStyle(element)
+
+  return Math.max(
+    getLongest(style.transitionDuration, style.transitionDelay),
+    getLongest(style.animationDuration, style.animationDelay)
+  )
+}
+
+/**
+ * Waits for a `transitionend` or `animationend` on the element itself, or the timeout
+ * @param {HTMLElement} element - The element
+ * @param {number} timeout - Longest wait in ms; 0 calls back immediately
+ * @param {() => void} callback - Called once the wait is over
+ * @returns {() => void} Cancels the wait
+ */
+const waitForEnd = (element, timeout, callback) => {
+  if (timeout <= 0) {
+    callback()
+    return () => {}
+  }
+
+  const stop = () => {
+    clearTimeout(timer)
+    element.removeEventListener('transitionend', onEnd)
+    element.removeEventListener('animationend', onEnd)
+  }
+
+  /**
+   * @param {Event} [event] - The end event, ignored when it bubbled from a descendant
+   */
+  const onEnd = (event) => {
+    if (event && event.target !== element) return
+    stop()
+    callback()
+  }
+
+  const timer = setTimeout(onEnd, timeout)
+  element.addEventListener('transitionend', onEnd)
+  element.addEventListener('animationend', onEnd)
+
+  return stop
+}
+
+/**
+ * Normalizes the `transition` option of `useShow`, `useIf` and `useList`
+ * @param {string|TransitionOptions|null|undefined} transitionOption - A class prefix or transition options
+ * @returns {TransitionOptions|undefined} The options, or undefined when there is no transition
+ */
+export const toTransitionOptions = (transitionOption) => {
+  if (isNil(transitionOption) || transitionOption === false) return undefined
+  return isString(transitionOption) ? { name: transitionOption } : transitionOption
+}
+
+/**
+ * Stops the transition running on an element, removing its classes.
+ * Its promise resolves with `false`.
+ * @param {HTMLElement} element - The element
+ */
+export const cancelTransition = (element) => {
+  running.get(element)?.()
+}
+
+/**
+ * Runs an enter or leave transition on an element. With keyframes for the direction, they are
+ * played with the Web Animations API. Otherwise the `from` and `active` classes are added, swapped
+ * for `to` on the next frame, and removed once `transitionend`/`animationend` fires or the timeout
+ * passes. A transition started on an element cancels the one already running on it.
+ * @param {HTMLElement} element - The element to animate
+ * @param {TransitionDirection} direction - Whether the element is entering or leaving
+ * @param {TransitionOptions} [options={}] - Class prefix, timeout or keyframes
+ * @returns {Promise<boolean>} Resolves with `true` once finished, or `false` if cancelled
+ */
+export const transition = (element, direction, options = {}) => {
+  if (!isHTMLElement(element)) {
+    throw new Error('[HookTML] transition requires an HTMLElement')
+  }
+
+  if (direction !== 'enter' && direction !== 'leave') {
+    throw new Error('[HookTML] transition direction must be "enter" or "leave"')
+  }
+
+  cancelTransition(element)
+
+  const { name, timeout, keyframes, duration = 200, easing = 'ease' } = options
+  const prefix = name ? `${name}-${direction}` : direction
+  const classes = [`${prefix}-from`, `${prefix}-active`, `${prefix}-to`]
+  const frames = keyframes?.[direction]
+
+  return new Promise(resolve => {
+    /** @type {Array<() => void>} */
+    const stops = []
+    /** @type {Animation|undefined} */
+    let animation
+
+    /**
+     * @param {boolean} completed - Whether the transition ran to the end
+     */
+    const finish = (completed) => {
+      if (running.get(element) !== cancel) return
+
+      running.delete(element)
+      stops.forEach(stop => stop())
+      if (!completed) animation?.cancel()
+      element.classList.remove(...classes)
+      resolve(completed)
+    }
+
+    const cancel = () => finish(false)
+    running.set(element, cancel)
+
+    if (frames && isFunction(element.animate)) {
+      animation = element.animate(frames, { duration, easing })
+      animation.finished.then(() => finish(true), () => finish(false))
+      return
+    }
+
+    if (frames) {
+      logger.info('[HookTML] Web Animations API unavailable, falling back to transition classes')
+    }
+
+    const [fromClass, activeClass, toClass] = classes
+    element.classList.add(fromClass, activeClass)
+
+    stops.push(nextFrame(() => {
+      element.classList.remove(fromClass)
+      element.classList.add(toClass)
+      stops.push(waitForEnd(element, timeout ?? getDuration(element), () => finish(true)))
+    }))
+  })
+}
+
+/**
+ * Coordinates enter and leave transitions on element(s), e.g. before removing them from the DOM.
+ * Running transitions are cancelled when the calling component or hook is torn down.
+ *
+ * @example
+ * const { leave } = useTransition(toast, { name: 'fade' })
+ * await leave()
+ * toast.remove()
+ *
+ * @param {HTMLElement|HTMLElement[]|null|undefined} elementOrElements - The element(s) to animate (or null/undefined)
+ * @param {string|TransitionOptions} [options={}] - A class prefix, or transition options
+ * @returns {{ enter: () => Promise<boolean>, leave: () => Promise<boolean> }} Run a transition on every element; resolves with whether all finished
+ */
+export const useTransition = (elementOrElements, options = {}) => {
+  if (isNil(elementOrElements)) {
+    logger.info('[HookTML] useTransition called with null/undefined element, skipping transitions')
+    return { enter: async () => false, leave: async () => false }
+  }
+
+  const elements = isHTMLElementArray(elementOrElements) ? elementOrElements : [elementOrElements]
+
+  if (elements.some(element => !isHTMLElement(element))) {
+    throw new Error('[HookTML] useTransition requires HTMLElement(s) as first argument')
+  }
+
+  const transitionOptions = toTransitionOptions(options) || {}
+
+  /**
+   * @param {TransitionDirection} direction - The direction to run
+   * @returns {Promise<boolean>} Whether every transition finished
+   */
+  const run = async (direction) => {
+    const results = await Promise.all(elements.map(element => transition(element, direction, transitionOptions)))
+    return results.every(Boolean)
+  }
+
+  const context = getCurrentContext()
+  if (context) {
+    registerCleanup(context.element, () => elements.forEach(cancelTransition), context.owner)
+  }
+
+  return {
+    enter: () => run('enter'),
+    leave: () => run('leave')
+  }
+}
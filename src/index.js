@@ -1,35 +1,36 @@
 import {
   registerHook,
+  registerLazyHook,
   registerChainableHook,
   getRegisteredHooks,
   getRegisteredChainableHooks
 } from './core/hookRegistry.js'
-import { useEffect } from './core/hookContext.js'
+import { useEffect, effect } from './core/hookContext.js'
+import { provide, inject } from './core/provide.js'
+import { emit, on } from './core/events.js'
 import { useChildren } from './hooks/useChildren.js'
 import { useEvents } from './hooks/useEvents.js'
 import { useClasses } from './hooks/useClasses.js'
 import { useAttributes } from './hooks/useAttributes.js'
 import { useStyles } from './hooks/useStyles.js'
 import { useText } from './hooks/useText.js'
+import { useModel } from './hooks/useModel.js'
+import { useForm } from './hooks/useForm.js'
+import { useList } from './hooks/useList.js'
+import { useShow } from './hooks/useShow.js'
+import { useIf } from './hooks/useIf.js'
+import { useTransition } from './hooks/useTransition.js'
 import { with as withEl } from './core/with.js'
-import { createObserver } from './core/observer.js'
-import { scanComponents, initializeComponents } from './core/scanComponents.js'
-import { scanDirectives } from './core/scanDirectives.js'
-import { getRegisteredComponentNames, registerComponent, registerComponentByName } from './core/registry.js'
+import { resolveRoot, assertCompatibleRoot, observeRoot, scan, observe, destroy } from './core/runtime.js'
+import { getRegisteredComponentNames, registerComponent, registerLazyComponent, registerComponentByName } from './core/registry.js'
 import { initConfig, getConfig } from './core/config.js'
-import { signal } from './core/signal.js'
+import { signal, batch } from './core/signal.js'
 import { computed } from './core/computed.js'
+import { mount, unmount, remount } from './core/mount.js'
+import { getComponent, findComponent, whenComponentReady } from './core/componentInstanceRegistry.js'
 import { autoRegisterComponents } from './core/autoRegister.js'
 import { logger } from './utils/logger.js'
 
-/**
- * Observer instance for DOM mutations
- * @type {Object}
- */
-const observerRef = {
-  current: null
-}
-
 /**
  * HookTML runtime instance
  * @typedef {Object} HookTMLRuntime
@@ -44,7 +45,9 @@ const observerRef = {
  */
 export const start = async (options) => {
   // Configure
-  initConfig(options)
+  const { root, config } = resolveRoot(options)
+  assertCompatibleRoot(root, config)
+  initConfig(config)
 
   logger.log('Initializing...')
 
@@ -64,12 +67,11 @@ export const start = async (options) => {
     })
   }
 
-  // Create and start the observer
-  observerRef.current = createObserver()
-  observerRef.current.start()
+  // Create and start the observer, replacing any previous one for the same root
+  const stop = observeRoot(root)
 
   // Initial scan
-  scan()
+  scan(root)
 
   // Log completion message
   logger.log('Initialization complete')
@@ -77,46 +79,54 @@ export const start = async (options) => {
   // Return API for runtime management
   return {
     config: getConfig(),
-    scan,
-    stop: () => observerRef.current?.stop(),
+    root,
+    scan: () => scan(root),
+    stop,
+    destroy: () => stop({ teardown: true }),
     components: getRegisteredComponentNames,
     hooks: getRegisteredHooks,
     chainableHooks: getRegisteredChainableHooks
   }
 }
 
-/**
- * Scans the DOM for new components and hooks and initializes them
- * @returns {Array<Object>} Initialized component instances
- */
-export const scan = () => {
-  // Scan for components
-  logger.log('Manual scan triggered')
-  const components = scanComponents()
-  const instances = initializeComponents(components)
-
-  // Scan for directives
-  scanDirectives()
-
-  logger.log(`Manual scan complete, initialized ${instances.length} new component(s)`)
-  return instances
-}
-
 // Export core API
 export {
+  scan,
+  observe,
+  destroy,
+  mount,
+  unmount,
+  remount,
+  getComponent,
+  findComponent,
+  whenComponentReady,
   registerComponent,
+  registerLazyComponent,
   registerHook,
+  registerLazyHook,
   registerChainableHook,
   useEffect,
+  effect,
+  provide,
+  inject,
+  emit,
+  on,
   useChildren,
   useEvents,
   useClasses,
   useAttributes,
   useStyles,
   useText,
+  useModel,
+  useForm,
+  useList,
+  useShow,
+  useIf,
+  useTransition,
   withEl as with,
   signal,
-  computed
+  computed,
+  batch
 }
 
 
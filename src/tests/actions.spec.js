@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { emit } from '../core/events.js'
+import { initConfig } from '../core/config.js'
+import { mount, unmount } from '../core/mount.js'
+import { createObserver } from '../core/observer.js'
+import { flushMutations } from './helpers.js'
+
+describe('Action attributes', () => {
+  let close
+  let select
+  let warnSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    close = vi.fn()
+    select = vi.fn()
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    registerComponent(function Dialog() {
+      return { context: { close } }
+    })
+    registerComponent(function Tabs() {
+      return { context: { select } }
+    })
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    initConfig()
+    warnSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should call the named method on the component context with the event and element', () => {
+    document.body.innerHTML = `
+      <div class="Dialog">
+        <button on-click="Dialog#close" id="close"><span id="label">Close</span></button>
+      </div>
+    `
+    scan()
+
+    byId('label').click()
+
+    expect(close).toHaveBeenCalledTimes(1)
+    expect(close).toHaveBeenCalledWith(expect.any(MouseEvent), byId('close'))
+  })
+
+  it('should resolve unqualified actions to the nearest component with the method', () => {
+    document.body.innerHTML = `
+      <div class="Dialog">
+        <div class="Tabs">
+          <button on-click="close" id="close"></button>
+          <button on-click="select" id="select"></button>
+        </div>
+      </div>
+    `
+    scan()
+
+    byId('close').click()
+    byId('select').click()
+
+    expect(close).toHaveBeenCalledTimes(1)
+    expect(select).toHaveBeenCalledTimes(1)
+  })
+
+  it('should run several actions and only the nearest component of a name', () => {
+    const outerClose = vi.fn()
+    registerComponent(function Panel(el) {
+      return { context: { close: el.id === 'outer' ? outerClose : close } }
+    })
+    document.body.innerHTML = `
+      <div class="Panel Tabs" id="outer">
+        <div class="Panel" id="inner">
+          <button on-click="Panel#close Tabs#select" id="button"></button>
+        </div>
+      </div>
+    `
+    scan()
+
+    byId('button').click()
+
+    expect(close).toHaveBeenCalledTimes(1)
+    expect(outerClose).not.toHaveBeenCalled()
+    expect(select).toHaveBeenCalledTimes(1)
+  })
+
+  it('should support any event type, including namespaced custom events', () => {
+    registerComponent(function DialogClose() {
+      return { context: { fire: () => emit('close') } }
+    })
+    document.body.innerHTML = `
+      <div class="Dialog" on-dialog-close:close="close">
+        <input on-input="Dialog#close" id="input">
+        <button class="DialogClose" on-click="fire" id="fire"></button>
+      </div>
+    `
+    scan()
+
+    byId('input').dispatchEvent(new Event('input', { bubbles: true }))
+    byId('fire').click()
+
+    expect(close).toHaveBeenCalledTimes(2)
+  })
+
+  it('should catch events that do not bubble', () => {
+    document.body.innerHTML = '<div class="Dialog"><input on-blur="close" id="input"></div>'
+    scan()
+
+    byId('input').dispatchEvent(new FocusEvent('blur'))
+
+    expect(close).toHaveBeenCalledTimes(1)
+  })
+
+  it('should respect attributePrefix', () => {
+    initConfig({ attributePrefix: 'data' })
+    document.body.innerHTML = `
+      <div class="Dialog">
+        <button data-on-click="close" id="prefixed"></button>
+        <button on-click="close" id="plain"></button>
+      </div>
+    `
+    scan()
+
+    byId('plain').click()
+    byId('prefixed').click()
+
+    expect(close).toHaveBeenCalledTimes(1)
+  })
+
+  it('should skip actions inside ignored subtrees', () => {
+    document.body.innerHTML = `
+      <div class="Dialog">
+        <div hooktml-ignore><button on-click="close" id="ignored"></button></div>
+      </div>
+    `
+    scan()
+
+    byId('ignored').click()
+
+    expect(close).not.toHaveBeenCalled()
+  })
+
+  it('should warn about methods missing from the context', () => {
+    document.body.innerHTML = '<div class="Dialog"><button on-click="Dialog#open" id="open"></button></div>'
+    scan()
+
+    byId('open').click()
+
+    expect(warnSpy).toHaveBeenCalledWith('[HookTML] Action "Dialog#open" has no matching method in the "Dialog" context')
+  })
+
+  it('should pick up event types of actions added after the component initialized', async () => {
+    const observer = createObserver(document.body)
+    document.body.innerHTML = '<div class="Dialog" id="dialog"><button on-click="close" id="close"></button></div>'
+    observer.start()
+
+    byId('dialog').insertAdjacentHTML('beforeend', '<input on-keydown="close" id="input">')
+    byId('close').setAttribute('on-dblclick', 'close')
+    await flushMutations()
+
+    byId('input').dispatchEvent(new KeyboardEvent('keydown', { bubbles: true }))
+    byId('close').dispatchEvent(new MouseEvent('dblclick', { bubbles: true }))
+
+    expect(close).toHaveBeenCalledTimes(2)
+
+    observer.destroy()
+  })
+
+  it('should pick up event types of actions in mounted content', () => {
+    document.body.innerHTML = '<div class="Dialog" id="dialog"></div>'
+    scan()
+    const row = document.createElement('li')
+    row.innerHTML = '<button on-dialog:dismiss="close" id="dismiss"></button>'
+
+    byId('dialog').appendChild(row)
+    mount(row)
+    byId('dismiss').dispatchEvent(new CustomEvent('dialog:dismiss', { bubbles: true }))
+
+    expect(close).toHaveBeenCalledTimes(1)
+  })
+
+  it('should stop handling actions when the component is torn down', () => {
+    document.body.innerHTML = '<div class="Dialog" id="dialog"><button on-click="close" id="close"></button></div>'
+    scan()
+
+    unmount(byId('dialog'))
+    byId('close').click()
+
+    expect(close).not.toHaveBeenCalled()
+  })
+})
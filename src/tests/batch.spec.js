@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { signal, batch } from '../core/signal.js'
+import { computed } from '../core/computed.js'
+import { useEffect, withHookContext, runCleanupFunctions } from '../core/hookContext.js'
+
+describe('batch()', () => {
+  let container
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    runCleanupFunctions(container)
+    document.body.removeChild(container)
+    vi.restoreAllMocks()
+  })
+
+  it('should require a function', () => {
+    // @ts-ignore - testing invalid input
+    expect(() => batch(null)).toThrow('[HookTML] batch() requires a function')
+  })
+
+  it('should return the value returned by the batched function', () => {
+    expect(batch(() => 42)).toBe(42)
+  })
+
+  it('should defer subscriber notification until the batch exits', () => {
+    const count = signal(0)
+    const subscriber = vi.fn()
+    count.subscribe(subscriber)
+
+    batch(() => {
+      count.value = 1
+      count.value = 2
+      expect(subscriber).not.toHaveBeenCalled()
+      // Reads inside the batch see the latest value
+      expect(count.value).toBe(2)
+    })
+
+    expect(subscriber).toHaveBeenCalledTimes(1)
+    expect(subscriber).toHaveBeenCalledWith(2)
+  })
+
+  it('should only flush when the outermost batch exits', () => {
+    const count = signal(0)
+    const subscriber = vi.fn()
+    count.subscribe(subscriber)
+
+    batch(() => {
+      batch(() => {
+        count.value = 1
+      })
+      expect(subscriber).not.toHaveBeenCalled()
+      count.value = 2
+    })
+
+    expect(subscriber).toHaveBeenCalledTimes(1)
+    expect(subscriber).toHaveBeenCalledWith(2)
+  })
+
+  it('should run an effect once when several of its dependencies change', () => {
+    const first = signal('Ada')
+    const last = signal('Lovelace')
+    const age = signal(36)
+    const snapshots = []
+
+    withHookContext(container, () => {
+      useEffect(() => {
+        snapshots.push(`${first.value} ${last.value} (${age.value})`)
+      }, [first, last, age])
+    })
+
+    batch(() => {
+      first.value = 'Grace'
+      last.value = 'Hopper'
+      age.value = 85
+    })
+
+    expect(snapshots).toEqual([
+      'Ada Lovelace (36)',
+      'Grace Hopper (85)'
+    ])
+  })
+
+  it('should flush even when the batched function throws', () => {
+    const count = signal(0)
+    const subscriber = vi.fn()
+    count.subscribe(subscriber)
+
+    expect(() => batch(() => {
+      count.value = 1
+      throw new Error('boom')
+    })).toThrow('boom')
+
+    expect(subscriber).toHaveBeenCalledWith(1)
+
+    // Later writes notify synchronously again
+    count.value = 2
+    expect(subscriber).toHaveBeenCalledTimes(2)
+  })
+
+  it('should coalesce writes made by subscribers during a flush', () => {
+    const source = signal(0)
+    const mirror = signal(0)
+    const mirrorSubscriber = vi.fn()
+
+    source.subscribe(value => {
+      mirror.value = value * 10
+    })
+    mirror.subscribe(mirrorSubscriber)
+
+    batch(() => {
+      source.value = 1
+      source.value = 2
+    })
+
+    expect(mirror.value).toBe(20)
+    expect(mirrorSubscriber).toHaveBeenCalledTimes(1)
+    expect(mirrorSubscriber).toHaveBeenCalledWith(20)
+  })
+
+  it('should recompute a computed once per batch', () => {
+    let computeCount = 0
+    const a = signal(1)
+    const b = signal(2)
+    const sum = computed(() => {
+      computeCount++
+      return a.value + b.value
+    })
+
+    expect(sum.value).toBe(3)
+    expect(computeCount).toBe(1)
+
+    batch(() => {
+      a.value = 10
+      b.value = 20
+    })
+
+    expect(sum.value).toBe(30)
+    expect(computeCount).toBe(2)
+
+    a.destroy()
+    b.destroy()
+    sum.destroy()
+  })
+
+  it('should log an error and stop when subscribers keep writing', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const count = signal(0)
+
+    count.subscribe(value => {
+      count.value = value + 1
+    })
+
+    batch(() => {
+      count.value = 1
+    })
+
+    expect(errorSpy).toHaveBeenCalledWith(
+      '[HookTML] batch() did not settle after 100 passes, possible update loop'
+    )
+  })
+})
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { signal } from '../core/signal.js'
+import { computed } from '../core/computed.js'
+import { initConfig } from '../core/config.js'
+import { unmount } from '../core/mount.js'
+
+describe('bind-* attributes', () => {
+  let count
+  let isOpen
+  let warnSpy
+  let counterProps
+
+  beforeEach(() => {
+    clearRegistry()
+    count = signal(1)
+    isOpen = signal(false)
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    registerComponent(function Counter(el, props) {
+      counterProps = props
+      return {
+        context: {
+          count,
+          isOpen,
+          doubled: computed(() => count.value * 2),
+          label: () => `Count: ${count.value}`,
+          title: 'Counter'
+        }
+      }
+    })
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    initConfig()
+    warnSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should bind text to signals, computeds, functions and plain values', () => {
+    document.body.innerHTML = `
+      <div class="Counter" counter-step="2">
+        <span counter-bind-text="count" id="count"></span>
+        <span counter-bind-text="doubled" id="doubled"></span>
+        <span counter-bind-text="label" id="label"></span>
+        <h2 counter-bind-text="title" id="title"></h2>
+      </div>
+    `
+    scan()
+
+    count.value = 5
+
+    expect(byId('count').textContent).toBe('5')
+    expect(byId('doubled').textContent).toBe('10')
+    expect(byId('label').textContent).toBe('Count: 5')
+    expect(byId('title').textContent).toBe('Counter')
+  })
+
+  it('should toggle classes and set attributes, with ! negating the value', () => {
+    document.body.innerHTML = `
+      <div class="Counter" counter-bind-class:open="isOpen">
+        <button counter-bind-attr:aria-expanded="isOpen" counter-bind-class:collapsed="!isOpen" id="toggle"></button>
+      </div>
+    `
+    const root = /** @type {HTMLElement} */ (document.querySelector('.Counter'))
+    scan()
+
+    expect(root.classList.contains('open')).toBe(false)
+    expect(byId('toggle').getAttribute('aria-expanded')).toBe('false')
+    expect(byId('toggle').classList.contains('collapsed')).toBe(true)
+
+    isOpen.value = true
+
+    expect(root.classList.contains('open')).toBe(true)
+    expect(byId('toggle').getAttribute('aria-expanded')).toBe('true')
+    expect(byId('toggle').classList.contains('collapsed')).toBe(false)
+  })
+
+  it('should leave bindings out of props and children', () => {
+    document.body.innerHTML = `
+      <div class="Counter" counter-step="2" counter-bind-class:open="isOpen">
+        <span counter-bind-text="count"></span>
+        <button counter-increment id="increment"></button>
+      </div>
+    `
+    scan()
+
+    expect(counterProps).toEqual({ step: 2, children: { increment: byId('increment') } })
+  })
+
+  it('should leave nested instances and ignored subtrees alone', () => {
+    document.body.innerHTML = `
+      <div class="Counter">
+        <div class="Counter" counter-bind-text="title" id="nested"></div>
+        <div hooktml-ignore><span counter-bind-text="count" id="ignored"></span></div>
+      </div>
+    `
+    scan()
+    count.value = 3
+
+    expect(byId('nested').textContent).toBe('Counter')
+    expect(byId('ignored').textContent).toBe('')
+  })
+
+  it('should respect attributePrefix', () => {
+    initConfig({ attributePrefix: 'data' })
+    document.body.innerHTML = '<div class="Counter"><span data-counter-bind-text="count" id="count"></span></div>'
+    scan()
+
+    expect(byId('count').textContent).toBe('1')
+  })
+
+  it('should warn about missing names and unknown bindings', () => {
+    document.body.innerHTML = `
+      <div class="Counter">
+        <span counter-bind-text="missing"></span>
+        <span counter-bind-html="count" id="html"></span>
+      </div>
+    `
+    scan()
+
+    expect(warnSpy).toHaveBeenCalledWith('[HookTML] Binding "missing" has no matching value in the "Counter" context')
+    expect(warnSpy).toHaveBeenCalledWith('[HookTML] Unknown binding "html" on element:', byId('html'))
+  })
+
+  it('should stop updating once the component is torn down', () => {
+    document.body.innerHTML = '<div class="Counter" id="counter"><span counter-bind-text="label" id="label"></span></div>'
+    scan()
+
+    unmount(byId('counter'))
+    count.value = 9
+
+    expect(byId('label').textContent).toBe('Count: 1')
+  })
+})
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { getComponent, findComponent, whenComponentReady } from '../core/componentInstanceRegistry.js'
+import { registerComponent, registerLazyComponent, clearRegistry } from '../core/registry.js'
+import { mount, unmount } from '../core/mount.js'
+
+describe('Component instance API', () => {
+  let dialogContext
+
+  beforeEach(() => {
+    clearRegistry()
+    dialogContext = { open: vi.fn(), close: vi.fn() }
+
+    registerComponent(function Dialog() {
+      return { context: dialogContext }
+    })
+    registerComponent(function Panel() {})
+
+    document.body.innerHTML = `
+      <div class="Dialog" id="dialog">
+        <section><button id="button"></button></section>
+      </div>
+      <div use-component="Dialog" id="declared"></div>
+    `
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should return the context of a component on the element', () => {
+    scan()
+
+    expect(getComponent(byId('dialog'), 'Dialog')).toBe(dialogContext)
+    expect(getComponent(byId('declared'), 'Dialog')).toBe(dialogContext)
+  })
+
+  it('should return undefined for other names, uninitialized elements and invalid input', () => {
+    expect(getComponent(byId('dialog'), 'Dialog')).toBeUndefined()
+    scan()
+
+    expect(getComponent(byId('dialog'), 'Panel')).toBeUndefined()
+    expect(getComponent(byId('button'), 'Dialog')).toBeUndefined()
+    // @ts-ignore - testing invalid input
+    expect(getComponent(null, 'Dialog')).toBeUndefined()
+  })
+
+  it('should find the closest ancestor component, including the element itself', () => {
+    scan()
+
+    expect(findComponent(byId('button'), 'Dialog')).toBe(dialogContext)
+    expect(findComponent(byId('dialog'), 'Dialog')).toBe(dialogContext)
+    expect(findComponent(byId('button'), 'Panel')).toBeUndefined()
+  })
+
+  it('should find components across shadow root boundaries', () => {
+    const shadowRoot = byId('dialog').attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = '<button id="inner"></button>'
+    scan()
+
+    const inner = /** @type {HTMLElement} */ (shadowRoot.getElementById('inner'))
+    expect(findComponent(inner, 'Dialog')).toBe(dialogContext)
+  })
+
+  it('should resolve immediately for components that are already initialized', async () => {
+    scan()
+
+    await expect(whenComponentReady(byId('dialog'), 'Dialog')).resolves.toBe(dialogContext)
+  })
+
+  it('should wait for components that initialize later', async () => {
+    let resolveLoader = (_value) => {}
+    registerLazyComponent('Chart', () => new Promise(resolve => { resolveLoader = resolve }))
+    const chartContext = { render: vi.fn() }
+    document.body.insertAdjacentHTML('beforeend', '<div class="Chart" id="chart"></div>')
+
+    const ready = whenComponentReady(byId('chart'), 'Chart')
+    scan()
+    await Promise.resolve()
+    resolveLoader(function Chart() { return { context: chartContext } })
+
+    await expect(ready).resolves.toBe(chartContext)
+    expect(getComponent(byId('chart'), 'Chart')).toBe(chartContext)
+  })
+
+  it('should resolve with undefined for components without a context', async () => {
+    document.body.insertAdjacentHTML('beforeend', '<div class="Panel" id="panel"></div>')
+    const ready = whenComponentReady(byId('panel'), 'Panel')
+
+    scan()
+
+    await expect(ready).resolves.toBeUndefined()
+  })
+
+  it('should forget the instance on teardown and store it again on re-initialization', () => {
+    scan()
+    unmount(byId('dialog'))
+    expect(getComponent(byId('dialog'), 'Dialog')).toBeUndefined()
+
+    mount(byId('dialog'))
+    expect(getComponent(byId('dialog'), 'Dialog')).toBe(dialogContext)
+  })
+
+  it('should not overwrite a component property defined by the element', () => {
+    class FancyDialog extends HTMLElement {
+      get component() { return 'own' }
+    }
+    customElements.define('fancy-dialog', FancyDialog)
+    document.body.insertAdjacentHTML('beforeend', '<fancy-dialog class="Dialog" id="fancy"></fancy-dialog>')
+
+    scan()
+
+    expect(/** @type {any} */ (byId('fancy')).component).toBe('own')
+    expect(getComponent(byId('fancy'), 'Dialog')).toBe(dialogContext)
+    expect(/** @type {any} */ (byId('dialog')).component).toBe(dialogContext)
+  })
+
+  it('should require an element and a name in whenComponentReady()', () => {
+    // @ts-ignore - testing invalid input
+    expect(() => whenComponentReady('#dialog', 'Dialog')).toThrow('[HookTML] whenComponentReady() requires an HTMLElement')
+    // @ts-ignore - testing invalid input
+    expect(() => whenComponentReady(byId('dialog'))).toThrow('[HookTML] whenComponentReady() requires a component name')
+  })
+})
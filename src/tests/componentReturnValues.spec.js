@@ -26,7 +26,7 @@ describe('Component Return Values', () => {
     initializeComponents(scanResults)
     
     // Verify cleanup function was stored
-    expect(registerComponentSpy).toHaveBeenCalledWith(element, cleanupFn)
+    expect(registerComponentSpy).toHaveBeenCalledWith(element, cleanupFn, 'TestComponent')
     
     // Verify element does not have component property
     expect('component' in element).toBe(false)
@@ -71,7 +71,7 @@ describe('Component Return Values', () => {
     initializeComponents(scanResults)
     
     // Verify cleanup function was stored
-    expect(registerComponentSpy).toHaveBeenCalledWith(element, cleanupFn)
+    expect(registerComponentSpy).toHaveBeenCalledWith(element, cleanupFn, 'TestComponent')
     
     // Verify element does not have component property
     expect('component' in element).toBe(false)
@@ -101,7 +101,7 @@ describe('Component Return Values', () => {
     expect(element['component']).toBe(context)
     
     // Verify cleanup function was stored
-    expect(registerComponentSpy).toHaveBeenCalledWith(element, cleanupFn)
+    expect(registerComponentSpy).toHaveBeenCalledWith(element, cleanupFn, 'TestComponent')
   })
   
   it('should invoke cleanup function during teardown', () => {
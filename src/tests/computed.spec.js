@@ -1,9 +1,10 @@
 /**
  * @vitest-environment jsdom
  */
-import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { computed } from '../core/computed.js'
-import { signal } from '../core/signal.js'
+import { signal, batch } from '../core/signal.js'
+import { useEffect, withHookContext, runCleanupFunctions } from '../core/hookContext.js'
 
 describe('computed', () => {
   let cleanup
@@ -78,7 +79,7 @@ describe('computed', () => {
     })
   })
 
-  it('should support subscription to changes', async () => {
+  it('should support subscription to changes', () => {
     const baseSignal = signal(1)
     const doubled = computed(() => baseSignal.value * 2)
     
@@ -89,9 +90,6 @@ describe('computed', () => {
     
     baseSignal.value = 3
     
-    // Wait for microtask to complete
-    await new Promise((resolve) => queueMicrotask(() => resolve(undefined)))
-    
     expect(values).toContain(6)
     
     cleanup.push(() => {
@@ -165,4 +163,212 @@ describe('computed', () => {
       lazy.destroy()
     })
   })
-}) 
+
+  describe('synchronous propagation', () => {
+    it('should notify subscribers synchronously', () => {
+      const baseSignal = signal(1)
+      const doubled = computed(() => baseSignal.value * 2)
+      const values = []
+
+      doubled.subscribe(value => values.push(value))
+      baseSignal.value = 3
+
+      expect(values).toEqual([6])
+
+      cleanup.push(() => {
+        baseSignal.destroy()
+        doubled.destroy()
+      })
+    })
+
+    it('should evaluate diamond dependencies once per change', () => {
+      const source = signal(1)
+      const left = computed(() => source.value + 1)
+      const right = computed(() => source.value * 10)
+      let combineCount = 0
+      const combined = computed(() => {
+        combineCount++
+        return `${left.value}/${right.value}`
+      })
+      const values = []
+
+      combined.subscribe(value => values.push(value))
+      expect(combineCount).toBe(1)
+
+      source.value = 2
+
+      expect(combineCount).toBe(2)
+      expect(values).toEqual(['3/20'])
+
+      cleanup.push(() => {
+        source.destroy()
+        left.destroy()
+        right.destroy()
+        combined.destroy()
+      })
+    })
+
+    it('should never expose a mix of old and new values to subscribers', () => {
+      const source = signal(1)
+      const a = computed(() => source.value)
+      const b = computed(() => a.value)
+      const c = computed(() => b.value)
+      // Reads the source directly and through a chain of computeds
+      const check = computed(() => source.value === c.value)
+      const seen = []
+
+      check.subscribe(value => seen.push(value))
+      source.value = 2
+      source.value = 3
+
+      expect(seen).toEqual([])
+      expect(check.value).toBe(true)
+
+      cleanup.push(() => {
+        source.destroy()
+        a.destroy()
+        b.destroy()
+        c.destroy()
+        check.destroy()
+      })
+    })
+
+    it('should keep effects on a signal and its computed in step', () => {
+      const container = document.createElement('div')
+      const count = signal(1)
+      const doubled = computed(() => count.value * 2)
+      const snapshots = []
+
+      withHookContext(container, () => {
+        useEffect(() => {
+          snapshots.push([count.value, doubled.value])
+        }, [count, doubled])
+      })
+
+      count.value = 2
+
+      // The shared effect runs once and already sees the new computed value
+      expect(snapshots).toEqual([[1, 2], [2, 4]])
+
+      cleanup.push(() => {
+        runCleanupFunctions(container)
+        count.destroy()
+        doubled.destroy()
+      })
+    })
+
+    it('should not notify subscribers when the computed value is unchanged', () => {
+      const count = signal(1)
+      const isPositive = computed(() => count.value > 0)
+      const subscriber = vi.fn()
+
+      isPositive.subscribe(subscriber)
+      count.value = 2
+      count.value = 3
+
+      expect(subscriber).not.toHaveBeenCalled()
+
+      count.value = -1
+      expect(subscriber).toHaveBeenCalledWith(false)
+
+      cleanup.push(() => {
+        count.destroy()
+        isPositive.destroy()
+      })
+    })
+
+    it('should stay lazy while nothing subscribes', () => {
+      let computeCount = 0
+      const count = signal(1)
+      const doubled = computed(() => {
+        computeCount++
+        return count.value * 2
+      })
+      const quadrupled = computed(() => doubled.value * 2)
+
+      expect(quadrupled.value).toBe(4)
+      expect(computeCount).toBe(1)
+
+      count.value = 2
+      count.value = 3
+      expect(computeCount).toBe(1)
+
+      expect(quadrupled.value).toBe(12)
+      expect(computeCount).toBe(2)
+
+      cleanup.push(() => {
+        count.destroy()
+        doubled.destroy()
+        quadrupled.destroy()
+      })
+    })
+
+    it('should re-evaluate once per batch for subscribed computeds', () => {
+      let computeCount = 0
+      const a = signal(1)
+      const b = signal(2)
+      const sum = computed(() => {
+        computeCount++
+        return a.value + b.value
+      })
+      const subscriber = vi.fn()
+
+      sum.subscribe(subscriber)
+      expect(computeCount).toBe(1)
+
+      batch(() => {
+        a.value = 10
+        b.value = 20
+      })
+
+      expect(computeCount).toBe(2)
+      expect(subscriber).toHaveBeenCalledTimes(1)
+      expect(subscriber).toHaveBeenCalledWith(30)
+
+      cleanup.push(() => {
+        a.destroy()
+        b.destroy()
+        sum.destroy()
+      })
+    })
+
+    it('should recover after a compute function throws', () => {
+      const count = signal(10)
+      const guarded = computed(() => {
+        if (count.value > 5) throw new Error('Value too high')
+        return count.value
+      })
+
+      expect(() => guarded.value).toThrow('Value too high')
+
+      count.value = 1
+      expect(guarded.value).toBe(1)
+
+      cleanup.push(() => {
+        count.destroy()
+        guarded.destroy()
+      })
+    })
+
+    it('should notify a subscriber added after reads when the value reverts', () => {
+      const count = signal(1)
+      const doubled = computed(() => count.value * 2)
+      const subscriber = vi.fn()
+
+      expect(doubled.value).toBe(2)
+      count.value = 2
+      expect(doubled.value).toBe(4)
+
+      doubled.subscribe(subscriber)
+      count.value = 1
+
+      expect(subscriber).toHaveBeenCalledTimes(1)
+      expect(subscriber).toHaveBeenCalledWith(2)
+
+      cleanup.push(() => {
+        count.destroy()
+        doubled.destroy()
+      })
+    })
+  })
+})
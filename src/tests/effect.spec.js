@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { signal } from '../core/signal.js'
+import { computed } from '../core/computed.js'
+import { effect, useEffect, withHookContext, runCleanupFunctions } from '../core/hookContext.js'
+
+describe('effect()', () => {
+  let container
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    runCleanupFunctions(container)
+    document.body.removeChild(container)
+    vi.restoreAllMocks()
+  })
+
+  it('should require a function', () => {
+    // @ts-ignore - testing invalid input
+    expect(() => effect('nope')).toThrow('[HookTML] effect() requires a function')
+  })
+
+  it('should run immediately and re-run when a signal it read changes', () => {
+    const count = signal(0)
+    const seen = []
+
+    const dispose = effect(() => {
+      seen.push(count.value)
+    })
+
+    count.value = 1
+    count.value = 2
+
+    expect(seen).toEqual([0, 1, 2])
+    dispose()
+  })
+
+  it('should re-subscribe to the signals read on each run', () => {
+    const useFirst = signal(true)
+    const first = signal('a')
+    const second = signal('x')
+    const effectFn = vi.fn(() => useFirst.value ? first.value : second.value)
+
+    const dispose = effect(effectFn)
+    expect(effectFn).toHaveBeenCalledTimes(1)
+
+    // `second` was not read yet
+    second.value = 'y'
+    expect(effectFn).toHaveBeenCalledTimes(1)
+
+    useFirst.value = false
+    expect(effectFn).toHaveBeenCalledTimes(2)
+
+    // `first` is no longer read
+    first.value = 'b'
+    expect(effectFn).toHaveBeenCalledTimes(2)
+
+    second.value = 'z'
+    expect(effectFn).toHaveBeenCalledTimes(3)
+
+    dispose()
+  })
+
+  it('should track computed signals', () => {
+    const count = signal(1)
+    const doubled = computed(() => count.value * 2)
+    const seen = []
+
+    const dispose = effect(() => {
+      seen.push(doubled.value)
+    })
+
+    expect(seen).toEqual([2])
+
+    dispose()
+    doubled.destroy()
+  })
+
+  it('should run the previous cleanup before re-running and on dispose', () => {
+    const count = signal(0)
+    const cleanup = vi.fn()
+
+    const dispose = effect(() => {
+      count.value
+      return cleanup
+    })
+
+    count.value = 1
+    expect(cleanup).toHaveBeenCalledTimes(1)
+
+    dispose()
+    expect(cleanup).toHaveBeenCalledTimes(2)
+
+    // Disposed effects no longer react
+    count.value = 2
+    expect(cleanup).toHaveBeenCalledTimes(2)
+  })
+
+  it('should not re-trigger itself when writing to a signal it reads', () => {
+    const count = signal(0)
+    const effectFn = vi.fn(() => {
+      if (count.value < 5) {
+        count.value = count.value + 1
+      }
+    })
+
+    const dispose = effect(effectFn)
+
+    expect(effectFn).toHaveBeenCalledTimes(1)
+    expect(count.value).toBe(1)
+    dispose()
+  })
+
+  it('should log errors thrown by the effect and keep tracking what it read', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const count = signal(0)
+    const seen = []
+
+    const dispose = effect(() => {
+      seen.push(count.value)
+      if (count.value === 1) throw new Error('boom')
+    })
+
+    count.value = 1
+    expect(errorSpy).toHaveBeenCalledWith('[HookTML] Error in effect execution:', expect.any(Error))
+
+    count.value = 2
+    expect(seen).toEqual([0, 1, 2])
+    dispose()
+  })
+
+  it('should dispose with the owning element', () => {
+    const count = signal(0)
+    const effectFn = vi.fn(() => count.value)
+
+    withHookContext(container, () => {
+      effect(effectFn)
+    })
+
+    count.value = 1
+    expect(effectFn).toHaveBeenCalledTimes(2)
+
+    runCleanupFunctions(container)
+
+    count.value = 2
+    expect(effectFn).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('useEffect() without dependencies', () => {
+  let container
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    runCleanupFunctions(container)
+    document.body.removeChild(container)
+    vi.restoreAllMocks()
+  })
+
+  it('should track signals read during the effect automatically', () => {
+    const first = signal('Ada')
+    const last = signal('Lovelace')
+    const seen = []
+
+    withHookContext(container, () => {
+      useEffect(() => {
+        seen.push(`${first.value} ${last.value}`)
+      })
+    })
+
+    first.value = 'Grace'
+    last.value = 'Hopper'
+
+    expect(seen).toEqual(['Ada Lovelace', 'Grace Lovelace', 'Grace Hopper'])
+  })
+
+  it('should run queued after the component body like other effects', () => {
+    const order = []
+
+    withHookContext(container, () => {
+      useEffect(() => {
+        order.push('effect')
+      })
+      order.push('body')
+    })
+
+    expect(order).toEqual(['body', 'effect'])
+  })
+
+  it('should stop tracking and run the cleanup when the element is cleaned up', () => {
+    const count = signal(0)
+    const cleanup = vi.fn()
+    const effectFn = vi.fn(() => {
+      count.value
+      return cleanup
+    })
+
+    withHookContext(container, () => {
+      useEffect(effectFn)
+    })
+
+    runCleanupFunctions(container)
+    expect(cleanup).toHaveBeenCalledTimes(1)
+
+    count.value = 1
+    expect(effectFn).toHaveBeenCalledTimes(1)
+  })
+
+  it('should still reject dependencies that are not arrays', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    withHookContext(container, () => {
+      // @ts-ignore - testing invalid input
+      useEffect(() => {}, 'count')
+    })
+    expect(errorSpy).toHaveBeenCalledWith(
+      '[HookTML] Error in withHookContext:',
+      expect.objectContaining({ message: '[HookTML] useEffect dependencies must be an array.' })
+    )
+  })
+})
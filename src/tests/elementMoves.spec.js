@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { createObserver } from '../core/observer.js'
+import { useEffect } from '../core/hookContext.js'
+import { signal } from '../core/signal.js'
+import { lifecycleManager } from '../core/initialization.js'
+import { getHookInstance } from '../core/hookInstanceRegistry.js'
+import { flushMutations } from './helpers.js'
+
+describe('Element moves', () => {
+  let observer
+  let count
+  let itemSpy
+  let itemCleanup
+  let effectSpy
+  let onMove
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+
+    count = signal(0)
+    itemSpy = vi.fn()
+    itemCleanup = vi.fn()
+    effectSpy = vi.fn()
+    onMove = vi.fn()
+
+    registerComponent(function Item(el) {
+      itemSpy(el)
+      useEffect(() => {
+        effectSpy(el.id, count.value)
+      }, [count])
+      return { cleanup: itemCleanup, onMove }
+    })
+
+    document.body.innerHTML = `
+      <ul id="list">
+        <li class="Item" id="first"></li>
+        <li class="Item" id="second"></li>
+      </ul>
+      <div id="portal"></div>
+    `
+    observer = createObserver()
+    observer.start()
+  })
+
+  afterEach(() => {
+    observer.stop()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should keep components alive when a list is reordered', async () => {
+    byId('list').appendChild(byId('first'))
+    await flushMutations()
+
+    expect(itemSpy).toHaveBeenCalledTimes(2)
+    expect(itemCleanup).not.toHaveBeenCalled()
+    expect(lifecycleManager.isInitialized(byId('first'))).toBe(true)
+  })
+
+  it('should keep effect subscriptions working after a move', async () => {
+    document.body.appendChild(byId('first'))
+    await flushMutations()
+    effectSpy.mockClear()
+
+    count.value = 1
+
+    expect(effectSpy).toHaveBeenCalledWith('first', 1)
+  })
+
+  it('should call onMove with the element after it moves', async () => {
+    byId('portal').appendChild(byId('second'))
+    await flushMutations()
+
+    expect(onMove).toHaveBeenCalledTimes(1)
+    expect(onMove).toHaveBeenCalledWith(byId('second'))
+  })
+
+  it('should treat an element re-added in a later microtask as moved', async () => {
+    const first = byId('first')
+    first.remove()
+    await Promise.resolve()
+    byId('portal').appendChild(first)
+    await flushMutations()
+
+    expect(itemCleanup).not.toHaveBeenCalled()
+    expect(onMove).toHaveBeenCalledWith(first)
+  })
+
+  it('should still tear down elements that are removed for good', async () => {
+    const first = byId('first')
+    first.remove()
+    await flushMutations()
+
+    expect(itemCleanup).toHaveBeenCalledTimes(1)
+    expect(onMove).not.toHaveBeenCalled()
+    expect(lifecycleManager.isInitialized(first)).toBe(false)
+  })
+
+  it('should re-initialize an element re-added after it was torn down', async () => {
+    const first = byId('first')
+    first.remove()
+    await flushMutations()
+
+    byId('list').appendChild(first)
+    await flushMutations()
+
+    expect(itemCleanup).toHaveBeenCalledTimes(1)
+    expect(itemSpy).toHaveBeenCalledTimes(3)
+  })
+
+  it('should keep hook instances on moved elements', async () => {
+    const hookCleanup = vi.fn()
+    registerHook(function useMenu() {
+      return hookCleanup
+    })
+    byId('portal').innerHTML = '<nav use-menu id="menu"></nav>'
+    await flushMutations()
+    const menu = byId('menu')
+    const hookInstance = getHookInstance(menu, 'useMenu')
+
+    byId('list').appendChild(menu)
+    await flushMutations()
+
+    expect(hookCleanup).not.toHaveBeenCalled()
+    expect(getHookInstance(menu, 'useMenu')).toBe(hookInstance)
+  })
+
+  it('should tear down elements moved outside a scoped root', async () => {
+    observer.stop()
+    const scoped = createObserver(byId('list'))
+    scoped.start()
+
+    byId('portal').appendChild(byId('first'))
+    await flushMutations()
+
+    expect(itemCleanup).toHaveBeenCalledTimes(1)
+    scoped.stop()
+  })
+})
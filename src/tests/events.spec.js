@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { emit, on } from '../core/events.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { useEvents } from '../hooks/useEvents.js'
+import { unmount } from '../core/mount.js'
+import { useEffect, effect } from '../core/hookContext.js'
+import { signal } from '../core/signal.js'
+
+describe('emit / on', () => {
+  let received
+  let warnSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    received = vi.fn()
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    registerComponent(function DialogClose(el) {
+      useEvents(el, {
+        click: () => emit('close', { reason: 'button' })
+      })
+    })
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    warnSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should dispatch a bubbling event namespaced by the component name', () => {
+    document.body.innerHTML = '<div id="dialog"><button class="DialogClose" id="close"></button></div>'
+    scan()
+    on(byId('dialog'), 'dialog-close:close', received)
+
+    byId('close').click()
+
+    expect(received).toHaveBeenCalledTimes(1)
+    const event = received.mock.calls[0][0]
+    expect(event).toBeInstanceOf(CustomEvent)
+    expect(event.detail).toEqual({ reason: 'button' })
+    expect(event.target).toBe(byId('close'))
+  })
+
+  it('should keep names that already have a namespace and strip "use" from hook names', () => {
+    registerComponent(function Dialog() {
+      emit('dialog:ready', 1)
+    })
+    registerHook(function useTooltip() {
+      emit('shown')
+    })
+    document.addEventListener('dialog:ready', received)
+    document.addEventListener('tooltip:shown', received)
+    document.body.innerHTML = '<div class="Dialog" use-tooltip></div>'
+
+    scan()
+    document.removeEventListener('dialog:ready', received)
+    document.removeEventListener('tooltip:shown', received)
+
+    expect(received.mock.calls.map(([event]) => event.type)).toEqual(['dialog:ready', 'tooltip:shown'])
+  })
+
+  it('should let parents listen with useEvents', () => {
+    registerComponent(function Settings(el) {
+      useEvents(el, {
+        'dialog-close:close': (event) => received(/** @type {CustomEvent} */ (event).detail)
+      })
+    })
+    document.body.innerHTML = '<div class="Settings"><button class="DialogClose" id="close"></button></div>'
+    scan()
+
+    byId('close').click()
+
+    expect(received).toHaveBeenCalledWith({ reason: 'button' })
+  })
+
+  it('should return false when a listener prevents the default', () => {
+    const result = { value: true }
+    registerComponent(function Form() {
+      result.value = emit('submit')
+    })
+    document.body.innerHTML = '<div id="parent"><form class="Form"></form></div>'
+    on(byId('parent'), 'form:submit', (event) => event.preventDefault())
+
+    scan()
+
+    expect(result.value).toBe(false)
+  })
+
+  it('should cross shadow root boundaries', () => {
+    document.body.innerHTML = '<div id="host"></div>'
+    const shadowRoot = byId('host').attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = '<button class="DialogClose"></button>'
+    const button = /** @type {HTMLElement} */ (shadowRoot.querySelector('button'))
+    scan(shadowRoot)
+    on(document.body, 'dialog-close:close', received)
+
+    button.click()
+
+    expect(received).toHaveBeenCalledTimes(1)
+  })
+
+  it('should remove listeners added with on() when the component is torn down', () => {
+    registerComponent(function Toolbar() {
+      on(document, 'dialog-close:close', received)
+    })
+    document.body.innerHTML = '<div class="Toolbar" id="toolbar"></div><button class="DialogClose" id="close"></button>'
+    scan()
+
+    unmount(byId('toolbar'))
+    byId('close').click()
+
+    expect(received).not.toHaveBeenCalled()
+  })
+
+  it('should return a function that removes the listener', () => {
+    document.body.innerHTML = '<div id="target"></div>'
+    const off = on(byId('target'), 'tabs:change', received)
+
+    off()
+    byId('target').dispatchEvent(new CustomEvent('tabs:change'))
+
+    expect(received).not.toHaveBeenCalled()
+  })
+
+  it('should emit from effects when they re-run after a signal change', () => {
+    const open = signal(false)
+    const count = signal(0)
+    registerComponent(function Dialog() {
+      useEffect(() => {
+        if (open.value) emit('opened')
+      }, [open])
+      useEffect(() => {
+        if (count.value > 0) emit('counted', count.value)
+      })
+      effect(() => {
+        if (open.value) emit('effect-opened')
+      })
+    })
+    document.body.innerHTML = '<div class="Dialog" id="dialog"></div>'
+    scan()
+    on(document.body, 'dialog:opened', received)
+    on(document.body, 'dialog:counted', received)
+    on(document.body, 'dialog:effect-opened', received)
+
+    open.value = true
+    count.value = 2
+
+    const events = received.mock.calls.map(([event]) => event)
+    expect(events.map(event => event.type).sort()).toEqual(['dialog:counted', 'dialog:effect-opened', 'dialog:opened'])
+    expect(events.every(event => event.target === byId('dialog'))).toBe(true)
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should warn when emit is called outside a component or hook', () => {
+    expect(emit('close')).toBe(false)
+    expect(warnSpy).toHaveBeenCalledWith('[HookTML] emit called outside component/directive context')
+  })
+
+  it('should validate its arguments', () => {
+    document.body.innerHTML = '<div id="target"></div>'
+
+    // @ts-ignore - testing invalid input
+    expect(() => on('#target', 'tabs:change', received)).toThrow('[HookTML] on() requires an EventTarget as first argument')
+    expect(() => on(byId('target'), '', received)).toThrow('[HookTML] on() requires an event name')
+    // @ts-ignore - testing invalid input
+    expect(() => on(byId('target'), 'tabs:change')).toThrow('[HookTML] on() requires a handler function')
+  })
+})
@@ -0,0 +1,9 @@
+/**
+ * Shared helpers for the spec files
+ */
+
+/**
+ * Waits for MutationObserver callbacks and the microtasks they schedule to run
+ * @returns {Promise<void>} Resolves on the next macrotask
+ */
+export const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0))
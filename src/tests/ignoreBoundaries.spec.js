@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { start, scan } from '../index.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { useChildren } from '../hooks/useChildren.js'
+import { extractChildren } from '../utils/children.js'
+import { initConfig } from '../core/config.js'
+import { mount } from '../core/mount.js'
+import { flushMutations } from './helpers.js'
+
+describe('hooktml-ignore boundaries', () => {
+  const runtimes = []
+  let widgetSpy
+  let widgetCleanup
+  let focusSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+
+    widgetSpy = vi.fn()
+    widgetCleanup = vi.fn()
+    focusSpy = vi.fn()
+
+    registerComponent(function Widget(el) {
+      widgetSpy(el)
+      return widgetCleanup
+    })
+    registerHook(function useFocus(el) { focusSpy(el) })
+
+    document.body.innerHTML = `
+      <div class="Widget" id="outside"></div>
+      <div id="island" hooktml-ignore>
+        <div class="Widget" id="inside"></div>
+        <button use-focus id="inside-button"></button>
+      </div>
+    `
+  })
+
+  afterEach(() => {
+    runtimes.splice(0).forEach(runtime => runtime.destroy())
+    initConfig()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should skip components and hooks inside an ignored subtree', async () => {
+    runtimes.push(await start())
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+    expect(widgetSpy).toHaveBeenCalledWith(byId('outside'))
+    expect(focusSpy).not.toHaveBeenCalled()
+  })
+
+  it('should skip the boundary element itself', () => {
+    byId('island').classList.add('Widget')
+
+    const instances = scan()
+
+    expect(instances.map(({ element }) => element)).toEqual([byId('outside')])
+  })
+
+  it('should skip ignored subtrees in mount()', () => {
+    mount(document.body)
+    mount(byId('inside'))
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+    expect(focusSpy).not.toHaveBeenCalled()
+  })
+
+  it('should skip mutations inside an ignored subtree', async () => {
+    runtimes.push(await start())
+
+    byId('island').insertAdjacentHTML('beforeend', '<div class="Widget"></div>')
+    byId('inside-button').setAttribute('use-focus', 'again')
+    await flushMutations()
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+    expect(focusSpy).not.toHaveBeenCalled()
+  })
+
+  it('should skip ignored subtrees added later', async () => {
+    runtimes.push(await start())
+
+    document.body.insertAdjacentHTML('beforeend', '<section hooktml-ignore><div class="Widget"></div></section>')
+    await flushMutations()
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should tear down a subtree when it becomes ignored and pick it up again when the attribute is removed', async () => {
+    runtimes.push(await start())
+
+    byId('outside').setAttribute('hooktml-ignore', '')
+    await flushMutations()
+    expect(widgetCleanup).toHaveBeenCalledTimes(1)
+
+    byId('island').removeAttribute('hooktml-ignore')
+    await flushMutations()
+    expect(widgetSpy).toHaveBeenCalledWith(byId('inside'))
+    expect(focusSpy).toHaveBeenCalledWith(byId('inside-button'))
+  })
+
+  it('should respect attributePrefix', async () => {
+    byId('island').removeAttribute('hooktml-ignore')
+    byId('island').setAttribute('data-hooktml-ignore', '')
+    runtimes.push(await start({ attributePrefix: 'data' }))
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should leave ignored elements out of component children', () => {
+    document.body.innerHTML = `
+      <div class="Tabs">
+        <button tabs-tab id="tab"></button>
+        <div hooktml-ignore><button tabs-tab></button></div>
+      </div>
+    `
+    const tabs = /** @type {HTMLElement} */ (document.querySelector('.Tabs'))
+
+    expect(extractChildren(tabs, 'Tabs')).toEqual({ tab: byId('tab') })
+  })
+
+  it('should leave ignored elements out of useChildren', () => {
+    document.body.innerHTML = `
+      <div use-menu id="menu">
+        <a menu-item id="item"></a>
+        <div hooktml-ignore><a menu-item></a></div>
+      </div>
+    `
+
+    const { items } = useChildren(byId('menu'), 'menu')
+
+    expect(items).toEqual([byId('item')])
+  })
+})
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { createObserver } from '../core/observer.js'
+import { flushMutations } from './helpers.js'
+
+describe('Incremental mutation processing', () => {
+  let observer
+  let widgetSpy
+  let widgetCleanup
+  let focusSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+
+    widgetSpy = vi.fn()
+    widgetCleanup = vi.fn()
+    focusSpy = vi.fn()
+
+    registerComponent(function Widget(el) {
+      widgetSpy(el)
+      return widgetCleanup
+    })
+    registerHook(function useFocus(el) { focusSpy(el) })
+
+    document.body.innerHTML = `
+      <div id="app">
+        <div class="Widget" id="existing"></div>
+        <div id="plain"></div>
+      </div>
+    `
+    observer = createObserver()
+    observer.start()
+  })
+
+  afterEach(() => {
+    observer.stop()
+    vi.restoreAllMocks()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should only match within added subtrees', async () => {
+    const querySpy = vi.spyOn(Element.prototype, 'querySelectorAll')
+    const section = document.createElement('section')
+    section.innerHTML = '<div class="Widget" id="added"></div><button use-focus></button>'
+
+    byId('app').appendChild(section)
+    await flushMutations()
+
+    expect(querySpy.mock.contexts).toContain(section)
+    expect(querySpy.mock.contexts).not.toContain(document.documentElement)
+    expect(widgetSpy).toHaveBeenLastCalledWith(byId('added'))
+    expect(focusSpy).toHaveBeenCalledWith(section.querySelector('button'))
+  })
+
+  it('should handle every record of a batch in one pass', async () => {
+    const querySpy = vi.spyOn(Element.prototype, 'querySelectorAll')
+    widgetSpy.mockClear()
+
+    byId('app').insertAdjacentHTML('beforeend', '<div class="Widget"></div>')
+    byId('app').insertAdjacentHTML('beforeend', '<div class="Widget"></div>')
+    byId('plain').setAttribute('use-component', 'Widget')
+    await flushMutations()
+
+    expect(widgetSpy).toHaveBeenCalledTimes(3)
+    expect(querySpy.mock.contexts).not.toContain(document.documentElement)
+  })
+
+  it('should not re-initialize existing elements when unrelated nodes are added', async () => {
+    widgetSpy.mockClear()
+
+    byId('app').insertAdjacentHTML('beforeend', '<p>Hello</p>')
+    await flushMutations()
+
+    expect(widgetSpy).not.toHaveBeenCalled()
+  })
+
+  it('should initialize an element whose attributes start matching', async () => {
+    byId('plain').setAttribute('use-focus', '')
+    await flushMutations()
+
+    expect(focusSpy).toHaveBeenCalledWith(byId('plain'))
+  })
+
+  it('should tear down an element whose attributes stop matching', async () => {
+    byId('existing').classList.remove('Widget')
+    await flushMutations()
+
+    expect(widgetCleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('should apply a hook added to an element that is already tracked', async () => {
+    byId('existing').setAttribute('use-focus', '')
+    await flushMutations()
+
+    expect(focusSpy).toHaveBeenCalledWith(byId('existing'))
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should tear down a hook whose attribute was removed from a tracked element', async () => {
+    const tooltipCleanup = vi.fn()
+    registerHook(function useTooltip() { return tooltipCleanup })
+    byId('app').insertAdjacentHTML('beforeend', '<div class="Widget" id="target" use-tooltip use-focus></div>')
+    await flushMutations()
+
+    byId('target').removeAttribute('use-tooltip')
+    await flushMutations()
+
+    expect(tooltipCleanup).toHaveBeenCalledTimes(1)
+    expect(widgetCleanup).not.toHaveBeenCalled()
+    expect(focusSpy).toHaveBeenCalledTimes(1)
+
+    byId('target').setAttribute('use-tooltip', '')
+    await flushMutations()
+    byId('target').remove()
+    await flushMutations()
+
+    expect(tooltipCleanup).toHaveBeenCalledTimes(2)
+  })
+
+  it('should re-match the whole root after the registries change', async () => {
+    const panelSpy = vi.fn()
+    byId('app').insertAdjacentHTML('beforeend', '<div class="Panel" id="panel"></div>')
+    await flushMutations()
+
+    registerComponent(function Panel(el) { panelSpy(el) })
+    byId('app').insertAdjacentHTML('beforeend', '<p>Hello</p>')
+    await flushMutations()
+
+    expect(panelSpy).toHaveBeenCalledWith(byId('panel'))
+  })
+
+  it('should use the rebuilt selectors for elements added after a registration', async () => {
+    const panelSpy = vi.fn()
+    registerComponent(function Panel(el) { panelSpy(el) })
+    byId('app').insertAdjacentHTML('beforeend', '<p>Hello</p>')
+    await flushMutations()
+
+    byId('app').insertAdjacentHTML('beforeend', '<div class="Panel" id="panel"></div>')
+    await flushMutations()
+
+    expect(panelSpy).toHaveBeenCalledTimes(1)
+    expect(panelSpy).toHaveBeenCalledWith(byId('panel'))
+  })
+})
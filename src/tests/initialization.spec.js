@@ -56,7 +56,7 @@ describe('Component Initialization Tracking', () => {
     
     // Verify
     expect(componentFn).toHaveBeenCalledWith(element, expect.any(Object))
-    expect(markInitializedSpy).toHaveBeenCalledWith(element)
+    expect(markInitializedSpy).toHaveBeenCalledWith(element, 'TestComponent')
     expect(result).toHaveLength(1)
   })
   
@@ -80,7 +80,7 @@ describe('Component Initialization Tracking', () => {
     // First initialization
     const result1 = initializeComponents(scanResults)
     expect(componentFn).toHaveBeenCalledTimes(1)
-    expect(markInitializedSpy).toHaveBeenCalledWith(element)
+    expect(markInitializedSpy).toHaveBeenCalledWith(element, 'TestComponent')
     expect(result1).toHaveLength(1)
     
     // Try to initialize again (should be skipped)
@@ -94,7 +94,7 @@ describe('Component Initialization Tracking', () => {
     // Try to initialize again (should work)
     const result3 = initializeComponents(scanResults)
     expect(componentFn).toHaveBeenCalledTimes(2)
-    expect(markInitializedSpy).toHaveBeenCalledWith(element)
+    expect(markInitializedSpy).toHaveBeenCalledWith(element, 'TestComponent')
     expect(result3).toHaveLength(1)
   })
 })
@@ -284,7 +284,7 @@ describe('Component Initialization', () => {
     const result = initializeComponents(scanResults)
     
     // Verify
-    expect(registerComponentSpy).toHaveBeenCalledWith(element, teardownFn)
+    expect(registerComponentSpy).toHaveBeenCalledWith(element, teardownFn, 'TestComponent')
     expect(result).toHaveLength(1)
     expect(result[0].instance).toBe(teardownFn)
   })
@@ -0,0 +1,255 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  registerComponent,
+  registerLazyComponent,
+  getRegisteredComponentNames,
+  getRegisteredComponent,
+  clearRegistry
+} from '../core/registry.js'
+import { registerHook, registerLazyHook, getRegisteredHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { createObserver } from '../core/observer.js'
+import { getHookInstance } from '../core/hookInstanceRegistry.js'
+import { unmount } from '../core/mount.js'
+import { flushMutations } from './helpers.js'
+
+describe('Lazy registration', () => {
+  let observer
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    document.body.innerHTML = ''
+    observer = createObserver()
+  })
+
+  afterEach(() => {
+    observer.stop()
+    document.body.innerHTML = ''
+    vi.restoreAllMocks()
+  })
+
+  describe('registerLazyComponent()', () => {
+    it('should list lazy components with the registered component names', () => {
+      expect(registerLazyComponent('Dialog', () => Promise.resolve({}))).toBe(true)
+      expect(getRegisteredComponentNames()).toContain('Dialog')
+      expect(getRegisteredComponent('Dialog')).toBeUndefined()
+    })
+
+    it('should reject invalid names, invalid loaders and duplicates', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      registerComponent(function Tabs() {})
+
+      expect(registerLazyComponent('dialog', () => Promise.resolve({}))).toBe(false)
+      // @ts-ignore - testing invalid input
+      expect(registerLazyComponent('Dialog', null)).toBe(false)
+      expect(registerLazyComponent('Tabs', () => Promise.resolve({}))).toBe(false)
+      expect(warnSpy).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not import the module until a matching element appears', async () => {
+      const loader = vi.fn(() => Promise.resolve({ Dialog: () => {} }))
+      registerLazyComponent('Dialog', loader)
+      observer.start()
+
+      await flushMutations()
+      expect(loader).not.toHaveBeenCalled()
+
+      document.body.innerHTML = '<div class="Dialog"></div>'
+      await flushMutations()
+
+      expect(loader).toHaveBeenCalledTimes(1)
+    })
+
+    it('should initialize matching elements once the module loads', async () => {
+      const Dialog = vi.fn()
+      registerLazyComponent('Dialog', () => Promise.resolve({ default: Dialog }))
+
+      document.body.innerHTML = `
+        <div class="Dialog" dialog-size="lg"></div>
+        <div use-component="Dialog"></div>
+      `
+      observer.start()
+      await flushMutations()
+
+      expect(Dialog).toHaveBeenCalledTimes(2)
+      expect(Dialog.mock.calls[0][1]).toEqual({ size: 'lg' })
+      expect(getRegisteredComponent('Dialog')).toBe(Dialog)
+    })
+
+    it('should keep elements cloaked until initialization completes', async () => {
+      const state = { resolve: null }
+      const Dialog = vi.fn()
+      registerLazyComponent('Dialog', () => new Promise(resolve => {
+        state.resolve = resolve
+      }))
+
+      document.body.innerHTML = '<div class="Dialog"></div>'
+      const element = /** @type {HTMLElement} */ (document.querySelector('.Dialog'))
+      observer.start()
+
+      expect(element.hasAttribute('data-hooktml-cloak')).toBe(true)
+      expect(document.getElementById('__hooktml')?.textContent).toContain('[data-hooktml-cloak]')
+
+      await flushMutations()
+      expect(element.hasAttribute('data-hooktml-cloak')).toBe(true)
+
+      state.resolve({ Dialog })
+      await flushMutations()
+
+      expect(Dialog).toHaveBeenCalledTimes(1)
+      expect(element.hasAttribute('data-hooktml-cloak')).toBe(false)
+    })
+
+    it('should skip elements removed before the module loads', async () => {
+      const state = { resolve: null }
+      const Dialog = vi.fn()
+      registerLazyComponent('Dialog', () => new Promise(resolve => {
+        state.resolve = resolve
+      }))
+
+      document.body.innerHTML = '<div class="Dialog"></div>'
+      observer.start()
+      await flushMutations()
+      document.body.innerHTML = ''
+
+      state.resolve({ Dialog })
+      await flushMutations()
+
+      expect(Dialog).not.toHaveBeenCalled()
+    })
+
+    it('should log loading errors, uncloak the element and allow a retry', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const loader = vi.fn()
+        .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+        .mockImplementation(() => Promise.resolve({ Dialog: () => {} }))
+      registerLazyComponent('Dialog', loader)
+
+      document.body.innerHTML = '<div class="Dialog"></div>'
+      const element = /** @type {HTMLElement} */ (document.querySelector('.Dialog'))
+      observer.start()
+      await flushMutations()
+
+      expect(errorSpy).toHaveBeenCalledWith('[HookTML] Error loading lazy component "Dialog":', expect.any(Error))
+      expect(element.hasAttribute('data-hooktml-cloak')).toBe(false)
+
+      document.body.insertAdjacentHTML('beforeend', '<div class="Dialog"></div>')
+      await flushMutations()
+
+      expect(loader).toHaveBeenCalledTimes(2)
+      expect(getRegisteredComponent('Dialog')).toBeDefined()
+    })
+  })
+
+    it('should skip elements unmounted or moved into an ignored subtree before the module loads', async () => {
+      const Dialog = vi.fn()
+      /** @type {Function} */
+      let finishLoading = () => {}
+      registerLazyComponent('Dialog', () => new Promise(resolve => { finishLoading = () => resolve({ Dialog }) }))
+
+      document.body.innerHTML = `
+        <div id="frozen"></div>
+        <div class="Dialog" id="unmounted"></div>
+        <div class="Dialog" id="moved"></div>
+      `
+      const unmounted = /** @type {HTMLElement} */ (document.getElementById('unmounted'))
+      const moved = /** @type {HTMLElement} */ (document.getElementById('moved'))
+      observer.start()
+      await flushMutations()
+
+      unmount(unmounted)
+      const frozen = /** @type {HTMLElement} */ (document.getElementById('frozen'))
+      frozen.setAttribute('hooktml-ignore', '')
+      frozen.appendChild(moved)
+      finishLoading()
+      await flushMutations()
+
+      expect(Dialog).not.toHaveBeenCalled()
+      expect(unmounted.hasAttribute('data-hooktml-cloak')).toBe(false)
+      expect(moved.hasAttribute('data-hooktml-cloak')).toBe(false)
+    })
+
+  describe('registerLazyHook()', () => {
+    it('should apply the hook with its props once the module loads', async () => {
+      const useTooltip = vi.fn(() => ({ ready: true }))
+      const loader = vi.fn(() => Promise.resolve({ useTooltip }))
+      expect(registerLazyHook('useTooltip', loader)).toBe(true)
+
+      document.body.innerHTML = '<button use-tooltip="Save" tooltip-placement="top"></button>'
+      const button = /** @type {HTMLElement} */ (document.querySelector('button'))
+      observer.start()
+
+      expect(button.hasAttribute('data-hooktml-cloak')).toBe(true)
+      await flushMutations()
+
+      expect(loader).toHaveBeenCalledTimes(1)
+      expect(useTooltip).toHaveBeenCalledTimes(1)
+      expect(useTooltip.mock.calls[0][1]).toEqual({ value: 'Save', placement: 'top' })
+      expect(getHookInstance(button, 'useTooltip')).toEqual({ ready: true })
+      expect(getRegisteredHook('useTooltip')).toBe(useTooltip)
+      expect(button.hasAttribute('data-hooktml-cloak')).toBe(false)
+    })
+
+    it('should apply lazy hooks alongside hooks that are already registered', async () => {
+      const focusSpy = vi.fn(() => () => {})
+      const useTooltip = vi.fn()
+      registerHook(function useFocus(el, props) { return focusSpy(el, props) })
+      registerLazyHook('useTooltip', () => Promise.resolve({ default: useTooltip }))
+
+      document.body.innerHTML = '<button use-focus use-tooltip="Save"></button>'
+      observer.start()
+      await flushMutations()
+
+      expect(focusSpy).toHaveBeenCalledTimes(1)
+      expect(useTooltip).toHaveBeenCalledTimes(1)
+    })
+
+    it('should skip elements unmounted before the module loads', async () => {
+      const useTooltip = vi.fn()
+      /** @type {Function} */
+      let finishLoading = () => {}
+      registerLazyHook('useTooltip', () => new Promise(resolve => { finishLoading = () => resolve({ useTooltip }) }))
+
+      document.body.innerHTML = '<button use-tooltip="Save"></button>'
+      const button = /** @type {HTMLElement} */ (document.querySelector('button'))
+      observer.start()
+      await flushMutations()
+
+      unmount(button)
+      finishLoading()
+      await flushMutations()
+
+      expect(useTooltip).not.toHaveBeenCalled()
+    })
+
+    it('should keep the element cloaked until its lazy component has loaded too', async () => {
+      const Dialog = vi.fn()
+      const useTooltip = vi.fn()
+      /** @type {Function} */
+      let finishComponent = () => {}
+      registerLazyComponent('Dialog', () => new Promise(resolve => { finishComponent = () => resolve({ Dialog }) }))
+      registerLazyHook('useTooltip', () => Promise.resolve({ useTooltip }))
+
+      document.body.innerHTML = '<div class="Dialog" use-tooltip="Save"></div>'
+      const element = /** @type {HTMLElement} */ (document.querySelector('.Dialog'))
+      observer.start()
+      await flushMutations()
+
+      expect(useTooltip).toHaveBeenCalledTimes(1)
+      expect(element.hasAttribute('data-hooktml-cloak')).toBe(true)
+
+      finishComponent()
+      await flushMutations()
+
+      expect(Dialog).toHaveBeenCalledTimes(1)
+      expect(element.hasAttribute('data-hooktml-cloak')).toBe(false)
+    })
+
+    it('should reject names that do not start with "use"', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(registerLazyHook('tooltip', () => Promise.resolve({}))).toBe(false)
+      expect(warnSpy).toHaveBeenCalled()
+    })
+  })
+})
@@ -353,5 +353,46 @@ describe('LifecycleManager', () => {
       expect(manager.getInitializedDirectives(null)).toEqual([])
     })
   })
-}) 
- 
\ No newline at end of file
+
+  describe('Pending Initialization', () => {
+    it('should track a pending initialization without marking the element initialized', () => {
+      const cancel = vi.fn()
+      expect(manager.registerPending(element, cancel)).toBe(true)
+      expect(manager.isPending(element)).toBe(true)
+      expect(manager.isInitialized(element)).toBe(false)
+      expect(manager.hasRegistration(element)).toBe(false)
+    })
+
+    it('should cancel the pending initialization on teardown', () => {
+      const cancel = vi.fn()
+      manager.registerPending(element, cancel)
+
+      manager.executeTeardowns(element)
+
+      expect(cancel).toHaveBeenCalledTimes(1)
+      expect(manager.isPending(element)).toBe(false)
+    })
+
+    it('should forget a pending initialization without cancelling it', () => {
+      const cancel = vi.fn()
+      manager.registerPending(element, cancel)
+
+      manager.clearPending(element)
+      manager.executeTeardowns(element)
+
+      expect(cancel).not.toHaveBeenCalled()
+    })
+
+    it('should report errors thrown while cancelling', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const error = new Error('cancel failed')
+      manager.registerPending(element, () => { throw error })
+
+      const result = manager.cancelPending(element)
+
+      expect(result).toEqual({ success: false, error })
+      expect(errorSpy).toHaveBeenCalledWith('[HookTML] Error cancelling pending initialization:', error)
+      errorSpy.mockRestore()
+    })
+  })
+})
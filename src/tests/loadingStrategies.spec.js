@@ -0,0 +1,288 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { registerComponent, registerLazyComponent, clearRegistry } from '../core/registry.js'
+import { scanComponents, initializeComponents } from '../core/scanComponents.js'
+import { createObserver } from '../core/observer.js'
+import { scheduleLoading } from '../core/loadingStrategies.js'
+import { lifecycleManager } from '../core/initialization.js'
+import { initConfig } from '../core/config.js'
+import { flushMutations } from './helpers.js'
+
+/**
+ * Minimal IntersectionObserver stand-in that lets tests decide when elements intersect
+ */
+class FakeIntersectionObserver {
+  /** @type {FakeIntersectionObserver[]} */
+  static instances = []
+
+  constructor(callback) {
+    this.callback = callback
+    this.elements = new Set()
+    FakeIntersectionObserver.instances.push(this)
+  }
+
+  observe(element) {
+    this.elements.add(element)
+  }
+
+  unobserve(element) {
+    this.elements.delete(element)
+  }
+
+  disconnect() {
+    this.elements.clear()
+  }
+
+  static reveal(element) {
+    FakeIntersectionObserver.instances
+      .filter(observer => observer.elements.has(element))
+      .forEach(observer => observer.callback([{ target: element, isIntersecting: true }]))
+  }
+}
+
+describe('Loading strategies', () => {
+  beforeEach(() => {
+    clearRegistry()
+    initConfig()
+    document.body.innerHTML = ''
+    vi.stubGlobal('IntersectionObserver', FakeIntersectionObserver)
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('should initialize components eagerly by default', () => {
+    const chartSpy = vi.fn()
+    registerComponent(function Chart(el, props) { return chartSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Chart"></div>'
+    initializeComponents(scanComponents())
+
+    expect(chartSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should wait for visibility when the component declares loading = "visible"', () => {
+    const chartSpy = vi.fn()
+    function Chart(el) { chartSpy(el) }
+    Chart.loading = 'visible'
+    registerComponent(Chart)
+
+    document.body.innerHTML = '<div class="Chart"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Chart'))
+    initializeComponents(scanComponents())
+
+    expect(chartSpy).not.toHaveBeenCalled()
+    expect(lifecycleManager.isPending(element)).toBe(true)
+
+    FakeIntersectionObserver.reveal(element)
+
+    expect(chartSpy).toHaveBeenCalledWith(element)
+    expect(lifecycleManager.isPending(element)).toBe(false)
+    expect(lifecycleManager.isInitialized(element)).toBe(true)
+  })
+
+  it('should let the hooktml-load attribute override the component strategy', () => {
+    const chartSpy = vi.fn()
+    function Chart() { chartSpy() }
+    Chart.loading = 'visible'
+    registerComponent(Chart)
+
+    document.body.innerHTML = `
+      <div class="Chart" hooktml-load="eager"></div>
+      <div class="Chart"></div>
+    `
+    initializeComponents(scanComponents())
+
+    expect(chartSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should respect the attribute prefix for hooktml-load', () => {
+    initConfig({ attributePrefix: 'data' })
+    const chartSpy = vi.fn()
+    registerComponent(function Chart(el, props) { return chartSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Chart" data-hooktml-load="visible"></div>'
+    initializeComponents(scanComponents())
+
+    expect(chartSpy).not.toHaveBeenCalled()
+  })
+
+  it('should wait for the browser to be idle', () => {
+    vi.useFakeTimers()
+    const chartSpy = vi.fn()
+    registerComponent(function Chart(el, props) { return chartSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Chart" hooktml-load="idle"></div>'
+    initializeComponents(scanComponents())
+    expect(chartSpy).not.toHaveBeenCalled()
+
+    vi.runAllTimers()
+    expect(chartSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should use requestIdleCallback when available', () => {
+    const state = { callback: null }
+    vi.stubGlobal('requestIdleCallback', vi.fn((callback) => {
+      state.callback = callback
+      return 1
+    }))
+    vi.stubGlobal('cancelIdleCallback', vi.fn())
+    const chartSpy = vi.fn()
+    registerComponent(function Chart(el, props) { return chartSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Chart" hooktml-load="idle"></div>'
+    initializeComponents(scanComponents())
+    expect(chartSpy).not.toHaveBeenCalled()
+
+    state.callback()
+    expect(chartSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should wait for the first pointer or focus event', () => {
+    const menuSpy = vi.fn()
+    registerComponent(function Menu(el, props) { return menuSpy(el, props) })
+
+    document.body.innerHTML = '<nav class="Menu" hooktml-load="interaction"><a href="#">Home</a></nav>'
+    const link = /** @type {HTMLElement} */ (document.querySelector('a'))
+    initializeComponents(scanComponents())
+    expect(menuSpy).not.toHaveBeenCalled()
+
+    link.dispatchEvent(new Event('focusin', { bubbles: true }))
+    link.dispatchEvent(new Event('pointerover', { bubbles: true }))
+
+    expect(menuSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should replay the triggering event for listeners the component adds', () => {
+    const linkSpy = vi.fn()
+    const bodySpy = vi.fn()
+    registerComponent(function Menu(el) {
+      el.querySelector('a')?.addEventListener('pointerdown', linkSpy)
+    })
+
+    document.body.innerHTML = '<nav class="Menu" hooktml-load="interaction"><a href="#">Home</a></nav>'
+    const link = /** @type {HTMLElement} */ (document.querySelector('a'))
+    document.body.addEventListener('pointerdown', bodySpy)
+    initializeComponents(scanComponents())
+
+    link.dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, clientX: 12 }))
+
+    expect(linkSpy).toHaveBeenCalledTimes(1)
+    expect(linkSpy.mock.calls[0][0].clientX).toBe(12)
+    expect(bodySpy).toHaveBeenCalledTimes(1)
+    document.body.removeEventListener('pointerdown', bodySpy)
+  })
+
+  it('should warn about unknown strategies and load eagerly', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const chartSpy = vi.fn()
+    registerComponent(function Chart(el, props) { return chartSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Chart" hooktml-load="later"></div>'
+    initializeComponents(scanComponents())
+
+    expect(chartSpy).toHaveBeenCalledTimes(1)
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown loading strategy "later"'))
+  })
+
+  it('should load immediately when IntersectionObserver is unavailable', () => {
+    vi.stubGlobal('IntersectionObserver', undefined)
+    const chartSpy = vi.fn()
+    registerComponent(function Chart(el, props) { return chartSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Chart" hooktml-load="visible"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Chart'))
+    initializeComponents(scanComponents())
+
+    expect(chartSpy).toHaveBeenCalledTimes(1)
+    expect(lifecycleManager.isPending(element)).toBe(false)
+  })
+
+  it('should only schedule an element once across repeated scans', () => {
+    const menuSpy = vi.fn()
+    registerComponent(function Menu(el, props) { return menuSpy(el, props) })
+
+    document.body.innerHTML = '<nav class="Menu" hooktml-load="interaction"></nav>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Menu'))
+    initializeComponents(scanComponents())
+    initializeComponents(scanComponents())
+
+    element.dispatchEvent(new Event('pointerdown'))
+    element.dispatchEvent(new Event('pointerdown'))
+
+    expect(menuSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should cancel the pending initialization when the element is removed first', async () => {
+    const menuSpy = vi.fn()
+    registerComponent(function Menu(el, props) { return menuSpy(el, props) })
+    const observer = createObserver()
+
+    document.body.innerHTML = '<nav class="Menu" hooktml-load="interaction"></nav>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Menu'))
+    observer.start()
+    expect(lifecycleManager.isPending(element)).toBe(true)
+
+    element.remove()
+    await flushMutations()
+
+    expect(lifecycleManager.isPending(element)).toBe(false)
+    element.dispatchEvent(new Event('pointerdown'))
+    expect(menuSpy).not.toHaveBeenCalled()
+
+    observer.stop()
+  })
+
+  it('should wait for visibility separately for each component on the same element', () => {
+    const tabsSpy = vi.fn()
+    const sortableSpy = vi.fn()
+    registerComponent(function Tabs(el, props) { return tabsSpy(el, props) })
+    registerComponent(function Sortable(el, props) { return sortableSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Tabs Sortable" hooktml-load="visible"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Tabs'))
+    initializeComponents(scanComponents())
+
+    FakeIntersectionObserver.reveal(element)
+
+    expect(tabsSpy).toHaveBeenCalledTimes(1)
+    expect(sortableSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should only cancel its own visibility wait on a shared element', () => {
+    const tabsSpy = vi.fn()
+    registerComponent(function Tabs(el, props) { return tabsSpy(el, props) })
+
+    document.body.innerHTML = '<div class="Tabs" hooktml-load="visible"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Tabs'))
+    initializeComponents(scanComponents())
+
+    const cancel = scheduleLoading(element, 'visible', () => {})
+    cancel()
+    FakeIntersectionObserver.reveal(element)
+
+    expect(tabsSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should defer loading lazy components until the strategy fires', async () => {
+    const Chart = vi.fn()
+    const loader = vi.fn(() => Promise.resolve({ Chart }))
+    registerLazyComponent('Chart', loader)
+
+    document.body.innerHTML = '<div class="Chart" hooktml-load="visible"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Chart'))
+    initializeComponents(scanComponents())
+    await flushMutations()
+
+    expect(loader).not.toHaveBeenCalled()
+
+    FakeIntersectionObserver.reveal(element)
+    await flushMutations()
+
+    expect(loader).toHaveBeenCalledTimes(1)
+    expect(Chart).toHaveBeenCalledTimes(1)
+  })
+})
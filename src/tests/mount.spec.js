@@ -0,0 +1,208 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, unmount, remount } from '../core/mount.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { useEffect } from '../core/hookContext.js'
+import { signal } from '../core/signal.js'
+import { lifecycleManager } from '../core/initialization.js'
+import { getHookInstance } from '../core/hookInstanceRegistry.js'
+import { createObserver } from '../core/observer.js'
+import { flushMutations } from './helpers.js'
+
+describe('mount / unmount / remount', () => {
+  let count
+  let panelSpy
+  let panelCleanup
+  let effectSpy
+  let tooltipSpy
+  let tooltipCleanup
+  let container
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+
+    count = signal(0)
+    panelSpy = vi.fn()
+    panelCleanup = vi.fn()
+    effectSpy = vi.fn()
+    tooltipSpy = vi.fn()
+    tooltipCleanup = vi.fn()
+
+    registerComponent(function Panel(el, props) {
+      panelSpy(el, props)
+      useEffect(() => {
+        effectSpy(count.value)
+      }, [count])
+      return panelCleanup
+    })
+    registerHook(function useTooltip(el, props) {
+      tooltipSpy(el, props)
+      return tooltipCleanup
+    })
+
+    container = document.createElement('div')
+    container.innerHTML = `
+      <section class="Panel" panel-title="Settings">
+        <button use-tooltip="Save"></button>
+      </section>
+    `
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    unmount(container)
+    document.body.innerHTML = ''
+  })
+
+  it('should initialize components and hooks within the subtree', () => {
+    mount(container)
+
+    expect(panelSpy).toHaveBeenCalledWith(container.querySelector('.Panel'), { title: 'Settings' })
+    expect(tooltipSpy).toHaveBeenCalledWith(container.querySelector('button'), { value: 'Save' })
+  })
+
+  it('should initialize the element itself when it matches', () => {
+    const panel = /** @type {HTMLElement} */ (container.querySelector('.Panel'))
+    mount(panel)
+
+    expect(panelSpy).toHaveBeenCalledWith(panel, expect.anything())
+  })
+
+  it('should skip elements that are already mounted', () => {
+    mount(container)
+    mount(container)
+
+    expect(panelSpy).toHaveBeenCalledTimes(1)
+    expect(tooltipSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should mount detached subtrees such as clones', () => {
+    const clone = /** @type {HTMLElement} */ (container.cloneNode(true))
+    mount(clone)
+
+    expect(panelSpy).toHaveBeenCalledWith(clone.querySelector('.Panel'), expect.anything())
+    unmount(clone)
+  })
+
+  it('should run teardowns, dispose effects and clear state on unmount', () => {
+    mount(container)
+    const panel = /** @type {HTMLElement} */ (container.querySelector('.Panel'))
+    const button = /** @type {HTMLElement} */ (container.querySelector('button'))
+
+    unmount(container)
+    count.value = 1
+
+    expect(panelCleanup).toHaveBeenCalledTimes(1)
+    expect(tooltipCleanup).toHaveBeenCalledTimes(1)
+    expect(effectSpy).toHaveBeenCalledTimes(1)
+    expect(lifecycleManager.isInitialized(panel)).toBe(false)
+    expect(getHookInstance(button, 'useTooltip')).toBeUndefined()
+  })
+
+  it('should tear down descendants before their ancestors', () => {
+    const order = []
+    panelCleanup.mockImplementation(() => order.push('panel'))
+    tooltipCleanup.mockImplementation(() => order.push('tooltip'))
+    mount(container)
+
+    unmount(container)
+
+    expect(order).toEqual(['tooltip', 'panel'])
+  })
+
+  it('should tear down and re-initialize on remount', () => {
+    mount(container)
+    remount(container)
+
+    expect(panelCleanup).toHaveBeenCalledTimes(1)
+    expect(panelSpy).toHaveBeenCalledTimes(2)
+    expect(tooltipSpy).toHaveBeenCalledTimes(2)
+  })
+
+  it('should pick up attribute changes made before a remount', () => {
+    mount(container)
+    container.querySelector('.Panel')?.setAttribute('panel-title', 'Profile')
+
+    remount(container)
+
+    expect(panelSpy).toHaveBeenLastCalledWith(expect.anything(), { title: 'Profile' })
+  })
+
+  it('should keep a running observer from re-initializing unmounted elements', async () => {
+    const observer = createObserver(document.body)
+    observer.start()
+    const panel = /** @type {HTMLElement} */ (container.querySelector('.Panel'))
+    const button = /** @type {HTMLElement} */ (container.querySelector('button'))
+
+    unmount(container)
+    panel.setAttribute('panel-title', 'Profile')
+    panel.classList.add('Panel', 'Highlighted')
+    button.setAttribute('use-tooltip', 'Discard')
+    await flushMutations()
+
+    expect(panelSpy).toHaveBeenCalledTimes(1)
+    expect(tooltipSpy).toHaveBeenCalledTimes(1)
+    expect(lifecycleManager.isInitialized(panel)).toBe(false)
+
+    observer.destroy()
+  })
+
+  it('should let a running observer track elements mounted again', async () => {
+    const observer = createObserver(document.body)
+    observer.start()
+
+    unmount(container)
+    mount(container)
+    container.remove()
+    await flushMutations()
+
+    expect(panelSpy).toHaveBeenCalledTimes(2)
+    expect(panelCleanup).toHaveBeenCalledTimes(2)
+    expect(tooltipCleanup).toHaveBeenCalledTimes(2)
+
+    observer.destroy()
+  })
+
+  it('should keep leaving unmounted elements alone after an observer restarts', async () => {
+    const observer = createObserver(document.body)
+    observer.start()
+    observer.stop()
+    const panel = /** @type {HTMLElement} */ (container.querySelector('.Panel'))
+
+    unmount(container)
+    observer.start()
+    panel.setAttribute('panel-title', 'Profile')
+    await flushMutations()
+
+    expect(panelSpy).toHaveBeenCalledTimes(1)
+    expect(lifecycleManager.isInitialized(panel)).toBe(false)
+
+    observer.destroy()
+  })
+
+  it('should initialize unmounted elements again once they are removed and inserted', async () => {
+    const observer = createObserver(document.body)
+    observer.start()
+
+    unmount(container)
+    container.remove()
+    await flushMutations()
+    document.body.appendChild(container)
+    await flushMutations()
+
+    expect(panelSpy).toHaveBeenCalledTimes(2)
+    expect(tooltipSpy).toHaveBeenCalledTimes(2)
+
+    observer.destroy()
+  })
+
+  it('should require an HTMLElement', () => {
+    // @ts-ignore - testing invalid input
+    expect(() => mount(null)).toThrow('[HookTML] mount() requires an HTMLElement')
+    // @ts-ignore - testing invalid input
+    expect(() => unmount('div')).toThrow('[HookTML] unmount() requires an HTMLElement')
+    // @ts-ignore - testing invalid input
+    expect(() => remount(document)).toThrow('[HookTML] remount() requires an HTMLElement')
+  })
+})
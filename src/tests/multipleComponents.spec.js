@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { registerComponent, registerLazyComponent, clearRegistry } from '../core/registry.js'
+import { createObserver } from '../core/observer.js'
+import { useEffect } from '../core/hookContext.js'
+import { signal } from '../core/signal.js'
+import { getComponent } from '../core/componentInstanceRegistry.js'
+import { unmount } from '../core/mount.js'
+import { flushMutations } from './helpers.js'
+
+describe('Multiple components on one element', () => {
+  let observer
+  let count
+  let tabsSpy
+  let tabsCleanup
+  let tabsEffect
+  let sortableSpy
+  let sortableCleanup
+  let sortableEffect
+
+  beforeEach(() => {
+    clearRegistry()
+
+    count = signal(0)
+    tabsSpy = vi.fn()
+    tabsCleanup = vi.fn()
+    tabsEffect = vi.fn()
+    sortableSpy = vi.fn()
+    sortableCleanup = vi.fn()
+    sortableEffect = vi.fn()
+
+    registerComponent(function Tabs(el, props) {
+      tabsSpy(props)
+      useEffect(() => {
+        tabsEffect(count.value)
+      }, [count])
+      return { context: { name: 'tabs' }, cleanup: tabsCleanup }
+    })
+    registerComponent(function Sortable(el, props) {
+      sortableSpy(props)
+      useEffect(() => {
+        sortableEffect(count.value)
+      }, [count])
+      return { context: { name: 'sortable' }, cleanup: sortableCleanup }
+    })
+  })
+
+  afterEach(() => {
+    observer?.stop()
+    observer = undefined
+    unmount(document.body)
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @returns {HTMLElement}
+   */
+  const target = () => /** @type {HTMLElement} */ (document.getElementById('target'))
+
+  it('should initialize every component named in the class list', () => {
+    document.body.innerHTML = '<div id="target" class="Tabs Sortable"></div>'
+
+    const instances = scan()
+
+    expect(instances).toHaveLength(2)
+    expect(tabsSpy).toHaveBeenCalledTimes(1)
+    expect(sortableSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should accept a space-separated use-component list and mixed declarations', () => {
+    document.body.innerHTML = `
+      <div id="target" use-component="Tabs Sortable"></div>
+      <div class="Tabs" use-component="Sortable Tabs"></div>
+    `
+
+    scan()
+
+    expect(tabsSpy).toHaveBeenCalledTimes(2)
+    expect(sortableSpy).toHaveBeenCalledTimes(2)
+  })
+
+  it('should scope props and contexts to each component', () => {
+    document.body.innerHTML = '<div id="target" class="Tabs Sortable" tabs-active="2" sortable-axis="y"></div>'
+
+    scan()
+
+    expect(tabsSpy).toHaveBeenCalledWith({ active: 2 })
+    expect(sortableSpy).toHaveBeenCalledWith({ axis: 'y' })
+    expect(getComponent(target(), 'Tabs')).toEqual({ name: 'tabs' })
+    expect(getComponent(target(), 'Sortable')).toEqual({ name: 'sortable' })
+  })
+
+  it('should run the effects of every component', () => {
+    document.body.innerHTML = '<div id="target" class="Tabs Sortable"></div>'
+    scan()
+
+    count.value = 1
+
+    expect(tabsEffect).toHaveBeenLastCalledWith(1)
+    expect(sortableEffect).toHaveBeenLastCalledWith(1)
+  })
+
+  it('should tear down only the component whose class was removed', async () => {
+    document.body.innerHTML = '<div id="target" class="Tabs Sortable"></div>'
+    observer = createObserver()
+    observer.start()
+
+    target().classList.remove('Sortable')
+    await flushMutations()
+
+    expect(sortableCleanup).toHaveBeenCalledTimes(1)
+    expect(tabsCleanup).not.toHaveBeenCalled()
+    expect(getComponent(target(), 'Sortable')).toBeUndefined()
+    expect(getComponent(target(), 'Tabs')).toEqual({ name: 'tabs' })
+
+    count.value = 1
+    expect(tabsEffect).toHaveBeenLastCalledWith(1)
+    expect(sortableEffect).not.toHaveBeenCalledWith(1)
+  })
+
+  it('should initialize a component added to an element that already has one', async () => {
+    document.body.innerHTML = '<div id="target" use-component="Tabs"></div>'
+    observer = createObserver()
+    observer.start()
+
+    target().setAttribute('use-component', 'Tabs Sortable')
+    await flushMutations()
+
+    expect(tabsSpy).toHaveBeenCalledTimes(1)
+    expect(sortableSpy).toHaveBeenCalledTimes(1)
+    expect(getComponent(target(), 'Sortable')).toEqual({ name: 'sortable' })
+  })
+
+  it('should tear down every component when the element is removed', async () => {
+    document.body.innerHTML = '<div id="target" class="Tabs Sortable"></div>'
+    observer = createObserver()
+    observer.start()
+
+    target().remove()
+    await flushMutations()
+    await flushMutations()
+
+    expect(tabsCleanup).toHaveBeenCalledTimes(1)
+    expect(sortableCleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('should load a lazy component without blocking the others', async () => {
+    let resolveLoader = (_value) => {}
+    const chartSpy = vi.fn()
+    registerLazyComponent('Chart', () => new Promise(resolve => { resolveLoader = resolve }))
+    document.body.innerHTML = '<div id="target" class="Tabs Chart"></div>'
+
+    scan()
+    expect(tabsSpy).toHaveBeenCalledTimes(1)
+
+    await Promise.resolve()
+    resolveLoader(function Chart() { chartSpy() })
+    await flushMutations()
+
+    expect(chartSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should skip a deferred component whose class was removed before it fired', () => {
+    vi.useFakeTimers()
+    const chartSpy = vi.fn()
+    registerComponent(function Chart() { chartSpy() })
+    document.body.innerHTML = '<div id="target" class="Tabs Chart" hooktml-load="idle"></div>'
+
+    scan()
+    target().classList.remove('Chart')
+    vi.runAllTimers()
+    vi.useRealTimers()
+
+    expect(tabsSpy).toHaveBeenCalledTimes(1)
+    expect(chartSpy).not.toHaveBeenCalled()
+  })
+})
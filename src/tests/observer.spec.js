@@ -58,7 +58,7 @@ describe('DOM Observer', () => {
   /**
    * Test handling removed elements with teardown functions
    */
-  it('should run teardown for removed elements', () => {
+  it('should run teardown for removed elements', async () => {
     // Setup - create elements that would be tracked by the observer
     const element1 = document.createElement('div')
     const element2 = document.createElement('div')
@@ -66,7 +66,7 @@ describe('DOM Observer', () => {
     element2.setAttribute('use-test', 'true')
 
     // Mock hook registry to make elements trackable
-    vi.spyOn(hookRegistryModule, 'getRegisteredHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
+    vi.spyOn(hookRegistryModule, 'getDirectiveHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
     vi.spyOn(registryModule, 'getRegisteredComponentNames').mockReturnValue([])
 
     // Mock lifecycle functions
@@ -89,6 +89,8 @@ describe('DOM Observer', () => {
     mockMutationObserver.callback(addMutations)
 
     // Now simulate removal of elements
+    element1.remove()
+    element2.remove()
     const removeMutations = [{
       type: 'childList',
       addedNodes: [],
@@ -97,6 +99,9 @@ describe('DOM Observer', () => {
 
     mockMutationObserver.callback(removeMutations)
 
+    // Teardown waits a microtask in case the elements are being moved
+    await Promise.resolve()
+
     // Verify teardown was called for each element
     expect(executeTeardownsSpy).toHaveBeenCalledWith(element1)
     expect(executeTeardownsSpy).toHaveBeenCalledWith(element2)
@@ -107,7 +112,7 @@ describe('DOM Observer', () => {
   /**
    * Test handling nested elements
    */
-  it('should run teardown for nested elements', () => {
+  it('should run teardown for nested elements', async () => {
     // Setup
     const parent = document.createElement('div')
     const child = document.createElement('span')
@@ -116,7 +121,7 @@ describe('DOM Observer', () => {
     child.setAttribute('use-test', 'true')
 
     // Mock hook registry to make elements trackable
-    vi.spyOn(hookRegistryModule, 'getRegisteredHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
+    vi.spyOn(hookRegistryModule, 'getDirectiveHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
     vi.spyOn(registryModule, 'getRegisteredComponentNames').mockReturnValue([])
 
     // Mock lifecycle functions
@@ -135,6 +140,7 @@ describe('DOM Observer', () => {
     mockMutationObserver.callback(addMutations)
 
     // Simulate removal of parent element
+    parent.remove()
     const removeMutations = [{
       type: 'childList',
       addedNodes: [],
@@ -142,6 +148,7 @@ describe('DOM Observer', () => {
     }]
 
     mockMutationObserver.callback(removeMutations)
+    await Promise.resolve()
 
     // Verify teardown was called for both elements
     expect(executeTeardownsSpy).toHaveBeenCalledWith(parent)
@@ -187,13 +194,13 @@ describe('DOM Observer', () => {
     const mockHookFn = vi.fn(() => () => { }) // Returns cleanup function
 
     // Mock the hook registry to return our mock hook
-    vi.spyOn(hookRegistryModule, 'getRegisteredHook')
+    vi.spyOn(hookRegistryModule, 'getDirectiveHook')
       .mockImplementation((name) => {
         if (name === 'useCounter') return mockHookFn
         return undefined
       })
 
-    vi.spyOn(hookRegistryModule, 'getRegisteredHooks')
+    vi.spyOn(hookRegistryModule, 'getDirectiveHooks')
       .mockReturnValue(new Map([['useCounter', mockHookFn]]))
 
     vi.spyOn(registryModule, 'getRegisteredComponentNames').mockReturnValue([])
@@ -36,7 +36,7 @@ describe('Observer Teardown Error Handling', () => {
     })
   })
   
-  it('should continue processing multiple elements when teardown throws an error', () => {
+  it('should continue processing multiple elements when teardown throws an error', async () => {
     // Setup - create elements that would be tracked by the observer
     const element1 = document.createElement('div')
     const element2 = document.createElement('div')
@@ -46,7 +46,7 @@ describe('Observer Teardown Error Handling', () => {
     element3.setAttribute('use-test', 'true')
     
     // Mock hook registry to make elements trackable
-    vi.spyOn(hookRegistryModule, 'getRegisteredHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
+    vi.spyOn(hookRegistryModule, 'getDirectiveHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
     vi.spyOn(registryModule, 'getRegisteredComponentNames').mockReturnValue([])
     
     // Mock executeTeardowns to throw an error for the second element
@@ -76,6 +76,9 @@ describe('Observer Teardown Error Handling', () => {
     mockMutationObserver.callback(addMutations)
     
     // Simulate removal of elements
+    element1.remove()
+    element2.remove()
+    element3.remove()
     const removeMutations = [{
       type: 'childList',
       addedNodes: [],
@@ -86,6 +89,9 @@ describe('Observer Teardown Error Handling', () => {
     expect(() => {
       mockMutationObserver.callback(removeMutations)
     }).not.toThrow()
+
+    // Teardown waits a microtask in case the elements are being moved
+    await Promise.resolve()
     
     // Verify teardown was called for all elements despite the error
     expect(executeTeardownsSpy).toHaveBeenCalledTimes(3)
@@ -94,7 +100,7 @@ describe('Observer Teardown Error Handling', () => {
     expect(executeTeardownsSpy).toHaveBeenCalledWith(element3)
   })
   
-  it('should handle errors for nested elements', () => {
+  it('should handle errors for nested elements', async () => {
     // Setup
     const parent = document.createElement('div')
     const child = document.createElement('span')
@@ -103,7 +109,7 @@ describe('Observer Teardown Error Handling', () => {
     child.setAttribute('use-test', 'true')
     
     // Mock hook registry to make elements trackable
-    vi.spyOn(hookRegistryModule, 'getRegisteredHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
+    vi.spyOn(hookRegistryModule, 'getDirectiveHooks').mockReturnValue(new Map([['useTest', vi.fn()]]))
     vi.spyOn(registryModule, 'getRegisteredComponentNames').mockReturnValue([])
     
     // Track teardown calls
@@ -134,6 +140,7 @@ describe('Observer Teardown Error Handling', () => {
     mockMutationObserver.callback(addMutations)
     
     // Simulate removal of parent element
+    parent.remove()
     const removeMutations = [{
       type: 'childList',
       addedNodes: [],
@@ -144,6 +151,7 @@ describe('Observer Teardown Error Handling', () => {
     expect(() => {
       mockMutationObserver.callback(removeMutations)
     }).not.toThrow()
+    await Promise.resolve()
     
     // Verify both parent and child teardowns were attempted
     expect(teardownCalls).toContain(parent)
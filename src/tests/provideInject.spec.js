@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { provide, inject } from '../core/provide.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { useEffect } from '../core/hookContext.js'
+import { signal } from '../core/signal.js'
+import { mount, unmount } from '../core/mount.js'
+
+describe('provide / inject', () => {
+  let injected
+  let warnSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    injected = vi.fn()
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    registerComponent(function Dialog(el) {
+      provide('dialog', el.id)
+    })
+    registerComponent(function DialogClose() {
+      injected(inject('dialog'))
+    })
+    registerHook(function useDialogTitle() {
+      injected(inject('dialog'))
+    })
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    warnSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  it('should inject a value provided by an ancestor component', () => {
+    document.body.innerHTML = `
+      <div class="Dialog" id="settings">
+        <section><button class="DialogClose"></button></section>
+      </div>
+    `
+    scan()
+
+    expect(injected).toHaveBeenCalledWith('settings')
+  })
+
+  it('should resolve providers declared with use-component', () => {
+    document.body.innerHTML = `
+      <div use-component="Dialog" id="profile">
+        <button use-component="DialogClose"></button>
+      </div>
+    `
+    scan()
+
+    expect(injected).toHaveBeenCalledWith('profile')
+  })
+
+  it('should inject into descendant hooks and hooks on the provider element', () => {
+    document.body.innerHTML = `
+      <div class="Dialog" id="settings" use-dialog-title>
+        <h2 use-dialog-title></h2>
+      </div>
+    `
+    scan()
+
+    expect(injected).toHaveBeenCalledTimes(2)
+    expect(injected).toHaveBeenNthCalledWith(1, 'settings')
+    expect(injected).toHaveBeenNthCalledWith(2, 'settings')
+  })
+
+  it('should use the nearest provider', () => {
+    document.body.innerHTML = `
+      <div class="Dialog" id="outer">
+        <div class="Dialog" id="inner">
+          <button class="DialogClose"></button>
+        </div>
+      </div>
+    `
+    scan()
+
+    expect(injected).toHaveBeenCalledWith('inner')
+  })
+
+  it('should not let a component inject its own value', () => {
+    registerComponent(function Theme(el) {
+      injected(inject('theme', 'light'))
+      provide('theme', el.getAttribute('theme-mode'))
+    })
+    document.body.innerHTML = `
+      <div class="Theme" theme-mode="dark">
+        <div class="Theme" theme-mode="contrast"></div>
+      </div>
+    `
+    scan()
+
+    expect(injected).toHaveBeenNthCalledWith(1, 'light')
+    expect(injected).toHaveBeenNthCalledWith(2, 'dark')
+  })
+
+  it('should keep provided signals reactive', () => {
+    const open = signal(false)
+    const effectSpy = vi.fn()
+    registerComponent(function Modal() {
+      provide('open', open)
+    })
+    registerComponent(function ModalBody() {
+      const isOpen = inject('open')
+      useEffect(() => {
+        effectSpy(isOpen.value)
+      }, [isOpen])
+    })
+    document.body.innerHTML = '<div class="Modal"><div class="ModalBody"></div></div>'
+    scan()
+
+    open.value = true
+
+    expect(effectSpy).toHaveBeenLastCalledWith(true)
+  })
+
+  it('should resolve providers across shadow root boundaries', () => {
+    document.body.innerHTML = '<div class="Dialog" id="settings"><div id="host"></div></div>'
+    const host = /** @type {HTMLElement} */ (document.getElementById('host'))
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = '<button class="DialogClose"></button>'
+    scan()
+
+    scan(shadowRoot)
+
+    expect(injected).toHaveBeenCalledWith('settings')
+  })
+
+  it('should warn and return undefined when no provider exists', () => {
+    document.body.innerHTML = '<button class="DialogClose"></button>'
+    scan()
+
+    expect(injected).toHaveBeenCalledWith(undefined)
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[HookTML] inject("dialog") found no provider for element:',
+      document.querySelector('.DialogClose')
+    )
+  })
+
+  it('should return the default value without warning', () => {
+    registerComponent(function Toolbar() {
+      injected(inject('dialog', 'none'))
+    })
+    document.body.innerHTML = '<div class="Toolbar"></div>'
+    scan()
+
+    expect(injected).toHaveBeenCalledWith('none')
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should stop providing once the provider is torn down', () => {
+    document.body.innerHTML = '<div class="Dialog" id="settings"></div>'
+    const dialog = /** @type {HTMLElement} */ (document.getElementById('settings'))
+    scan()
+    unmount(dialog)
+
+    dialog.innerHTML = '<button class="DialogClose"></button>'
+    mount(/** @type {HTMLElement} */ (dialog.firstElementChild))
+
+    expect(injected).toHaveBeenCalledWith(undefined)
+  })
+
+  it('should warn when called outside a component or hook', () => {
+    provide('dialog', 'settings')
+
+    expect(inject('dialog')).toBeUndefined()
+    expect(warnSpy).toHaveBeenCalledWith('[HookTML] provide called outside component/directive context')
+    expect(warnSpy).toHaveBeenCalledWith('[HookTML] inject called outside component/directive context')
+  })
+})
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { createObserver } from '../core/observer.js'
+import { useEffect } from '../core/hookContext.js'
+import { isSignal } from '../utils/type-guards.js'
+import { flushMutations } from './helpers.js'
+
+describe('Reactive props', () => {
+  let observer
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    document.body.innerHTML = ''
+    observer = createObserver()
+  })
+
+  afterEach(() => {
+    observer.stop()
+    document.body.innerHTML = ''
+  })
+
+  it('should expose component props as $-prefixed signals', () => {
+    const received = {}
+    registerComponent(function Counter(el, props) {
+      received.props = props
+    })
+
+    document.body.innerHTML = '<div class="Counter" counter-count="5"></div>'
+    observer.start()
+
+    expect(received.props.count).toBe(5)
+    expect(isSignal(received.props.$count)).toBe(true)
+    expect(received.props.$count.value).toBe(5)
+
+    // Prop signals don't show up when enumerating props
+    expect(Object.keys(received.props)).toEqual(['count'])
+  })
+
+  it('should update component prop signals when attributes change without re-initializing', async () => {
+    const seen = []
+    const Counter = vi.fn(function Counter(el, props) {
+      useEffect(() => {
+        seen.push(props.$count.value)
+      }, [props.$count])
+    })
+    registerComponent(Counter)
+
+    document.body.innerHTML = '<div class="Counter" counter-count="5"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Counter'))
+    observer.start()
+
+    element.setAttribute('counter-count', '6')
+    await flushMutations()
+
+    expect(seen).toEqual([5, 6])
+    expect(Counter).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep the plain prop value in sync', async () => {
+    const received = {}
+    registerComponent(function Counter(el, props) {
+      received.props = props
+    })
+
+    document.body.innerHTML = '<div class="Counter" counter-count="5"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Counter'))
+    observer.start()
+
+    element.setAttribute('counter-count', '7')
+    await flushMutations()
+
+    expect(received.props.count).toBe(7)
+  })
+
+  it('should set a prop signal to undefined when its attribute is removed', async () => {
+    const received = {}
+    registerComponent(function Counter(el, props) {
+      received.props = props
+    })
+
+    document.body.innerHTML = '<div class="Counter" counter-count="5"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Counter'))
+    observer.start()
+
+    element.removeAttribute('counter-count')
+    await flushMutations()
+
+    expect(received.props.$count.value).toBeUndefined()
+    expect('count' in received.props).toBe(false)
+  })
+
+  it('should add signals for props whose attributes appear later', async () => {
+    const received = {}
+    registerComponent(function Counter(el, props) {
+      received.props = props
+    })
+
+    document.body.innerHTML = '<div class="Counter"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Counter'))
+    observer.start()
+
+    expect(received.props.$step).toBeUndefined()
+
+    element.setAttribute('counter-step', '2')
+    await flushMutations()
+
+    expect(received.props.step).toBe(2)
+    expect(received.props.$step.value).toBe(2)
+  })
+
+  it('should update hook value and additional props when attributes change', async () => {
+    const seen = []
+    const useTooltip = vi.fn(function useTooltip(el, props) {
+      useEffect(() => {
+        seen.push(`${props.$value.value}@${props.$placement.value}`)
+      }, [props.$value, props.$placement])
+    })
+    registerHook(useTooltip)
+
+    document.body.innerHTML = '<button use-tooltip="Save" tooltip-placement="top"></button>'
+    const button = /** @type {HTMLElement} */ (document.querySelector('button'))
+    observer.start()
+
+    button.setAttribute('use-tooltip', 'Save changes')
+    await flushMutations()
+
+    button.setAttribute('tooltip-placement', 'bottom')
+    await flushMutations()
+
+    expect(seen).toEqual(['Save@top', 'Save changes@top', 'Save changes@bottom'])
+    expect(useTooltip).toHaveBeenCalledTimes(1)
+  })
+
+  it('should ignore attribute changes that do not feed props', async () => {
+    const effectFn = vi.fn()
+    registerComponent(function Counter(el, props) {
+      useEffect(effectFn, [props.$count])
+    })
+
+    document.body.innerHTML = '<div class="Counter" counter-count="5"></div>'
+    const element = /** @type {HTMLElement} */ (document.querySelector('.Counter'))
+    observer.start()
+
+    element.setAttribute('aria-label', 'Counter')
+    element.setAttribute('counter-count', '5')
+    await flushMutations()
+
+    expect(effectFn).toHaveBeenCalledTimes(1)
+  })
+})
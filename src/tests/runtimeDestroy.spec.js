@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { start, destroy } from '../index.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { useEffect } from '../core/hookContext.js'
+import { useChildren } from '../hooks/useChildren.js'
+import { signal } from '../core/signal.js'
+import { lifecycleManager } from '../core/initialization.js'
+import { getHookInstance } from '../core/hookInstanceRegistry.js'
+import { flushMutations } from './helpers.js'
+
+describe('Runtime teardown', () => {
+  let count
+  let counterSpy
+  let counterCleanup
+  let effectCleanup
+  let tooltipCleanup
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    document.getElementById('__hooktml')?.remove()
+
+    count = signal(0)
+    counterSpy = vi.fn()
+    counterCleanup = vi.fn()
+    effectCleanup = vi.fn()
+    tooltipCleanup = vi.fn()
+
+    function Counter(el) {
+      counterSpy(el)
+      useEffect(() => {
+        count.value
+        return effectCleanup
+      }, [count])
+      return counterCleanup
+    }
+    Counter.styles = 'display: block;'
+    registerComponent(Counter)
+
+    registerHook(function useTooltip() {
+      return tooltipCleanup
+    })
+
+    document.body.innerHTML = `
+      <div id="app">
+        <div class="Counter" id="counter"></div>
+        <button use-tooltip="Hi" id="button"></button>
+      </div>
+      <div id="widget"><div class="Counter" id="widget-counter"></div></div>
+    `
+  })
+
+  afterEach(() => {
+    destroy()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should only disconnect the observer on a plain stop()', async () => {
+    const runtime = await start()
+    runtime.stop()
+
+    expect(counterCleanup).not.toHaveBeenCalled()
+    expect(lifecycleManager.isInitialized(byId('counter'))).toBe(true)
+    expect(document.getElementById('__hooktml')).not.toBeNull()
+  })
+
+  it('should run component, effect and directive teardowns with stop({ teardown: true })', async () => {
+    const runtime = await start()
+    runtime.stop({ teardown: true })
+
+    expect(counterCleanup).toHaveBeenCalledTimes(2)
+    expect(effectCleanup).toHaveBeenCalledTimes(2)
+    expect(tooltipCleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('should stop effects and clear hook instances and initialization state', async () => {
+    const runtime = await start()
+    expect(getHookInstance(byId('button'), 'useTooltip')).toBeDefined()
+
+    runtime.destroy()
+    count.value = 1
+
+    expect(effectCleanup).toHaveBeenCalledTimes(2)
+    expect(getHookInstance(byId('button'), 'useTooltip')).toBeUndefined()
+    expect(lifecycleManager.isInitialized(byId('counter'))).toBe(false)
+    expect(lifecycleManager.hasRegistration(byId('button'))).toBe(false)
+  })
+
+  it('should remove the injected style tag', async () => {
+    const runtime = await start()
+    expect(document.getElementById('__hooktml')).not.toBeNull()
+
+    runtime.destroy()
+
+    expect(document.getElementById('__hooktml')).toBeNull()
+  })
+
+  it('should keep shared styles while another root is still running', async () => {
+    const app = await start({ root: byId('app') })
+    await start({ root: byId('widget') })
+
+    app.destroy()
+
+    expect(counterCleanup).toHaveBeenCalledTimes(1)
+    expect(lifecycleManager.isInitialized(byId('widget-counter'))).toBe(true)
+    expect(document.getElementById('__hooktml')).not.toBeNull()
+  })
+
+  it('should stop reacting to mutations after teardown', async () => {
+    const runtime = await start()
+    runtime.destroy()
+    counterSpy.mockClear()
+
+    byId('app').insertAdjacentHTML('beforeend', '<div class="Counter"></div>')
+    await flushMutations()
+
+    expect(counterSpy).not.toHaveBeenCalled()
+  })
+
+  it('should remove children watchers', async () => {
+    const watchedSpy = vi.fn()
+    registerComponent(function List(el) {
+      const { items } = useChildren(el, 'list', { signals: ['item'] })
+      useEffect(() => {
+        watchedSpy(items.value.length)
+      }, [items])
+    })
+    byId('app').insertAdjacentHTML('beforeend', '<ul class="List" id="list"><li list-item></li></ul>')
+
+    const runtime = await start()
+    runtime.destroy()
+    await start()
+    watchedSpy.mockClear()
+
+    byId('list').insertAdjacentHTML('beforeend', '<li list-item></li>')
+    await flushMutations()
+
+    // Only the watcher from the second start() reacts
+    expect(watchedSpy).toHaveBeenCalledTimes(1)
+    expect(watchedSpy).toHaveBeenCalledWith(2)
+  })
+
+  it('should allow start() to re-initialize everything after destroy()', async () => {
+    await start()
+    destroy()
+    counterSpy.mockClear()
+
+    await start()
+
+    expect(counterSpy).toHaveBeenCalledTimes(2)
+    expect(document.getElementById('__hooktml')?.textContent).toContain('[data-hooktml-cloak]')
+  })
+
+  it('should tear down every root with destroy()', async () => {
+    await start({ root: byId('app') })
+    await start({ root: byId('widget') })
+
+    destroy()
+
+    expect(counterCleanup).toHaveBeenCalledTimes(2)
+    expect(document.getElementById('__hooktml')).toBeNull()
+  })
+})
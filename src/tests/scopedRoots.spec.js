@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { start } from '../index.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { initConfig } from '../core/config.js'
+import { flushMutations } from './helpers.js'
+
+describe('Scoped runtime roots', () => {
+  const runtimes = []
+  let widgetSpy
+  let focusSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    widgetSpy = vi.fn()
+    focusSpy = vi.fn()
+    registerComponent(function Widget(el) { widgetSpy(el) })
+    registerHook(function useFocus(el) { focusSpy(el) })
+
+    document.body.innerHTML = `
+      <div id="host-page">
+        <div class="Widget" id="outside"></div>
+        <button use-focus id="outside-button"></button>
+      </div>
+      <div id="embed-a"><div class="Widget" id="inside-a"></div></div>
+      <div id="embed-b"><div class="Widget" id="inside-b"></div></div>
+    `
+  })
+
+  afterEach(() => {
+    runtimes.splice(0).forEach(runtime => runtime.stop())
+    initConfig()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  const byId = (id) => /** @type {HTMLElement} */ (document.getElementById(id))
+
+  it('should only initialize components and hooks inside the root', async () => {
+    runtimes.push(await start({ root: byId('embed-a') }))
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+    expect(widgetSpy).toHaveBeenCalledWith(byId('inside-a'))
+    expect(focusSpy).not.toHaveBeenCalled()
+  })
+
+  it('should expose the root on the runtime and keep it out of the config', async () => {
+    const runtime = await start({ root: byId('embed-a') })
+    runtimes.push(runtime)
+
+    expect(runtime.root).toBe(byId('embed-a'))
+    expect(runtime.config).not.toHaveProperty('root')
+  })
+
+  it('should initialize the root itself when it matches', async () => {
+    runtimes.push(await start({ root: byId('inside-a') }))
+
+    expect(widgetSpy).toHaveBeenCalledWith(byId('inside-a'))
+  })
+
+  it('should ignore mutations outside the root', async () => {
+    runtimes.push(await start({ root: byId('embed-a') }))
+    widgetSpy.mockClear()
+
+    byId('host-page').insertAdjacentHTML('beforeend', '<div class="Widget"></div>')
+    byId('embed-a').insertAdjacentHTML('beforeend', '<div class="Widget" id="added"></div>')
+    await flushMutations()
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+    expect(widgetSpy).toHaveBeenCalledWith(byId('added'))
+  })
+
+  it('should run several roots side by side and stop them independently', async () => {
+    const runtimeA = await start({ root: byId('embed-a') })
+    const runtimeB = await start({ root: byId('embed-b') })
+    runtimes.push(runtimeA, runtimeB)
+
+    expect(widgetSpy).toHaveBeenCalledTimes(2)
+    widgetSpy.mockClear()
+
+    runtimeA.stop()
+    byId('embed-a').insertAdjacentHTML('beforeend', '<div class="Widget"></div>')
+    byId('embed-b').insertAdjacentHTML('beforeend', '<div class="Widget" id="added-b"></div>')
+    await flushMutations()
+
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+    expect(widgetSpy).toHaveBeenCalledWith(byId('added-b'))
+  })
+
+  it('should limit runtime.scan() to the root', async () => {
+    const runtime = await start({ root: byId('embed-a') })
+    runtimes.push(runtime)
+    runtime.stop()
+
+    byId('host-page').insertAdjacentHTML('beforeend', '<div class="Widget"></div>')
+    byId('embed-a').insertAdjacentHTML('beforeend', '<div class="Widget" id="added"></div>')
+
+    const instances = runtime.scan()
+
+    expect(instances.map(({ element }) => element)).toEqual([byId('added')])
+  })
+
+  it('should reject a root that overlaps a running root', async () => {
+    const runtime = await start({ root: byId('embed-a') })
+    runtimes.push(runtime)
+
+    await expect(start({ root: byId('inside-a') })).rejects.toThrow('[HookTML] start() root overlaps a root that is already running')
+    await expect(start({ root: document.body })).rejects.toThrow('[HookTML] start() root overlaps a root that is already running')
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+
+    runtime.stop()
+    runtimes.push(await start({ root: document.body }))
+
+    expect(widgetSpy).toHaveBeenCalledTimes(3)
+  })
+
+  it('should reject options that conflict with the roots already running', async () => {
+    runtimes.push(await start({ root: byId('embed-a'), attributePrefix: 'data' }))
+
+    await expect(start({ root: byId('embed-b') })).rejects.toThrow('[HookTML] start() options conflict with the roots already running: attributePrefix')
+    await expect(start({ root: byId('embed-b'), attributePrefix: 'data', observeShadowRoots: true })).rejects.toThrow('observeShadowRoots')
+
+    runtimes.push(await start({ root: byId('embed-b'), attributePrefix: 'data' }))
+    runtimes.push(await start({ root: byId('embed-a'), attributePrefix: 'data', debug: false }))
+
+    expect(runtimes).toHaveLength(3)
+  })
+
+  it('should reject a root that is not an element', async () => {
+    // @ts-ignore - testing invalid input
+    await expect(start({ root: '#embed-a' })).rejects.toThrow('[HookTML] start() root must be an Element')
+  })
+})
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { start, observe } from '../index.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { initConfig } from '../core/config.js'
+import { flushMutations } from './helpers.js'
+
+describe('Shadow DOM support', () => {
+  const runtimes = []
+  let widgetSpy
+  let widgetCleanup
+  let focusSpy
+
+  /**
+   * Creates a shadow host in the document with the given shadow content
+   * @param {string} html - Shadow root content
+   * @returns {{ host: HTMLElement, shadowRoot: ShadowRoot }}
+   */
+  const createShadowHost = (html) => {
+    const host = document.createElement('div')
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = html
+    document.body.appendChild(host)
+    return { host, shadowRoot }
+  }
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    document.body.innerHTML = ''
+    document.getElementById('__hooktml')?.remove()
+
+    widgetSpy = vi.fn()
+    widgetCleanup = vi.fn()
+    focusSpy = vi.fn()
+
+    function Widget(el) {
+      widgetSpy(el)
+      return widgetCleanup
+    }
+    Widget.styles = 'color: red;'
+    registerComponent(Widget)
+    registerHook(function useFocus(el) { focusSpy(el) })
+  })
+
+  afterEach(() => {
+    runtimes.splice(0).forEach(runtime => runtime.stop())
+    initConfig()
+    document.body.innerHTML = ''
+  })
+
+  it('should ignore shadow roots by default', async () => {
+    createShadowHost('<div class="Widget"></div>')
+    runtimes.push(await start())
+
+    expect(widgetSpy).not.toHaveBeenCalled()
+  })
+
+  it('should initialize components and hooks in open shadow roots when observeShadowRoots is on', async () => {
+    const { shadowRoot } = createShadowHost('<div class="Widget"></div><button use-focus></button>')
+    runtimes.push(await start({ observeShadowRoots: true }))
+
+    expect(widgetSpy).toHaveBeenCalledWith(shadowRoot.querySelector('.Widget'))
+    expect(focusSpy).toHaveBeenCalledWith(shadowRoot.querySelector('button'))
+  })
+
+  it('should pick up shadow hosts and shadow content added later', async () => {
+    runtimes.push(await start({ observeShadowRoots: true }))
+
+    const { shadowRoot } = createShadowHost('<div class="Widget"></div>')
+    await flushMutations()
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+
+    shadowRoot.appendChild(document.createElement('div')).className = 'Widget'
+    await flushMutations()
+    expect(widgetSpy).toHaveBeenCalledTimes(2)
+  })
+
+  it('should tear down shadow content when its host is removed', async () => {
+    const { host } = createShadowHost('<div class="Widget"></div>')
+    runtimes.push(await start({ observeShadowRoots: true }))
+
+    host.remove()
+    await flushMutations()
+
+    expect(widgetCleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('should tear down elements removed from inside the shadow root', async () => {
+    const { shadowRoot } = createShadowHost('<div class="Widget"></div>')
+    runtimes.push(await start({ observeShadowRoots: true }))
+
+    shadowRoot.querySelector('.Widget')?.remove()
+    await flushMutations()
+
+    expect(widgetCleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('should inject component styles into the shadow root instead of the document head', async () => {
+    const { shadowRoot } = createShadowHost('<div class="Widget"></div>')
+    runtimes.push(await start({ observeShadowRoots: true }))
+
+    const shadowStyle = shadowRoot.getElementById('__hooktml')
+    expect(shadowStyle).toBeInstanceOf(HTMLStyleElement)
+    expect(shadowStyle?.parentNode).toBe(shadowRoot)
+    expect(document.head.querySelector('#__hooktml')).toBeNull()
+  })
+
+  it('should observe an explicit shadow root with observe()', async () => {
+    const { shadowRoot } = createShadowHost('<div class="Widget"></div>')
+    const runtime = observe(shadowRoot)
+    runtimes.push(runtime)
+
+    expect(runtime.root).toBe(shadowRoot)
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+
+    runtime.stop()
+    shadowRoot.appendChild(document.createElement('div')).className = 'Widget'
+    await flushMutations()
+    expect(widgetSpy).toHaveBeenCalledTimes(1)
+
+    runtime.scan()
+    expect(widgetSpy).toHaveBeenCalledTimes(2)
+  })
+
+  it('should require a ShadowRoot in observe()', () => {
+    // @ts-ignore - testing invalid input
+    expect(() => observe(document.body)).toThrow('[HookTML] observe() requires a ShadowRoot')
+  })
+})
@@ -288,4 +288,169 @@ describe('useEvents', () => {
       expect(newMouseoverHandler).toHaveBeenCalledTimes(1) // Now called
     })
   })
+  it('should remove the listeners of every element in an array', () => {
+    const other = document.createElement('div')
+    document.body.appendChild(other)
+    const handler = vi.fn()
+
+    const cleanup = useEvents([element, other], { click: handler })
+    cleanup()
+    element.click()
+    other.click()
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  describe('modifiers and delegation', () => {
+    /**
+     * Dispatches a keydown event on the element
+     * @param {string} key
+     * @param {KeyboardEventInit} [init]
+     */
+    const keydown = (key, init = {}) => element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...init }))
+
+    it('should call preventDefault and stopPropagation for .prevent and .stop', () => {
+      const outerHandler = vi.fn()
+      const handler = vi.fn()
+      document.body.addEventListener('click', outerHandler)
+
+      useEvents(element, { 'click.prevent.stop': handler })
+      const event = new MouseEvent('click', { bubbles: true, cancelable: true })
+      element.dispatchEvent(event)
+
+      expect(handler).toHaveBeenCalledWith(event, 0)
+      expect(event.defaultPrevented).toBe(true)
+      expect(outerHandler).not.toHaveBeenCalled()
+      document.body.removeEventListener('click', outerHandler)
+    })
+
+    it('should run .once handlers a single time, counting only events that pass the filters', () => {
+      const handler = vi.fn()
+      useEvents(element, { 'keydown.enter.once': handler })
+
+      keydown('a')
+      keydown('Enter')
+      keydown('Enter')
+
+      expect(handler).toHaveBeenCalledTimes(1)
+    })
+
+    it('should filter keys by alias, key name and modifier keys', () => {
+      const onEnter = vi.fn()
+      const onEscape = vi.fn()
+      const onPageDown = vi.fn()
+      const onSave = vi.fn()
+      useEvents(element, {
+        'keydown.enter': onEnter,
+        'keydown.esc': onEscape,
+        'keydown.page-down': onPageDown,
+        'keydown.ctrl.s': onSave
+      })
+
+      keydown('Enter')
+      keydown('Escape')
+      keydown('PageDown')
+      keydown('s')
+      keydown('s', { ctrlKey: true })
+
+      expect(onEnter).toHaveBeenCalledTimes(1)
+      expect(onEscape).toHaveBeenCalledTimes(1)
+      expect(onPageDown).toHaveBeenCalledTimes(1)
+      expect(onSave).toHaveBeenCalledTimes(1)
+    })
+
+    it('should keep dots in event names that are not modifiers', () => {
+      const onShown = vi.fn()
+      const onShownOnce = vi.fn()
+      useEvents(element, {
+        'show.bs.modal': onShown,
+        'shown.bs.modal.once': onShownOnce
+      })
+
+      element.dispatchEvent(new CustomEvent('show.bs.modal'))
+      element.dispatchEvent(new CustomEvent('shown.bs.modal'))
+      element.dispatchEvent(new CustomEvent('shown.bs.modal'))
+
+      expect(onShown).toHaveBeenCalledTimes(1)
+      expect(onShownOnce).toHaveBeenCalledTimes(1)
+    })
+
+    it('should only handle events on the element itself with .self', () => {
+      const child = document.createElement('span')
+      element.appendChild(child)
+      const handler = vi.fn()
+
+      useEvents(element, { 'click.self': handler })
+      child.click()
+      element.click()
+
+      expect(handler).toHaveBeenCalledTimes(1)
+    })
+
+    it('should pass .capture, .passive and per-handler options to addEventListener', () => {
+      const addEventSpy = vi.spyOn(element, 'addEventListener')
+      const removeEventSpy = vi.spyOn(element, 'removeEventListener')
+
+      const cleanup = useEvents(element, {
+        'focus.capture': vi.fn(),
+        touchstart: { handler: vi.fn(), passive: true }
+      })
+      cleanup()
+
+      expect(addEventSpy).toHaveBeenCalledWith('focus', expect.any(Function), { capture: true })
+      expect(addEventSpy).toHaveBeenCalledWith('touchstart', expect.any(Function), { passive: true })
+      expect(removeEventSpy).toHaveBeenCalledWith('focus', expect.any(Function), { capture: true })
+    })
+
+    it('should delegate to descendants matching a selector', () => {
+      element.innerHTML = `
+        <ul>
+          <li todo-item id="first"><button id="remove">Remove</button></li>
+          <li id="plain"></li>
+        </ul>
+      `
+      const remove = /** @type {HTMLElement} */ (element.querySelector('#remove'))
+      const plain = /** @type {HTMLElement} */ (element.querySelector('#plain'))
+      const handler = vi.fn()
+      useEvents(element, { 'click@[todo-item]': handler })
+
+      remove.click()
+      plain.click()
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler).toHaveBeenCalledWith(expect.any(Event), 0, element.querySelector('#first'))
+    })
+
+    it('should combine modifiers, delegation and arrays of elements', () => {
+      const other = document.createElement('div')
+      other.innerHTML = '<a href="#" class="link">Link</a>'
+      element.innerHTML = '<a href="#" class="link">Link</a>'
+      document.body.appendChild(other)
+      const link = /** @type {HTMLElement} */ (other.querySelector('.link'))
+      const handler = vi.fn()
+
+      useEvents([element, other], { 'click.prevent@.link': handler })
+      const event = new MouseEvent('click', { bubbles: true, cancelable: true })
+      link.dispatchEvent(event)
+
+      expect(handler).toHaveBeenCalledWith(event, 1, link)
+      expect(event.defaultPrevented).toBe(true)
+    })
+
+    it('should keep modifiers when a signal handler changes', () => {
+      const first = vi.fn()
+      const second = vi.fn()
+      const handler = signal(first)
+
+      withHookContext(element, () => {
+        useEvents(element, { 'keydown.enter': { handler, capture: true } })
+      })
+      handler.value = second
+      keydown('a')
+      keydown('Enter')
+
+      expect(first).not.toHaveBeenCalled()
+      expect(second).toHaveBeenCalledTimes(1)
+    })
+  })
 }) 
@@ -0,0 +1,380 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { useForm } from '../hooks/useForm.js'
+import { withHookContext } from '../core/hookContext.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { clearRegistry } from '../core/registry.js'
+import { inject } from '../core/provide.js'
+import { initConfig } from '../core/config.js'
+import { unmount } from '../core/mount.js'
+
+describe('useForm', () => {
+  let warnSpy
+  let errorSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    initConfig()
+    warnSpy.mockRestore()
+    errorSpy.mockRestore()
+    vi.restoreAllMocks()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {any}
+   */
+  const byId = (id) => document.getElementById(id)
+
+  /**
+   * Runs useForm inside a hook context, as a component would
+   * @param {import('../hooks/useForm.js').FormOptions} [options]
+   * @returns {import('../hooks/useForm.js').FormState}
+   */
+  const setup = (options) => withHookContext(byId('form'), () => useForm(byId('form'), options))
+
+  /**
+   * Sets a field's value and fires input and focusout, as a user would
+   * @param {HTMLInputElement} field
+   * @param {string} value
+   */
+  const type = (field, value) => {
+    field.value = value
+    field.dispatchEvent(new Event('input', { bubbles: true }))
+    field.dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+  }
+
+  /**
+   * Dispatches a submit event on the form
+   * @returns {Promise<void>} Resolves once pending validation and submit handlers settled
+   */
+  const submit = async () => {
+    byId('form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))
+    await flush()
+  }
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+  it('should track values, dirty and touched fields', async () => {
+    document.body.innerHTML = `
+      <form id="form">
+        <input name="email" value="ada@example.com" id="email">
+        <input type="checkbox" name="terms" id="terms">
+        <input type="checkbox" name="topics" value="news" checked>
+        <input type="checkbox" name="topics" value="offers" id="offers">
+        <button type="submit" name="action" value="save">Save</button>
+      </form>
+    `
+    const form = setup()
+
+    expect(form.values.value).toEqual({ email: 'ada@example.com', terms: false, topics: ['news'] })
+
+    type(byId('email'), 'grace@example.com')
+    byId('offers').click()
+
+    expect(form.values.value).toEqual({ email: 'grace@example.com', terms: false, topics: ['news', 'offers'] })
+    expect(form.dirty.value).toEqual({ email: true, topics: true })
+    expect(form.touched.value).toEqual({ email: true })
+    expect(byId('email').hasAttribute('form-dirty')).toBe(true)
+    expect(byId('email').hasAttribute('form-touched')).toBe(true)
+    expect(byId('terms').hasAttribute('form-dirty')).toBe(false)
+
+    type(byId('email'), 'ada@example.com')
+    expect(form.dirty.value).toEqual({ topics: true })
+  })
+
+  it('should report native constraint errors once a field is touched', async () => {
+    document.body.innerHTML = `
+      <form id="form">
+        <input name="email" type="email" required id="email">
+        <span form-error="email" id="email-error"></span>
+      </form>
+    `
+    const form = setup()
+    await flush()
+
+    expect(form.valid.value).toBe(false)
+    expect(form.errors.value.email).toBeTruthy()
+    expect(byId('form').hasAttribute('form-invalid')).toBe(true)
+    expect(byId('email').hasAttribute('form-invalid')).toBe(false)
+    expect(byId('email-error').textContent).toBe('')
+
+    type(byId('email'), 'not an email')
+    await flush()
+
+    expect(byId('email').hasAttribute('form-invalid')).toBe(true)
+    expect(byId('email').getAttribute('aria-invalid')).toBe('true')
+    expect(byId('email-error').textContent).toBe(form.errors.value.email)
+
+    type(byId('email'), 'ada@example.com')
+    await flush()
+
+    expect(form.valid.value).toBe(true)
+    expect(byId('email').hasAttribute('aria-invalid')).toBe(false)
+    expect(byId('form').hasAttribute('form-invalid')).toBe(false)
+    expect(byId('email-error').textContent).toBe('')
+  })
+
+  it('should run async custom validators and drop stale results', async () => {
+    document.body.innerHTML = '<form id="form"><input name="username" id="username"></form>'
+    const resolvers = []
+    const form = setup({
+      validators: {
+        username: (value) => new Promise(resolve => {
+          resolvers.push(() => resolve(value === 'taken' ? 'That username is taken' : null))
+        })
+      }
+    })
+
+    type(byId('username'), 'taken')
+    type(byId('username'), 'free')
+    expect(form.validating.value).toBe(true)
+
+    resolvers[1]()
+    await flush()
+    resolvers[0]()
+    await flush()
+
+    expect(form.errors.value).toEqual({})
+    expect(byId('username').validity.customError).toBe(false)
+
+    type(byId('username'), 'taken')
+    resolvers[2]()
+    await flush()
+
+    expect(form.validating.value).toBe(false)
+    expect(form.errors.value).toEqual({ username: 'That username is taken' })
+    expect(byId('username').validationMessage).toBe('That username is taken')
+  })
+
+  it('should log validator errors and treat them as field errors', async () => {
+    document.body.innerHTML = '<form id="form"><input name="code" id="code"></form>'
+    const form = setup({
+      validators: {
+        code: async () => { throw new Error('Lookup failed') }
+      }
+    })
+    await form.validate()
+
+    expect(form.errors.value).toEqual({ code: 'Lookup failed' })
+    expect(errorSpy).toHaveBeenCalledWith('[HookTML] Error in validator for field "code":', expect.any(Error))
+  })
+
+  it('should block invalid submits and focus the first invalid field', async () => {
+    document.body.innerHTML = `
+      <form id="form">
+        <input name="name" id="name">
+        <input name="email" required id="email">
+      </form>
+    `
+    const onSubmit = vi.fn()
+    const form = setup({ onSubmit })
+
+    await submit()
+
+    expect(onSubmit).not.toHaveBeenCalled()
+    expect(form.touched.value).toEqual({ name: true, email: true })
+    expect(form.submitting.value).toBe(false)
+    expect(document.activeElement).toBe(byId('email'))
+    expect(byId('email').hasAttribute('form-invalid')).toBe(true)
+  })
+
+  it('should call onSubmit once until it settles', async () => {
+    document.body.innerHTML = '<form id="form"><input name="email" value="ada@example.com"></form>'
+    /** @type {Function} */
+    let finish = () => {}
+    const onSubmit = vi.fn(() => new Promise(resolve => { finish = resolve }))
+    const form = setup({ onSubmit })
+
+    await submit()
+    expect(form.submitting.value).toBe(true)
+    expect(byId('form').hasAttribute('form-submitting')).toBe(true)
+
+    await submit()
+    expect(onSubmit).toHaveBeenCalledTimes(1)
+    expect(onSubmit).toHaveBeenCalledWith({ email: 'ada@example.com' }, expect.any(Event))
+
+    finish()
+    await flush()
+
+    expect(form.submitting.value).toBe(false)
+    expect(byId('form').hasAttribute('form-submitting')).toBe(false)
+  })
+
+  it('should reset submitting when onSubmit rejects', async () => {
+    document.body.innerHTML = '<form id="form"><input name="email" value="ada@example.com"></form>'
+    const form = setup({ onSubmit: async () => { throw new Error('Network down') } })
+
+    await submit()
+
+    expect(form.submitting.value).toBe(false)
+    expect(errorSpy).toHaveBeenCalledWith('[HookTML] Error in form submit handler:', expect.any(Error))
+  })
+
+  it('should resubmit natively with the submitter without onSubmit', async () => {
+    document.body.innerHTML = `
+      <form id="form">
+        <input name="email" value="ada@example.com">
+        <button type="submit" name="action" value="save" id="save">Save</button>
+      </form>
+    `
+    const requestSubmitSpy = vi.spyOn(HTMLFormElement.prototype, 'requestSubmit')
+    /** @type {SubmitEvent[]} */
+    const submitted = []
+    const record = (/** @type {SubmitEvent} */ event) => submitted.push(event)
+    document.addEventListener('submit', record)
+    const form = setup()
+
+    byId('save').click()
+    await flush()
+    document.removeEventListener('submit', record)
+
+    expect(requestSubmitSpy).toHaveBeenCalledTimes(1)
+    expect(requestSubmitSpy).toHaveBeenCalledWith(byId('save'))
+    expect(submitted.map(event => event.defaultPrevented)).toEqual([true, false])
+    expect(submitted[1].submitter).toBe(byId('save'))
+    expect(form.submitting.value).toBe(true)
+    expect(byId('form').hasAttribute('form-submitting')).toBe(true)
+  })
+
+  it('should submit natively only once while the page navigates', async () => {
+    document.body.innerHTML = '<form id="form"><input name="email" value="ada@example.com"><button id="save">Save</button></form>'
+    const requestSubmitSpy = vi.spyOn(HTMLFormElement.prototype, 'requestSubmit')
+    setup()
+
+    byId('save').click()
+    await flush()
+    byId('save').click()
+    await flush()
+
+    expect(requestSubmitSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reset submitting when another listener cancels the native resubmission', async () => {
+    document.body.innerHTML = '<form id="form"><input name="email" value="ada@example.com"><button id="save">Save</button></form>'
+    const cancel = (/** @type {Event} */ event) => event.preventDefault()
+    document.addEventListener('submit', cancel)
+    const form = setup()
+
+    byId('save').click()
+    await flush()
+    document.removeEventListener('submit', cancel)
+
+    expect(form.submitting.value).toBe(false)
+    expect(byId('form').hasAttribute('form-submitting')).toBe(false)
+  })
+
+  it('should leave custom validators alone until a field is touched', async () => {
+    document.body.innerHTML = '<form id="form"><input name="username" id="username"><input type="checkbox" name="terms" id="terms"></form>'
+    const username = vi.fn(() => null)
+    const terms = vi.fn(() => null)
+    const form = setup({ validators: { username, terms } })
+    await flush()
+
+    expect(username).not.toHaveBeenCalled()
+
+    byId('username').value = 'ada'
+    byId('username').dispatchEvent(new Event('input', { bubbles: true }))
+    expect(username).not.toHaveBeenCalled()
+
+    byId('username').dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+    expect(username).toHaveBeenCalledTimes(1)
+
+    byId('username').value = 'grace'
+    byId('username').dispatchEvent(new Event('input', { bubbles: true }))
+    byId('username').dispatchEvent(new Event('change', { bubbles: true }))
+    expect(username).toHaveBeenCalledTimes(2)
+
+    await form.validate()
+    expect(username).toHaveBeenCalledTimes(3)
+    expect(terms).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reset values and state with the form', async () => {
+    document.body.innerHTML = '<form id="form"><input name="email" required value="ada@example.com" id="email"></form>'
+    const form = setup()
+
+    type(byId('email'), '')
+    await flush()
+    expect(form.errors.value.email).toBeTruthy()
+
+    form.reset()
+    await flush()
+
+    expect(byId('email').value).toBe('ada@example.com')
+    expect(form.values.value).toEqual({ email: 'ada@example.com' })
+    expect(form.touched.value).toEqual({})
+    expect(form.dirty.value).toEqual({})
+    expect(form.errors.value).toEqual({})
+  })
+
+  it('should respect attributePrefix', async () => {
+    initConfig({ attributePrefix: 'data' })
+    document.body.innerHTML = '<form id="form"><input name="email" required id="email"></form>'
+    setup()
+
+    type(byId('email'), '')
+    await flush()
+
+    expect(byId('email').hasAttribute('data-form-invalid')).toBe(true)
+    expect(byId('form').hasAttribute('data-form-invalid')).toBe(true)
+  })
+
+  it('should validate its arguments', () => {
+    document.body.innerHTML = '<div id="form"></div>'
+
+    expect(() => useForm(byId('form'))).toThrow('[HookTML] useForm requires a form element as first argument')
+
+    document.body.innerHTML = '<form id="form"></form>'
+
+    expect(() => useForm(byId('form'), /** @type {any} */ ('submit'))).toThrow('[HookTML] useForm options must be an object')
+  })
+
+  describe('use-form directive', () => {
+    it('should provide the form state to descendant hooks', async () => {
+      let injected
+      registerHook(function useSubmitButton(el) {
+        injected = inject('form')
+      })
+      document.body.innerHTML = `
+        <form use-form id="form">
+          <input name="email" required id="email">
+          <button use-submit-button>Send</button>
+        </form>
+      `
+      scan()
+      await flush()
+
+      expect(byId('form').noValidate).toBe(true)
+      expect(injected.valid.value).toBe(false)
+      expect(injected.values.value).toEqual({ email: '' })
+    })
+
+    it('should warn when not placed on a form', () => {
+      document.body.innerHTML = '<div use-form id="form"></div>'
+      scan()
+
+      expect(warnSpy).toHaveBeenCalledWith('[HookTML] use-form must be placed on a <form> element:', byId('form'))
+    })
+
+    it('should stop tracking and restore noValidate once torn down', async () => {
+      document.body.innerHTML = '<form use-form id="form"><input name="email" required id="email"></form>'
+      scan()
+
+      unmount(byId('form'))
+      type(byId('email'), '')
+      await flush()
+
+      expect(byId('form').noValidate).toBe(false)
+      expect(byId('email').hasAttribute('form-touched')).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { useIf } from '../hooks/useIf.js'
+import { withHookContext } from '../core/hookContext.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { signal } from '../core/signal.js'
+import { unmount } from '../core/mount.js'
+
+describe('useIf', () => {
+  let infoSpy
+  let warnSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    infoSpy = vi.spyOn(console, 'info').mockImplementation(() => {})
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    infoSpy.mockRestore()
+    warnSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {any}
+   */
+  const byId = (id) => document.getElementById(id)
+
+  /**
+   * Renders #details inside a hook context on #host, as a component would
+   * @param {any} condition
+   */
+  const render = (condition) => withHookContext(byId('host'), () => useIf(byId('details'), condition))
+
+  it('should insert the content after the template while the signal is truthy', () => {
+    document.body.innerHTML = '<div id="host"><template id="details"><p>One</p><p>Two</p></template><footer></footer></div>'
+    const open = signal(false)
+    render(open)
+
+    expect(byId('host').querySelectorAll('p')).toHaveLength(0)
+
+    open.value = true
+    expect(Array.from(byId('host').children, (/** @type {Element} */ child) => child.tagName)).toEqual(['TEMPLATE', 'P', 'P', 'FOOTER'])
+
+    open.value = false
+    expect(byId('host').querySelectorAll('p')).toHaveLength(0)
+  })
+
+  it('should keep the content while the value stays truthy', () => {
+    document.body.innerHTML = '<div id="host"><template id="details"><p id="content"></p></template></div>'
+    const selected = signal('first')
+    render(selected)
+    const content = byId('content')
+
+    selected.value = 'second'
+
+    expect(byId('content')).toBe(content)
+  })
+
+  it('should initialize components and hooks when shown and tear them down when hidden', () => {
+    const teardown = vi.fn()
+    const hookCleanup = vi.fn()
+    const init = vi.fn(() => teardown)
+    registerComponent(function Details() {
+      return init()
+    })
+    registerHook(function useFocus() {
+      return hookCleanup
+    })
+    document.body.innerHTML = `
+      <div id="host">
+        <template id="details"><section class="Details"><input use-focus></section></template>
+      </div>
+    `
+    const open = signal(true)
+    render(open)
+
+    expect(init).toHaveBeenCalledTimes(1)
+
+    open.value = false
+    expect(teardown).toHaveBeenCalledTimes(1)
+    expect(hookCleanup).toHaveBeenCalledTimes(1)
+
+    open.value = true
+    expect(init).toHaveBeenCalledTimes(2)
+  })
+
+  it('should remove the content when the owning component tears down', () => {
+    const open = signal(true)
+    registerComponent(function Disclosure(el) {
+      useIf(el.querySelector('template'), open)
+    })
+    document.body.innerHTML = '<div class="Disclosure" id="host"><template><p id="content"></p></template></div>'
+    scan()
+
+    expect(byId('content')).not.toBeNull()
+
+    unmount(byId('host'))
+    open.value = false
+    open.value = true
+
+    expect(byId('content')).toBeNull()
+  })
+
+  it('should validate its arguments', () => {
+    document.body.innerHTML = '<div id="details"></div>'
+
+    expect(() => useIf(null, signal(true))).not.toThrow()
+    expect(() => useIf(byId('details'), signal(true))).toThrow('[HookTML] useIf requires a <template> element as first argument')
+
+    document.body.innerHTML = '<template id="details"></template>'
+
+    expect(() => useIf(byId('details'), /** @type {any} */ (true))).toThrow('[HookTML] useIf requires a signal as second argument')
+  })
+})
@@ -0,0 +1,175 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { useList } from '../hooks/useList.js'
+import { useText } from '../hooks/useText.js'
+import { withHookContext } from '../core/hookContext.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { registerHook, clearHookRegistry } from '../core/hookRegistry.js'
+import { signal } from '../core/signal.js'
+import { unmount } from '../core/mount.js'
+
+describe('useList', () => {
+  let warnSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    warnSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {any}
+   */
+  const byId = (id) => document.getElementById(id)
+
+  /**
+   * Gets the rendered row texts
+   * @returns {string[]}
+   */
+  const texts = () => Array.from(byId('list').querySelectorAll('li'), (/** @type {Element} */ li) => li.textContent)
+
+  /**
+   * Renders the todos into #list inside a hook context, as a component would
+   * @param {any} items
+   * @param {import('../hooks/useList.js').ListOptions} [options]
+   */
+  const render = (items, options) => withHookContext(byId('list'), () => useList(byId('list'), items, {
+    key: 'id',
+    bind: (row, item) => {
+      useText(row, () => item.value.title, [item])
+    },
+    ...options
+  }))
+
+  const setupDom = () => {
+    document.body.innerHTML = '<ul id="list"><template><li></li></template></ul>'
+  }
+
+  it('should clone the template for each item', () => {
+    setupDom()
+    render(signal([{ id: 1, title: 'Milk' }, { id: 2, title: 'Eggs' }]))
+
+    expect(texts()).toEqual(['Milk', 'Eggs'])
+  })
+
+  it('should reconcile by key without recreating unchanged rows', () => {
+    setupDom()
+    const todos = signal([{ id: 1, title: 'Milk' }, { id: 2, title: 'Eggs' }, { id: 3, title: 'Bread' }])
+    render(todos)
+    const [milk, eggs, bread] = byId('list').querySelectorAll('li')
+
+    todos.value = [{ id: 3, title: 'Bread' }, { id: 4, title: 'Butter' }, { id: 1, title: 'Oat milk' }]
+    const rows = Array.from(byId('list').querySelectorAll('li'))
+
+    expect(texts()).toEqual(['Bread', 'Butter', 'Oat milk'])
+    expect(rows[0]).toBe(bread)
+    expect(rows[2]).toBe(milk)
+    expect(eggs.isConnected).toBe(false)
+  })
+
+  it('should pass reactive item and index signals to bind', () => {
+    setupDom()
+    const todos = signal([{ id: 1, title: 'Milk' }, { id: 2, title: 'Eggs' }])
+    const bind = vi.fn((row, item, index) => {
+      useText(row, () => `${index.value + 1}. ${item.value.title}`, [item, index])
+    })
+    render(todos, { bind })
+
+    todos.value = [{ id: 2, title: 'Eggs' }, { id: 1, title: 'Milk' }]
+
+    expect(texts()).toEqual(['1. Eggs', '2. Milk'])
+    expect(bind).toHaveBeenCalledTimes(2)
+  })
+
+  it('should key by the item itself by default', () => {
+    document.body.innerHTML = '<ul id="list"></ul><template id="tag"><li></li></template>'
+    const tags = signal(['a', 'b'])
+    withHookContext(byId('list'), () => useList(byId('list'), tags, {
+      template: byId('tag'),
+      bind: (row, item) => useText(row, () => item.value, [item])
+    }))
+    const [a] = byId('list').querySelectorAll('li')
+
+    tags.value = ['c', 'a']
+
+    expect(texts()).toEqual(['c', 'a'])
+    expect(byId('list').querySelectorAll('li')[1]).toBe(a)
+  })
+
+  it('should warn about duplicate keys and skip the duplicates', () => {
+    setupDom()
+    render(signal([{ id: 1, title: 'Milk' }, { id: 1, title: 'Eggs' }]))
+
+    expect(texts()).toEqual(['Milk'])
+    expect(warnSpy).toHaveBeenCalledWith('[HookTML] useList found a duplicate key "1", skipping the item:', { id: 1, title: 'Eggs' })
+  })
+
+  it('should initialize and tear down components and hooks inside rows', () => {
+    const teardown = vi.fn()
+    const hookCleanup = vi.fn()
+    registerComponent(function Todo(el) {
+      el.setAttribute('data-ready', '')
+      return teardown
+    })
+    registerHook(function useDone() {
+      return hookCleanup
+    })
+    document.body.innerHTML = `
+      <ul id="list">
+        <template><li class="Todo"><input type="checkbox" use-done></li></template>
+      </ul>
+    `
+    const todos = signal([{ id: 1, title: 'Milk' }])
+    render(todos, { bind: undefined })
+
+    todos.value = [...todos.value, { id: 2, title: 'Eggs' }]
+    const rows = byId('list').querySelectorAll('li')
+
+    expect(Array.from(rows, (/** @type {Element} */ row) => row.hasAttribute('data-ready'))).toEqual([true, true])
+
+    todos.value = [{ id: 2, title: 'Eggs' }]
+
+    expect(teardown).toHaveBeenCalledTimes(1)
+    expect(hookCleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('should render from a component and remove its rows on teardown', () => {
+    const todos = signal([{ id: 1, title: 'Milk' }])
+    registerComponent(function TodoList(el) {
+      useList(el, todos, {
+        key: 'id',
+        bind: (row, item) => useText(row, () => item.value.title, [item])
+      })
+    })
+    document.body.innerHTML = '<ul class="TodoList" id="list"><template><li></li></template></ul>'
+    scan()
+
+    expect(texts()).toEqual(['Milk'])
+
+    unmount(byId('list'))
+    todos.value = [{ id: 2, title: 'Eggs' }]
+
+    expect(texts()).toEqual([])
+
+    scan()
+
+    expect(texts()).toEqual(['Eggs'])
+  })
+
+  it('should validate its arguments', () => {
+    document.body.innerHTML = '<ul id="list"></ul><template id="pair"><li></li><li></li></template>'
+    const items = signal([])
+
+    expect(() => useList(/** @type {any} */ ('#list'), items)).toThrow('[HookTML] useList requires an HTMLElement as first argument')
+    expect(() => useList(byId('list'), /** @type {any} */ ([]))).toThrow('[HookTML] useList requires a signal as second argument')
+    expect(() => useList(byId('list'), items)).toThrow('[HookTML] useList requires a <template>, passed as the template option or placed in the container')
+    expect(() => useList(byId('list'), items, { template: byId('pair') })).toThrow('[HookTML] useList template must contain a single root element')
+  })
+})
@@ -0,0 +1,222 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scan } from '../index.js'
+import { useModel } from '../hooks/useModel.js'
+import { withHookContext } from '../core/hookContext.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { clearHookRegistry, getRegisteredHooks } from '../core/hookRegistry.js'
+import { signal } from '../core/signal.js'
+import { unmount } from '../core/mount.js'
+
+describe('useModel', () => {
+  let warnSpy
+
+  beforeEach(() => {
+    clearRegistry()
+    clearHookRegistry()
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    warnSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {any}
+   */
+  const byId = (id) => document.getElementById(id)
+
+  /**
+   * Runs useModel inside a hook context, as a component would
+   * @param {any} elements
+   * @param {any} model
+   * @param {import('../hooks/useModel.js').ModelOptions} [options]
+   */
+  const bind = (elements, model, options) => {
+    const host = Array.isArray(elements) ? elements[0] : elements
+    return withHookContext(host, () => useModel(elements, model, options))
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} type
+   */
+  const fire = (element, type) => element.dispatchEvent(new Event(type, { bubbles: true }))
+
+  it('should sync a text input both ways', () => {
+    document.body.innerHTML = '<input id="name" value="">'
+    const name = signal('Ada')
+    bind(byId('name'), name)
+
+    expect(byId('name').value).toBe('Ada')
+
+    byId('name').value = 'Grace'
+    fire(byId('name'), 'input')
+    expect(name.value).toBe('Grace')
+
+    name.value = 'Linus'
+    expect(byId('name').value).toBe('Linus')
+  })
+
+  it('should apply the number, trim and lazy options', () => {
+    document.body.innerHTML = '<input id="age"><input id="city"><input type="range" id="volume">'
+    const age = signal(0)
+    const city = signal('')
+    const volume = signal(0)
+    bind(byId('age'), age, { number: true })
+    bind(byId('city'), city, { trim: true, lazy: true })
+    bind(byId('volume'), volume)
+
+    byId('age').value = '42'
+    fire(byId('age'), 'input')
+    byId('city').value = '  Oslo '
+    fire(byId('city'), 'input')
+    expect(city.value).toBe('')
+    fire(byId('city'), 'change')
+    byId('volume').value = '7'
+    fire(byId('volume'), 'input')
+
+    expect(age.value).toBe(42)
+    expect(city.value).toBe('Oslo')
+    expect(volume.value).toBe(7)
+  })
+
+  it('should bind a single checkbox to a boolean', () => {
+    document.body.innerHTML = '<input type="checkbox" id="agree">'
+    const agree = signal(true)
+    bind(byId('agree'), agree)
+
+    expect(byId('agree').checked).toBe(true)
+
+    byId('agree').click()
+    expect(agree.value).toBe(false)
+  })
+
+  it('should bind a checkbox group to an array of values', () => {
+    document.body.innerHTML = `
+      <input type="checkbox" value="red" id="red">
+      <input type="checkbox" value="green" id="green">
+      <input type="checkbox" value="blue" id="blue">
+    `
+    const colors = signal(['green'])
+    bind([byId('red'), byId('green'), byId('blue')], colors)
+
+    expect(byId('green').checked).toBe(true)
+
+    byId('blue').click()
+    expect(colors.value).toEqual(['green', 'blue'])
+
+    colors.value = ['red']
+    expect([byId('red').checked, byId('green').checked, byId('blue').checked]).toEqual([true, false, false])
+  })
+
+  it('should bind a radio group to the checked value', () => {
+    document.body.innerHTML = `
+      <input type="radio" name="size" value="s" id="small">
+      <input type="radio" name="size" value="l" id="large">
+    `
+    const size = signal('l')
+    bind([byId('small'), byId('large')], size)
+
+    expect(byId('large').checked).toBe(true)
+
+    byId('small').click()
+    expect(size.value).toBe('s')
+  })
+
+  it('should bind single and multiple selects', () => {
+    document.body.innerHTML = `
+      <select id="single"><option value="a">A</option><option value="b">B</option></select>
+      <select multiple id="multiple"><option value="1">1</option><option value="2">2</option><option value="3">3</option></select>
+    `
+    const single = signal('b')
+    const multiple = signal([1, 3])
+    bind(byId('single'), single)
+    bind(byId('multiple'), multiple, { number: true })
+
+    expect(byId('single').value).toBe('b')
+    expect(Array.from(byId('multiple').selectedOptions).map(option => option.value)).toEqual(['1', '3'])
+
+    byId('single').value = 'a'
+    fire(byId('single'), 'change')
+    byId('multiple').options[1].selected = true
+    fire(byId('multiple'), 'change')
+
+    expect(single.value).toBe('a')
+    expect(multiple.value).toEqual([1, 2, 3])
+  })
+
+  it('should validate its arguments', () => {
+    document.body.innerHTML = '<input id="name">'
+
+    expect(() => useModel(/** @type {any} */ ('#name'), signal(''))).toThrow('[HookTML] useModel requires HTMLElement(s) as first argument')
+    expect(() => useModel(byId('name'), /** @type {any} */ ('name'))).toThrow('[HookTML] useModel requires a signal as second argument')
+  })
+
+  describe('use-model directive', () => {
+    let email
+    let plan
+
+    beforeEach(() => {
+      email = signal('ada@example.com')
+      plan = signal('free')
+      registerComponent(function Signup() {
+        return { context: { email, plan } }
+      })
+    })
+
+    it('should bind to a signal in the nearest component context', () => {
+      document.body.innerHTML = `
+        <form class="Signup">
+          <input use-model="email" model-trim id="email">
+          <input type="radio" value="free" use-model="Signup#plan" id="free">
+          <input type="radio" value="pro" use-model="Signup#plan" id="pro">
+        </form>
+      `
+      scan()
+
+      expect(byId('email').value).toBe('ada@example.com')
+      expect(byId('free').checked).toBe(true)
+
+      byId('email').value = ' grace@example.com '
+      fire(byId('email'), 'input')
+      byId('pro').click()
+
+      expect(email.value).toBe('grace@example.com')
+      expect(plan.value).toBe('pro')
+    })
+
+    it('should warn when no signal matches', () => {
+      document.body.innerHTML = '<form class="Signup"><input use-model="phone" id="phone"></form>'
+      scan()
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[HookTML] use-model="phone" found no signal in an enclosing component context:',
+        byId('phone')
+      )
+    })
+
+    it('should stop syncing once torn down', () => {
+      document.body.innerHTML = '<form class="Signup"><input use-model="email" id="email"></form>'
+      scan()
+
+      unmount(byId('email'))
+      email.value = 'linus@example.com'
+      byId('email').value = 'typed'
+      fire(byId('email'), 'input')
+
+      expect(byId('email').value).toBe('typed')
+      expect(email.value).toBe('linus@example.com')
+    })
+
+    it('should work without being listed as a registered hook', () => {
+      document.body.innerHTML = '<form class="Signup"><input use-model="email" id="email"></form>'
+      scan()
+
+      expect(byId('email').value).toBe('ada@example.com')
+      expect(getRegisteredHooks().has('useModel')).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { useShow } from '../hooks/useShow.js'
+import { withHookContext } from '../core/hookContext.js'
+import { signal } from '../core/signal.js'
+import { computed } from '../core/computed.js'
+import { unmount } from '../core/mount.js'
+
+describe('useShow', () => {
+  let infoSpy
+
+  beforeEach(() => {
+    infoSpy = vi.spyOn(console, 'info').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    unmount(document.body)
+    infoSpy.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {any}
+   */
+  const byId = (id) => document.getElementById(id)
+
+  it('should toggle the hidden attribute with the signal', () => {
+    document.body.innerHTML = '<div id="host"><p id="panel">Details</p></div>'
+    const open = signal(false)
+    withHookContext(byId('host'), () => useShow(byId('panel'), open))
+
+    expect(byId('panel').hidden).toBe(true)
+
+    open.value = true
+    expect(byId('panel').hidden).toBe(false)
+  })
+
+  it('should toggle a class instead when hiddenClass is set', () => {
+    document.body.innerHTML = '<div id="host"><p id="first"></p><p id="second"></p></div>'
+    const count = signal(0)
+    const empty = computed(() => count.value === 0)
+    withHookContext(byId('host'), () => useShow([byId('first'), byId('second')], empty, { hiddenClass: 'is-hidden' }))
+
+    expect(byId('first').classList.contains('is-hidden')).toBe(false)
+
+    count.value = 2
+    expect(byId('first').classList.contains('is-hidden')).toBe(true)
+    expect(byId('second').classList.contains('is-hidden')).toBe(true)
+    expect(byId('second').hidden).toBe(false)
+  })
+
+  it('should stop updating once torn down', () => {
+    document.body.innerHTML = '<div id="host"><p id="panel"></p></div>'
+    const open = signal(true)
+    withHookContext(byId('host'), () => useShow(byId('panel'), open))
+
+    unmount(byId('host'))
+    open.value = false
+
+    expect(byId('panel').hidden).toBe(false)
+  })
+
+  it('should validate its arguments', () => {
+    document.body.innerHTML = '<p id="panel"></p>'
+
+    expect(() => useShow(null, signal(true))).not.toThrow()
+    expect(() => useShow(/** @type {any} */ ('#panel'), signal(true))).toThrow('[HookTML] useShow requires HTMLElement(s) as first argument')
+    expect(() => useShow(byId('panel'), /** @type {any} */ (true))).toThrow('[HookTML] useShow requires a signal as second argument')
+  })
+})
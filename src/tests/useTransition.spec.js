@@ -0,0 +1,233 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { useTransition, transition } from '../hooks/useTransition.js'
+import { useShow } from '../hooks/useShow.js'
+import { useIf } from '../hooks/useIf.js'
+import { useList } from '../hooks/useList.js'
+import { withHookContext } from '../core/hookContext.js'
+import { registerComponent, clearRegistry } from '../core/registry.js'
+import { signal } from '../core/signal.js'
+import { unmount } from '../core/mount.js'
+
+describe('transitions', () => {
+  beforeEach(() => {
+    clearRegistry()
+    vi.useFakeTimers({
+      toFake: ['setTimeout', 'clearTimeout', 'requestAnimationFrame', 'cancelAnimationFrame']
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    unmount(document.body)
+    document.body.innerHTML = ''
+  })
+
+  /**
+   * @param {string} id
+   * @returns {any}
+   */
+  const byId = (id) => document.getElementById(id)
+
+  /**
+   * Gets an element's classes
+   * @param {Element} element
+   * @returns {string[]}
+   */
+  const classesOf = (element) => Array.from(element.classList)
+
+  /**
+   * Moves past the next animation frame
+   */
+  const nextFrame = () => vi.advanceTimersByTime(16)
+
+  describe('useTransition', () => {
+    it('should apply the from, active and to classes in turn', async () => {
+      document.body.innerHTML = '<div id="toast"></div>'
+      const { enter } = useTransition(byId('toast'), { name: 'fade', timeout: 300 })
+
+      const entered = enter()
+      expect(classesOf(byId('toast'))).toEqual(['fade-enter-from', 'fade-enter-active'])
+
+      nextFrame()
+      expect(classesOf(byId('toast'))).toEqual(['fade-enter-active', 'fade-enter-to'])
+
+      vi.advanceTimersByTime(300)
+      await expect(entered).resolves.toBe(true)
+      expect(classesOf(byId('toast'))).toEqual([])
+    })
+
+    it('should use unprefixed classes without a name', () => {
+      document.body.innerHTML = '<div id="toast"></div>'
+      useTransition(byId('toast')).leave()
+
+      expect(classesOf(byId('toast'))).toEqual(['leave-from', 'leave-active'])
+    })
+
+    it('should finish on transitionend from the element itself', async () => {
+      document.body.innerHTML = '<div id="toast"><span id="icon"></span></div>'
+      const { leave } = useTransition(byId('toast'), { timeout: 5000 })
+
+      const left = leave()
+      nextFrame()
+      byId('icon').dispatchEvent(new Event('transitionend', { bubbles: true }))
+      expect(byId('toast').classList.contains('leave-active')).toBe(true)
+
+      byId('toast').dispatchEvent(new Event('animationend'))
+      await expect(left).resolves.toBe(true)
+      expect(classesOf(byId('toast'))).toEqual([])
+    })
+
+    it('should wait for the computed transition duration without a timeout', async () => {
+      document.body.innerHTML = '<div id="toast" style="transition-duration: 0.2s"></div>'
+      const done = vi.fn()
+
+      transition(byId('toast'), 'enter').then(done)
+      nextFrame()
+      vi.advanceTimersByTime(199)
+      await Promise.resolve()
+      expect(done).not.toHaveBeenCalled()
+
+      vi.advanceTimersByTime(1)
+      await Promise.resolve()
+      expect(done).toHaveBeenCalledWith(true)
+    })
+
+    it('should cancel a running transition when another starts', async () => {
+      document.body.innerHTML = '<div id="toast"></div>'
+      const { enter, leave } = useTransition(byId('toast'), { timeout: 300 })
+
+      const entered = enter()
+      nextFrame()
+      const left = leave()
+
+      await expect(entered).resolves.toBe(false)
+      expect(classesOf(byId('toast'))).toEqual(['leave-from', 'leave-active'])
+
+      nextFrame()
+      vi.advanceTimersByTime(300)
+      await expect(left).resolves.toBe(true)
+    })
+
+    it('should play Web Animations API keyframes', async () => {
+      document.body.innerHTML = '<div id="toast"></div>'
+      const animation = { finished: Promise.resolve(), cancel: vi.fn() }
+      const animate = vi.fn(() => animation)
+      byId('toast').animate = animate
+      const keyframes = { leave: [{ opacity: 1 }, { opacity: 0 }] }
+
+      const left = useTransition(byId('toast'), { keyframes, duration: 150 }).leave()
+
+      expect(animate).toHaveBeenCalledWith(keyframes.leave, { duration: 150, easing: 'ease' })
+      expect(classesOf(byId('toast'))).toEqual([])
+      await expect(left).resolves.toBe(true)
+      expect(animation.cancel).not.toHaveBeenCalled()
+    })
+
+    it('should cancel running transitions on teardown', async () => {
+      document.body.innerHTML = '<div id="host"><p id="first"></p><p id="second"></p></div>'
+      const { leave } = withHookContext(byId('host'), () => useTransition([byId('first'), byId('second')], 'fade'))
+
+      const left = leave()
+      unmount(byId('host'))
+
+      await expect(left).resolves.toBe(false)
+      expect(classesOf(byId('first'))).toEqual([])
+      expect(classesOf(byId('second'))).toEqual([])
+    })
+
+    it('should validate its arguments', () => {
+      document.body.innerHTML = '<div id="toast"></div>'
+
+      expect(() => useTransition(/** @type {any} */ ('#toast'))).toThrow('[HookTML] useTransition requires HTMLElement(s) as first argument')
+      expect(() => transition(byId('toast'), /** @type {any} */ ('appear'))).toThrow('[HookTML] transition direction must be "enter" or "leave"')
+    })
+  })
+
+  describe('with useShow', () => {
+    it('should hide the element once the leave transition finishes', async () => {
+      document.body.innerHTML = '<div id="host"><p id="panel"></p></div>'
+      const open = signal(true)
+      withHookContext(byId('host'), () => useShow(byId('panel'), open, { transition: { name: 'fade', timeout: 200 } }))
+
+      expect(classesOf(byId('panel'))).toEqual([])
+
+      open.value = false
+      expect(byId('panel').hidden).toBe(false)
+      expect(byId('panel').classList.contains('fade-leave-active')).toBe(true)
+
+      nextFrame()
+      vi.advanceTimersByTime(200)
+      await Promise.resolve()
+      expect(byId('panel').hidden).toBe(true)
+
+      open.value = true
+      expect(byId('panel').hidden).toBe(false)
+      expect(byId('panel').classList.contains('fade-enter-active')).toBe(true)
+    })
+
+    it('should stay shown when shown again during the leave transition', async () => {
+      document.body.innerHTML = '<div id="host"><p id="panel"></p></div>'
+      const open = signal(true)
+      withHookContext(byId('host'), () => useShow(byId('panel'), open, { transition: { timeout: 200 } }))
+
+      open.value = false
+      open.value = true
+      nextFrame()
+      vi.advanceTimersByTime(200)
+      await Promise.resolve()
+
+      expect(byId('panel').hidden).toBe(false)
+    })
+  })
+
+  describe('with useIf', () => {
+    it('should tear down and remove the content after the leave transition', async () => {
+      const teardown = vi.fn()
+      registerComponent(function Details() {
+        return teardown
+      })
+      document.body.innerHTML = '<div id="host"><template id="details"><section class="Details" id="content"></section></template></div>'
+      const open = signal(false)
+      withHookContext(byId('host'), () => useIf(byId('details'), open, { transition: { name: 'slide', timeout: 200 } }))
+
+      open.value = true
+      expect(byId('content').classList.contains('slide-enter-from')).toBe(true)
+
+      open.value = false
+      expect(teardown).not.toHaveBeenCalled()
+      expect(byId('content').classList.contains('slide-leave-from')).toBe(true)
+
+      nextFrame()
+      vi.advanceTimersByTime(200)
+      await Promise.resolve()
+      await Promise.resolve()
+
+      expect(teardown).toHaveBeenCalledTimes(1)
+      expect(byId('content')).toBeNull()
+    })
+  })
+
+  describe('with useList', () => {
+    it('should animate added rows and remove rows after their leave transition', async () => {
+      document.body.innerHTML = '<ul id="list"><template><li></li></template></ul>'
+      const items = signal(['a', 'b'])
+      withHookContext(byId('list'), () => useList(byId('list'), items, {
+        bind: (row, item) => { row.id = item.value },
+        transition: { name: 'row', timeout: 200 }
+      }))
+
+      expect(classesOf(byId('a'))).toEqual([])
+
+      items.value = ['b', 'c']
+      expect(byId('c').classList.contains('row-enter-from')).toBe(true)
+      expect(byId('a').classList.contains('row-leave-from')).toBe(true)
+
+      nextFrame()
+      vi.advanceTimersByTime(200)
+      await Promise.resolve()
+
+      expect(byId('a')).toBeNull()
+      expect(Array.from(byId('list').querySelectorAll('li'), (/** @type {Element} */ li) => li.id)).toEqual(['b', 'c'])
+    })
+  })
+})
@@ -1,6 +1,7 @@
-import { kebabToCamel, pluralize, camelToKebab } from './strings.js'
+import { kebabToCamel, pluralize, camelToKebab, splitWords } from './strings.js'
 import { isArray, isHTMLElement } from './type-guards.js'
 import { getConfig } from '../core/config.js'
+import { isIgnored } from './dom.js'
 
 /**
  * Checks if an element has the same component class as its ancestor
@@ -12,10 +13,18 @@ export const hasSameComponent = (element, componentName) => {
   const { formattedPrefix } = getConfig()
   return element.classList.contains(componentName) ||
     (isHTMLElement(element) && (
-      element.getAttribute(`${formattedPrefix}use-component`) === componentName
+      splitWords(element.getAttribute(`${formattedPrefix}use-component`)).includes(componentName)
     ))
 }
 
+/**
+ * Checks whether an attribute is a declarative binding (e.g. `counter-bind-text`) rather than a child or prop
+ * @param {string} attributeName - The attribute name
+ * @param {string} prefix - The component's attribute prefix, e.g. `counter-`
+ * @returns {boolean} Whether the attribute is a binding
+ */
+export const isBindingAttribute = (attributeName, prefix) => attributeName.startsWith(`${prefix}bind-`)
+
 /**
  * Adds a child to a pluralized key
  * @param {Record<string, Element | Element[]>} children - The children object
@@ -56,9 +65,12 @@ export const extractChildren = (element, componentName) => {
     if (hasSameComponent(child, componentName)) {
       return true
     }
+    if (isIgnored(child)) {
+      return false
+    }
     // Check all attributes
     Array.from(child.attributes).forEach(({ name }) => {
-      if (name.startsWith(prefix)) {
+      if (name.startsWith(prefix) && !isBindingAttribute(name, prefix)) {
         const key = kebabToCamel(name.slice(prefix.length))
 
         if (children[key]) {
@@ -0,0 +1,67 @@
+import { isHTMLElement } from './type-guards.js'
+import { getConfig } from '../core/config.js'
+
+/**
+ * @typedef {Document | Element | DocumentFragment} QueryRoot
+ */
+
+/**
+ * Gets the name of the attribute that marks an ignored subtree, respecting `attributePrefix`
+ * @returns {string} The ignore attribute name (e.g. `hooktml-ignore` or `data-hooktml-ignore`)
+ */
+export const getIgnoreAttribute = () => `${getConfig().formattedPrefix}hooktml-ignore`
+
+/**
+ * Checks whether a node is inside an ignored subtree, including the boundary element itself.
+ * Shadow hosts are followed so content inside an ignored host's shadow root is ignored too.
+ * @param {Node} node - The node to check
+ * @returns {boolean} Whether HookTML should leave the node alone
+ */
+export const isIgnored = (node) => {
+  const selector = `[${getIgnoreAttribute()}]`
+  /** @type {Node|null} */
+  let current = node
+
+  while (current) {
+    const element = current instanceof Element ? current : current.parentElement
+    if (element?.closest(selector)) return true
+
+    const rootNode = current.getRootNode()
+    current = rootNode instanceof ShadowRoot ? rootNode.host : null
+  }
+
+  return false
+}
+
+/**
+ * Gets the next element up the ancestry, stepping out of shadow roots to their host
+ * @param {Element} element - The current element
+ * @returns {Element|null} The parent element or shadow host
+ */
+export const getComposedParent = (element) => {
+  if (element.parentElement) return element.parentElement
+
+  const rootNode = element.getRootNode()
+  return rootNode instanceof ShadowRoot ? rootNode.host : null
+}
+
+/**
+ * Finds all elements matching a selector within a root, including the root itself.
+ * Elements inside ignored subtrees are left out.
+ * @param {QueryRoot} root - The document, element or fragment to search
+ * @param {string} selector - The CSS selector
+ * @returns {HTMLElement[]} Matching elements in document order
+ */
+export const queryAllWithin = (root, selector) => {
+  if (isIgnored(root)) return []
+
+  const descendants = Array.from(root.querySelectorAll(selector)).filter(isHTMLElement)
+  const matches = isHTMLElement(root) && root.matches(selector)
+    ? [root, ...descendants]
+    : descendants
+
+  // Only pay for the ancestor checks when the root contains an ignore boundary
+  return root.querySelector(`[${getIgnoreAttribute()}]`)
+    ? matches.filter(element => !isIgnored(element))
+    : matches
+}
@@ -0,0 +1,19 @@
+import { isFunction, isNil, isObject } from './type-guards.js'
+
+/**
+ * Resolves a function export from a dynamically imported module.
+ * Accepts the function itself, a module with a named export matching `name`,
+ * or a module with a default export.
+ * @param {unknown} module - The loaded module or function
+ * @param {string} name - The expected export name
+ * @returns {Function|undefined} The resolved function, if any
+ */
+export const resolveModuleExport = (module, name) => {
+  if (isFunction(module)) return module
+  if (isNil(module) || !isObject(module)) return undefined
+
+  const namedExport = module[name]
+  if (isFunction(namedExport)) return namedExport
+
+  return isFunction(module.default) ? module.default : undefined
+}
@@ -1,5 +1,5 @@
 import { isNumeric, isNonEmptyString } from './type-guards.js'
-import { extractChildren } from './children.js'
+import { extractChildren, isBindingAttribute } from './children.js'
 import { kebabToCamel, camelToKebab } from './strings.js'
 import { getConfig } from '../core/config.js'
 
@@ -17,17 +17,47 @@ export const coerceValue = (value) => {
 }
 
 /**
- * Extracts props from an element's attributes based on component name
- * @param {HTMLElement} element - The DOM element
+ * @typedef {Object} PropSource
+ * @property {(attributeName: string) => boolean} matches - Whether an attribute feeds these props
+ * @property {() => Record<string, any>} read - Re-reads the props from the element's attributes
+ */
+
+/**
+ * Gets the attribute prefix for a component's props (e.g., 'search-form-')
  * @param {string} componentName - The PascalCase component name
- * @returns {Record<string, any>} The extracted props
+ * @returns {string} The attribute prefix, including any configured attribute prefix
  */
-export const extractProps = (element, componentName) => {
+const getComponentPropPrefix = (componentName) => {
   const { formattedPrefix } = getConfig()
-  const prefix = `${formattedPrefix}${camelToKebab(componentName)}-`
+  return `${formattedPrefix}${camelToKebab(componentName)}-`
+}
+
+/**
+ * Gets the attribute prefix for a hook's additional props (e.g., 'tooltip-')
+ * @param {string} hookName - The camelCase hook name (e.g., 'useTooltip')
+ * @returns {string} The attribute prefix, including any configured attribute prefix
+ */
+const getHookPropPrefix = (hookName) => {
+  const { formattedPrefix } = getConfig()
+
+  // Convert hook name to the prefix pattern
+  // useTooltip -> tooltip-
+  const hookPrefix = hookName.startsWith('use')
+    ? camelToKebab(hookName.slice(3)) // Remove 'use' prefix
+    : camelToKebab(hookName)
+
+  return `${formattedPrefix}${hookPrefix}-`
+}
+
+/**
+ * Extracts and coerces every attribute starting with a prefix
+ * @param {HTMLElement} element - The DOM element
+ * @param {string} prefix - The attribute prefix
+ * @returns {Record<string, any>} Props keyed by the camelCased attribute suffix
+ */
+const extractAttributeProps = (element, prefix) => {
   const props = {}
 
-  // Extract regular props
   Array.from(element.attributes).forEach(({ name, value }) => {
     if (name.startsWith(prefix)) {
       const propName = kebabToCamel(name.slice(prefix.length))
@@ -35,6 +65,33 @@ export const extractProps = (element, componentName) => {
     }
   })
 
+  return props
+}
+
+/**
+ * Extracts a component's attribute props, leaving out its `-bind-*` attributes
+ * @param {HTMLElement} element - The DOM element
+ * @param {string} prefix - The component's attribute prefix
+ * @returns {Record<string, any>} Props keyed by the camelCased attribute suffix
+ */
+const extractComponentAttributeProps = (element, prefix) => {
+  const props = extractAttributeProps(element, prefix)
+  Array.from(element.attributes)
+    .filter(({ name }) => isBindingAttribute(name, prefix))
+    .forEach(({ name }) => delete props[kebabToCamel(name.slice(prefix.length))])
+  return props
+}
+
+/**
+ * Extracts props from an element's attributes based on component name
+ * @param {HTMLElement} element - The DOM element
+ * @param {string} componentName - The PascalCase component name
+ * @returns {Record<string, any>} The extracted props
+ */
+export const extractProps = (element, componentName) => {
+  // Extract regular props
+  const props = extractComponentAttributeProps(element, getComponentPropPrefix(componentName))
+
   // Extract children
   const children = extractChildren(element, componentName)
   if (Object.keys(children).length > 0) {
@@ -52,15 +109,6 @@ export const extractProps = (element, componentName) => {
  * @returns {Record<string, any>} The extracted props
  */
 export const extractHookProps = (element, hookName, mainValue) => {
-  const { formattedPrefix } = getConfig()
-
-  // Convert hook name to the prefix pattern
-  // useTooltip -> tooltip-
-  const hookPrefix = hookName.startsWith('use')
-    ? camelToKebab(hookName.slice(3)) // Remove 'use' prefix
-    : camelToKebab(hookName)
-
-  const prefix = `${formattedPrefix}${hookPrefix}-`
   const props = {}
 
   // Add main value if provided (from use-* attribute)
@@ -69,12 +117,37 @@ export const extractHookProps = (element, hookName, mainValue) => {
   }
 
   // Extract additional props (e.g., tooltip-placement, tooltip-color)
-  Array.from(element.attributes).forEach(({ name, value }) => {
-    if (name.startsWith(prefix)) {
-      const propName = kebabToCamel(name.slice(prefix.length))
-      props[propName] = coerceValue(value)
-    }
-  })
+  return Object.assign(props, extractAttributeProps(element, getHookPropPrefix(hookName)))
+}
 
-  return props
-} 
+/**
+ * Creates a prop source that re-reads a component's attribute props (children are not re-read)
+ * @param {HTMLElement} element - The component element
+ * @param {string} componentName - The PascalCase component name
+ * @returns {PropSource} The prop source
+ */
+export const componentPropSource = (element, componentName) => {
+  const prefix = getComponentPropPrefix(componentName)
+
+  return {
+    matches: (attributeName) => attributeName.startsWith(prefix) && !isBindingAttribute(attributeName, prefix),
+    read: () => extractComponentAttributeProps(element, prefix)
+  }
+}
+
+/**
+ * Creates a prop source that re-reads a hook's main value and additional props
+ * @param {HTMLElement} element - The hook element
+ * @param {string} hookName - The camelCase hook name (e.g., 'useTooltip')
+ * @returns {PropSource} The prop source
+ */
+export const hookPropSource = (element, hookName) => {
+  const { formattedPrefix } = getConfig()
+  const hookAttribute = `${formattedPrefix}${camelToKebab(hookName)}`
+  const prefix = getHookPropPrefix(hookName)
+
+  return {
+    matches: (attributeName) => attributeName === hookAttribute || attributeName.startsWith(prefix),
+    read: () => extractHookProps(element, hookName, element.getAttribute(hookAttribute))
+  }
+}
@@ -30,3 +30,12 @@ export const pluralize = (str) => {
   }
   return str + 's'
 }
+
+/**
+ * Splits a whitespace-separated list, such as a `use-component` value
+ * @param {string|null|undefined} str - The list to split
+ * @returns {string[]} The non-empty words
+ */
+export const splitWords = (str) => {
+  return (str ?? '').split(/\s+/).filter(Boolean)
+}